@@ -2,11 +2,16 @@ class EdgeGraph {
     constructor(container, data, options = {}) {
         this.container = container;
         this.data = data;
-        this.canvas = document.getElementById('canvas');
-        this.ctx = this.canvas.getContext('2d');
+        // Headless graphs only lay out and export (e.g. in Node), they never touch the DOM
+        this.headless = Boolean(options.headless);
+        this.ownsCanvas = false; // Set when the graph created its canvas and removes it on destroy()
+        this.canvasSize = null; // Inline size styles of a canvas it was given, restored on destroy()
+        this.containerPosition = null; // Inline position style to restore on destroy(), if changed
+        this.canvas = this.headless ? null : this.setupCanvas(options.canvas);
+        this.ctx = this.canvas ? this.canvas.getContext('2d') : null;
         
         // Get configuration from data file first, then fall back to options
-        const dataConfig = data.configuration || {};
+        const dataConfig = (data && data.configuration) || {};
         const logoConfig = dataConfig.logo || {};
         
         // Parse options (prioritize data file config over constructor options)
@@ -15,11 +20,35 @@ class EdgeGraph {
             logoPosition: logoConfig.position || options.logoPosition || 'bottomRight',
             logoSize: logoConfig.size || options.logoSize || 100,
             logoPadding: logoConfig.padding || options.logoPadding || 20,
+            search: options.search !== false, // Built-in search box, on unless disabled
+            focusMode: Boolean(options.focusMode),
+            focusHops: options.focusHops || 1,
+            focusDirection: options.focusDirection || 'both', // 'both', 'outgoing' or 'incoming'
+            legend: options.legend !== false, // Legend and filter panel, on unless disabled
+            toolbar: options.toolbar !== false, // Export buttons, on unless disabled
+            selectionBar: options.selectionBar !== false, // Bulk actions for selected nodes, on unless disabled
+            pinOnDrag: options.pinOnDrag !== false, // Dropped nodes stay where they were put
+            width: options.width || null, // Size of the area nodes are laid out in, see init()
+            height: options.height || null,
+            seed: options.seed !== undefined ? options.seed : null, // Makes layouts reproducible
+            validation: options.validation || 'lenient', // 'lenient' drops bad records, 'strict' renders nothing
+            layout: options.layout || 'default', // One of LAYOUT_MODES, see setLayout()
+            layoutOptions: options.layoutOptions || {}, // e.g. { root } for radial, { direction: 'LR' } for hierarchical
+            edgeStyle: options.edgeStyle || 'straight', // One of EDGE_STYLES, see setEdgeStyle()
+            labelPlacement: options.labelPlacement !== false, // Move or hide edge labels that would cover others, see drawLinkLabels()
+            encodings: options.encodings || null, // { nodes, edges } looks taken from properties, see applyEncodings()
+            theme: dataConfig.theme || options.theme || 'auto', // Theme name, 'auto' or a custom theme, see setTheme()
+            storageKey: options.storageKey || null, // localStorage key the view state is saved under
+            urlHash: Boolean(options.urlHash), // Keep the view state in the URL hash so it can be shared
+            editable: Boolean(options.editable), // Edit button and E shortcut, see setEditMode()
+            levelOfDetail: options.levelOfDetail !== false, // Leave out small details when zoomed out, see getDetailLevel()
+            worker: options.worker || false, // true or { d3Url }: run the simulation in a Web Worker, see createSimulation()
+            pixelRatio: options.pixelRatio || null, // Backing store pixels per CSS pixel, see getPixelRatio()
         };
         
         // Logo image element
         this.logoImage = null;
-        if (this.options.logoUrl) {
+        if (this.options.logoUrl && !this.headless) {
             this.loadLogo(this.options.logoUrl);
         }
         
@@ -28,27 +57,107 @@ class EdgeGraph {
             nodeRadius: 80, // Increased from 60
             arrowLength: 20, // Increased from 15
             arrowWidth: Math.PI / 10, // Wider arrows
-            lineWidth: 2, // Thicker lines
-            font: '16px Arial', // Larger font
-            boldFont: 'bold 16px Arial',
+            nodeBorderWidth: 3, // Borders of nodes with an encoded border colour but no encoded width, and outlines
+            fontSize: 16, // Node and edge labels, in the theme's font
             lineHeight: 18,
-            bidirectionalOffset: 20, // Increased from 15
+            parallelLinkSpacing: 40, // Distance between the middles of links between the same two nodes
+            edgeCurvature: 0.2, // How far curved edges bend out, as a share of their length
+            labelPadding: 3, // Space around an edge label's text that other labels keep clear of
+            selfLoopSize: 60, // How far a self-loop reaches out from the node's rim
             textOffset: 8,
             edgePadding: 60, // Increased padding
             viewPadding: 100, // More view padding
             levelSpacing: 350, // Vertical spacing between levels
-            nodeSpacing: 250 // Minimum horizontal spacing between nodes
+            nodeSpacing: 250, // Minimum horizontal spacing between nodes
+            linkHitTolerance: 6, // Screen pixels around a link that still count as hovering it
+            dimmedOpacity: 0.15, // Opacity of elements outside the focused neighborhood
+            maxFocusHops: 10,
+            maxUndoSteps: 100,
+            // Zoom levels below which details too small to read are left out of the view
+            edgeLabelMinZoom: 0.4,
+            nodeLabelMinZoom: 0.25,
+            arrowMinZoom: 0.12
         };
         
         this.simulation = null;
+        this.width = 0; // Size of the view in CSS pixels
+        this.height = 0;
+        this.pixelRatio = 1; // Backing store pixels per CSS pixel of the context being drawn
+        this.pixelRatioQuery = null; // Media query that stops matching when the display's pixel ratio changes
+        this.handlePixelRatioChange = null;
+        this.exporting = false; // Set while rendering into an export context
         this.nodes = [];
         this.links = [];
+        this.activeNodes = []; // Nodes not hidden by a filter; these are simulated, drawn and hit-tested
+        this.activeLinks = [];
+        this.hiddenTypes = new Set();
+        this.hiddenRelationships = new Set();
+        this.hiddenNodes = new Set(); // Ids of nodes hidden one by one with hideNodes() or isolateNodes()
+        this.collapsedNodes = new Set(); // Ids of nodes whose descendants are collapsed into them
+        this.collapsedTypes = new Set(); // Types collapsed into a single aggregate node
+        this.typeAggregates = new Map(); // Type -> the aggregate node drawn for a collapsed type
+        this.collapsedMembers = new Map(); // Node inside a collapsed group -> the node drawn in its place
+        this.linkStandIns = new Map(); // Link re-routed to a collapsed group -> the link drawn in its place
+        this.linkBundles = new Map(); // Drawn link -> its place among parallel links, see computeLinkBundles()
+        this.encodingChannels = []; // Parsed encoding configuration, see applyEncodings()
+        this.encodings = []; // The channels with their scales fitted to the data
+        this.largestNodeExtent = 0; // How far the active nodes reach from their centre at most
+        this.theme = null; // Colours and fonts everything is drawn with, see applyTheme()
+        this.typeColors = new Map(); // Type without a colour in the data -> its place in the theme's palette
+        this.colorSchemeQuery = null; // Media query 'auto' themes follow
+        this.handleColorSchemeChange = null;
         this.transform = d3.zoomIdentity;
         this.minZoom = 0.05; // Lower min zoom to see more of large graphs
         this.maxZoom = 5;
         this.dragging = false;
-        this.selectedNode = null;
-        this.clusterThreshold = 3;
+        this.selectedNode = null; // The node whose info box is shown, always part of selectedNodes
+        this.selectedNodes = new Set(); // Every selected node, see selectNodes()
+        this.dragGroup = []; // Nodes moved by the current drag with their offset from the dragged node
+        this.lasso = null; // Screen points of the lasso being drawn
+        this.editMode = false;
+        this.connection = null; // Source node, pointer and target of the edge being drawn in edit mode
+        this.undoStack = []; // { action, data } snapshots taken before each edit
+        this.redoStack = [];
+        this.hoveredNode = null;
+        this.selectedLink = null;
+        this.hoveredLink = null;
+        this.listeners = {}; // Event name -> array of handlers registered with on()
+        this.focusMode = {
+            enabled: this.options.focusMode,
+            hops: this.options.focusHops,
+            direction: this.options.focusDirection
+        };
+        this.focusNeighborhood = null; // Nodes and links kept at full opacity, recomputed every draw
+        this.nodeIndex = null; // Quadtree of the active nodes for hit-testing, rebuilt after they moved
+        this.linkIndex = null; // The same for the active links, see getLinkIndex()
+        if (!LAYOUT_MODES.includes(this.options.layout)) {
+            console.error('Unknown layout:', this.options.layout, '- expected one of', LAYOUT_MODES.join(', '));
+            this.options.layout = 'default';
+        }
+        this.layout = { mode: this.options.layout, options: { ...this.options.layoutOptions } };
+        if (!EDGE_STYLES.includes(this.options.edgeStyle)) {
+            console.error('Unknown edge style:', this.options.edgeStyle, '- expected one of', EDGE_STYLES.join(', '));
+            this.options.edgeStyle = 'straight';
+        }
+        if (this.options.seed !== null && !Number.isFinite(this.options.seed)) {
+            console.error('Seed must be a number, got:', this.options.seed);
+            this.options.seed = null;
+        }
+        if (this.options.pixelRatio !== null && !(this.options.pixelRatio > 0 && Number.isFinite(this.options.pixelRatio))) {
+            console.error('Pixel ratio must be a number above 0, got:', this.options.pixelRatio);
+            this.options.pixelRatio = null;
+        }
+        // Every random choice goes through this, so a seed fixes the whole layout
+        this.random = this.options.seed !== null ? d3.randomLcg(this.options.seed) : Math.random;
+        this.layoutWidth = 0; // Size of the area the layout fills, independent of later resizes
+        this.layoutHeight = 0;
+        this.layoutPositions = null; // Node -> target position while a structured layout is active
+        this.resizeObserver = null;
+        this.handleResize = null; // Window resize listener, used where ResizeObserver isn't available
+        this.fitViewTimer = null;
+        this.saveStateTimer = null;
+        this.handleHashChange = null; // Applies a view state pasted into the address bar
+        this.destroyed = false;
         this.infoBox = {
             visible: false,
             x: 0,
@@ -62,25 +171,60 @@ class EdgeGraph {
     }
 
     init() {
+        // Colours come first, as resizing the canvas already draws. 'auto' themes follow the
+        // system's colour scheme.
+        if (!this.headless && typeof window.matchMedia === 'function') {
+            this.colorSchemeQuery = window.matchMedia('(prefers-color-scheme: light)');
+            this.handleColorSchemeChange = () => {
+                const previous = this.theme.name;
+                this.applyTheme();
+                if (this.theme.name !== previous) this.emit('themechange', { theme: this.theme.name });
+            };
+            this.colorSchemeQuery.addEventListener('change', this.handleColorSchemeChange);
+        }
+        this.applyTheme();
+
         // Setup canvas size
-        this.resizeCanvas();
-        window.addEventListener('resize', () => this.resizeCanvas());
+        if (this.headless) {
+            this.width = this.options.width || 1200;
+            this.height = this.options.height || 800;
+        } else {
+            this.resizeCanvas();
+            this.watchPixelRatio();
+
+            // Follow the container's size, which can change without the window resizing
+            this.handleResize = () => this.resizeCanvas();
+            if (typeof ResizeObserver !== 'undefined') {
+                this.resizeObserver = new ResizeObserver(this.handleResize);
+                this.resizeObserver.observe(this.container);
+            } else {
+                window.addEventListener('resize', this.handleResize);
+            }
+        }
+
+        // Lay out in the canvas size, or in a fixed area for seeded graphs so they come out
+        // the same on every screen
+        const fixedArea = this.headless || this.options.seed !== null;
+        this.layoutWidth = this.options.width || (fixedArea ? 1200 : this.width);
+        this.layoutHeight = this.options.height || (fixedArea ? 800 : this.height);
 
         // Process data
         this.processData(this.data);
 
-        // Position nodes intelligently by type rather than just in a circle
-        this.organizeInitialPositions();
+        // Position nodes for the chosen layout
+        const restored = this.applyInitialLayout();
 
-        // Setup zoom behavior first
-        this.setupZoom();
-        
-        // Fit view to content immediately with initial positions
-        this.fitViewToContent();
+        if (!this.headless) {
+            // Setup zoom behavior first
+            this.setupZoom();
+
+            // Fit view to content immediately with initial positions
+            this.fitViewToContent();
+        }
 
         // Setup force simulation with significantly increased spacing
-        this.simulation = d3.forceSimulation(this.nodes)
-            .force('link', d3.forceLink(this.links)
+        this.simulation = this.createSimulation(this.activeNodes)
+            .force('link', d3.forceLink(this.getSimulatedLinks())
                 .id(d => d.id)
                 .distance(d => {
                     // Dynamically set link distance based on relationship
@@ -90,1328 +234,4941 @@ class EdgeGraph {
                 .strength(-2500)  // Much stronger repulsion
                 .distanceMax(1500)) // Increased range substantially
             .force('collide', d3.forceCollide()
-                .radius(this.config.nodeRadius * 2.5)  // Even larger collision radius
+                .radius(node => this.getNodeRadius(node) * 2.5)  // Even larger collision radius
                 .strength(0.95)  // Near-maximum collision strength
                 .iterations(5))  // More iterations for better positioning
-            .force('center', d3.forceCenter(
-                this.canvas.width / 2,
-                this.canvas.height / 2)
-            )
-            // Use hierarchy-aware clustering force
-            .force('typeCluster', this.createTypeClusterForce())
-            // Add relationship-based positioning force
-            .force('relationshipPositioning', this.createRelationshipForce())
             // Reduce overall movement for more stability
             .velocityDecay(0.5) // Higher dampening
             .alphaMin(0.0005)
             .alphaDecay(0.01) // Slower decay for better settling
-            .on('tick', () => this.draw());
+            .randomSource(this.random)
+            .on('tick', () => this.draw())
+            .on('end', () => this.scheduleStateSave());
+
+        // Remember the stock strengths so they can be restored when switching layouts
+        this.defaultLinkStrength = this.simulation.force('link').strength();
+        this.defaultChargeStrength = this.simulation.force('charge').strength();
+
+        // Centering, clustering and positioning forces depend on the layout
+        this.applyLayoutForces();
+
+        // A fully saved layout is shown as it was instead of being laid out again
+        if (restored) {
+            this.simulation.alpha(0).stop();
+            this.draw();
+        }
+
+        // Headless graphs are ticked manually with runToConvergence()
+        if (this.headless) {
+            this.simulation.stop();
+            return;
+        }
 
         // Setup interactions
         this.setupDrag();
 
         // Setup click handler for node selection
         this.setupNodeSelection();
-    }
 
-    resizeCanvas() {
-        const rect = this.container.getBoundingClientRect();
-        this.canvas.width = rect.width;
-        this.canvas.height = rect.height;
-        
-        // Redraw after resize
-        this.draw();
-    }
+        // Add the search overlay on top of the canvas
+        if (this.options.search) {
+            this.createSearchBox();
+        }
 
-    processData(data) {
-        if (!data || !data.nodes || !data.edges) {
-            console.error('Invalid data format:', data);
-            return;
+        // Keyboard shortcuts for focus mode
+        this.setupKeyboard();
+
+        // Add the legend and filter panel
+        if (this.options.legend) {
+            this.createLegend();
         }
-        
-        try {
-            // Process nodes
-            this.nodes = data.nodes.map(node => ({
-                id: node.id,
-                label: node.label,
-                properties: node.properties,
-                color: data.colors[node.properties.type] || '#999999',
-                x: undefined,
-                y: undefined
-            }));
 
-            // Process edges with proper source and target references
-            this.links = data.edges.map(edge => ({
-                source: this.nodes.find(n => n.id === edge.source_node_id),
-                target: this.nodes.find(n => n.id === edge.target_node_id),
-                relationship: edge.relationship_name,
-                properties: edge.properties
-            }));
+        // Add the export buttons
+        if (this.options.toolbar) {
+            this.createToolbar();
+        }
 
-            // Pre-compute bidirectional pairs
-            this.bidirectionalPairs = new Map();
-            
-            for (let i = 0; i < this.links.length; i++) {
-                const link1 = this.links[i];
-                for (let j = i + 1; j < this.links.length; j++) {
-                    const link2 = this.links[j];
-                    if (link1.source.id === link2.target.id && link1.target.id === link2.source.id) {
-                        this.bidirectionalPairs.set(link1, link2);
-                        this.bidirectionalPairs.set(link2, link1);
-                        break;
-                    }
-                }
-            }
-        } catch (error) {
-            console.error('Error processing graph data:', error);
+        // Add the bulk actions shown while nodes are selected
+        if (this.options.selectionBar) {
+            this.createSelectionBar();
+        }
+
+        // Pick up where the last visit (or a shared link) left off
+        const savedState = this.loadSavedState();
+        if (savedState) {
+            this.setState(savedState);
+        }
+        if (this.options.urlHash) {
+            this.handleHashChange = () => {
+                const state = this.parseStateHash(window.location.hash);
+                if (state) this.setState(state);
+            };
+            window.addEventListener('hashchange', this.handleHashChange);
         }
     }
 
-    draw() {
-        this.clearCanvas();
-        
-        // Draw graph elements with transformation
-        this.ctx.save();
-        this.applyTransform();
-        this.drawLinks();
-        this.drawNodes();
-        this.ctx.restore();
-        
-        // Draw UI elements without transformation (in screen space)
-        if (this.selectedNode && this.infoBox.visible) {
-            this.drawInfoBox();
+    // Use the given canvas, or a canvas already inside the container, or create one that fills it
+    setupCanvas(canvas) {
+        canvas = canvas || this.container.querySelector(':scope > canvas');
+        if (!canvas) {
+            canvas = document.createElement('canvas');
+            canvas.style.cssText = 'position: absolute; top: 0; left: 0;';
+            this.container.appendChild(canvas);
+            this.ownsCanvas = true;
+        } else {
+            this.canvasSize = { width: canvas.style.width, height: canvas.style.height };
         }
         
-        // Draw logo if available
-        if (this.logoImage && this.logoImage.complete) {
-            this.drawLogo();
+        // The canvas and the overlays are positioned against the container
+        const position = getComputedStyle(this.container).position;
+        if (!position || position === 'static') {
+            this.containerPosition = this.container.style.position;
+            this.container.style.position = 'relative';
         }
+        
+        return canvas;
     }
 
-    clearCanvas() {
-        this.ctx.fillStyle = '#1a1a1a';
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    // Size the canvas to the container. The backing store has pixelRatio pixels per CSS pixel,
+    // so text and lines stay sharp on high-density displays, while everything else (the zoom
+    // transform, pointer positions, this.width and this.height) stays in CSS pixels.
+    resizeCanvas() {
+        const rect = this.container.getBoundingClientRect();
+        this.pixelRatio = this.getPixelRatio();
+        this.canvas.width = Math.round(rect.width * this.pixelRatio);
+        this.canvas.height = Math.round(rect.height * this.pixelRatio);
+        this.canvas.style.width = `${rect.width}px`;
+        this.canvas.style.height = `${rect.height}px`;
+        this.width = rect.width;
+        this.height = rect.height;
+        
+        // Redraw after resize
+        this.draw();
     }
 
-    applyTransform() {
-        this.ctx.translate(this.transform.x, this.transform.y);
-        this.ctx.scale(this.transform.k, this.transform.k);
+    // The pixelRatio option, or else the display's device pixel ratio
+    getPixelRatio() {
+        return this.options.pixelRatio || (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
     }
 
-    drawLinks() {
-        this.links.forEach(link => this.drawLink(link));
+    // Render again at the new pixel ratio when the display's changes, e.g. when the window
+    // moves to another monitor or the page is zoomed. The media query only matches the
+    // current ratio, so it is replaced after every change.
+    watchPixelRatio() {
+        if (this.pixelRatioQuery) {
+            this.pixelRatioQuery.removeEventListener('change', this.handlePixelRatioChange);
+            this.pixelRatioQuery = null;
+        }
+        if (this.options.pixelRatio || typeof window.matchMedia !== 'function') return;
+        
+        this.pixelRatioQuery = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+        this.handlePixelRatioChange = () => {
+            this.resizeCanvas();
+            if (this.legend) this.updateLegend();
+            this.watchPixelRatio();
+        };
+        this.pixelRatioQuery.addEventListener('change', this.handlePixelRatioChange);
     }
 
-    drawLink(link) {
-        const sourceNode = link.source;
-        const targetNode = link.target;
+    // Render at a fixed pixel ratio, e.g. 3 for crisp screenshots, or follow the display
+    // again with null
+    setPixelRatio(ratio) {
+        if (ratio !== null && !(ratio > 0 && Number.isFinite(ratio))) {
+            console.error('Pixel ratio must be a number above 0, got:', ratio);
+            return false;
+        }
         
-        if (sourceNode && targetNode && sourceNode.x != null && sourceNode.y != null && 
-            targetNode.x != null && targetNode.y != null) {
-            
-            const nodeRadius = this.config.nodeRadius;  // Match the new node size
-            // Calculate direction vector
-            const dx = targetNode.x - sourceNode.x;
-            const dy = targetNode.y - sourceNode.y;
-            const length = Math.sqrt(dx * dx + dy * dy);
-            
-            if (length === 0) return;
-
-            // Check if this is part of a bidirectional relationship
-            const bidirectionalPair = this.getBidirectionalPair(link);
-            
-            // Normalize direction vector
-            const unitX = dx / length;
-            const unitY = dy / length;
-
-            // Offset for bidirectional links
-            let offsetX = 0;
-            let offsetY = 0;
-            if (bidirectionalPair) {
-                offsetX = -unitY * this.config.bidirectionalOffset; // Perpendicular offset
-                offsetY = unitX * this.config.bidirectionalOffset;
-                // Only draw if this is the first of the pair
-                if (link.source.id > link.target.id) return;
-            }
-
-            // Calculate start and end points with offset
-            const startX = sourceNode.x + unitX * nodeRadius + offsetX;
-            const startY = sourceNode.y + unitY * nodeRadius + offsetY;
-            const endX = targetNode.x - unitX * nodeRadius + offsetX;
-            const endY = targetNode.y - unitY * nodeRadius + offsetY;
-
-            // Draw the line
-            this.ctx.beginPath();
-            this.ctx.moveTo(startX, startY);
-            this.ctx.lineTo(endX, endY);
-            this.ctx.strokeStyle = '#ffffff';
-            this.ctx.lineWidth = this.config.lineWidth;
-            this.ctx.stroke();
+        this.options.pixelRatio = ratio;
+        if (this.headless) return true;
+        this.resizeCanvas();
+        if (this.legend) this.updateLegend();
+        this.watchPixelRatio();
+        return true;
+    }
 
-            // Draw the arrow head
-            const arrowLength = this.config.arrowLength;  // Increased from 12 to 15
-            const arrowWidth = this.config.arrowWidth;
-            const angle = Math.atan2(dy, dx);
+    // Stop the simulation and remove every listener, overlay and element the graph added,
+    // so the container can be reused or removed. The graph can't be used afterwards.
+    destroy() {
+        if (this.destroyed) return;
+        this.destroyed = true;
 
-            this.ctx.beginPath();
-            this.ctx.moveTo(endX, endY);
-            this.ctx.lineTo(
-                endX - arrowLength * Math.cos(angle - arrowWidth),
-                endY - arrowLength * Math.sin(angle - arrowWidth)
-            );
-            this.ctx.lineTo(
-                endX - arrowLength * Math.cos(angle + arrowWidth),
-                endY - arrowLength * Math.sin(angle + arrowWidth)
-            );
-            this.ctx.closePath();
-            this.ctx.fillStyle = '#ffffff';
-            this.ctx.fill();
+        if (this.simulation) {
+            this.simulation.stop().on('tick', null);
+            if (this.simulation.terminate) {
+                this.simulation.terminate();
+            }
+        }
+        clearTimeout(this.fitViewTimer);
+        clearTimeout(this.saveStateTimer);
+        if (this.handleHashChange) {
+            window.removeEventListener('hashchange', this.handleHashChange);
+        }
+        if (this.colorSchemeQuery) {
+            this.colorSchemeQuery.removeEventListener('change', this.handleColorSchemeChange);
+        }
+        if (this.pixelRatioQuery) {
+            this.pixelRatioQuery.removeEventListener('change', this.handlePixelRatioChange);
+        }
+
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+        } else if (this.handleResize) {
+            window.removeEventListener('resize', this.handleResize);
+        }
 
-            // Calculate text position (always above the line)
-            const midX = (startX + endX) / 2;
-            const midY = (startY + endY) / 2;
+        if (this.canvas) {
+            // Cancels a running focusNode() animation and drops zoom, drag, pointer and key handlers
+            d3.select(this.canvas)
+                .interrupt()
+                .interrupt('layout')
+                .interrupt('collapse')
+                .on('.zoom', null)
+                .on('.drag', null)
+                .on('mousemove mouseleave click dblclick keydown', null);
+            this.canvas.style.cursor = '';
 
-            // Calculate angle but don't flip text
-            let textAngle = Math.atan2(dy, dx);
-            // Ensure text is always readable from left to right
-            if (textAngle > Math.PI / 2 || textAngle < -Math.PI / 2) {
-                textAngle = textAngle - Math.PI;
+            if (this.ownsCanvas) {
+                this.canvas.remove();
+            } else {
+                this.canvas.style.width = this.canvasSize.width;
+                this.canvas.style.height = this.canvasSize.height;
             }
+        }
 
-            // Draw relationship text
-            this.ctx.save();
-            this.ctx.translate(midX, midY);
-            this.ctx.rotate(textAngle);
+        [this.searchBox && this.searchBox.wrapper, this.legend && this.legend.panel, this.toolbar,
+            this.selectionBar && this.selectionBar.bar, this.editPanel]
+            .forEach(element => element && element.remove());
 
-            // Consistent text styling
-            this.ctx.font = this.config.font;
-            this.ctx.fillStyle = '#ffffff';
-            this.ctx.textAlign = 'center';
-            this.ctx.textBaseline = 'bottom';
-            this.ctx.fillText(link.relationship, 0, -this.config.textOffset);  // Changed from -10 to -6
+        if (this.containerPosition !== null) {
+            this.container.style.position = this.containerPosition;
+        }
+        if (!this.headless) {
+            this.getThemeProperties().forEach(([name]) => this.container.style.removeProperty(name));
+        }
 
-            this.ctx.restore();
+        if (this.logoImage) {
+            this.logoImage.onload = null;
+            this.logoImage.onerror = null;
+        }
 
-            // If bidirectional, draw the reverse relationship text
-            if (bidirectionalPair) {
-                // Draw reverse arrow at opposite offset
-                const reverseStartX = sourceNode.x + unitX * nodeRadius - offsetX;
-                const reverseStartY = sourceNode.y + unitY * nodeRadius - offsetY;
-                const reverseEndX = targetNode.x - unitX * nodeRadius - offsetX;
-                const reverseEndY = targetNode.y - unitY * nodeRadius - offsetY;
+        this.listeners = {};
+        this.ctx = null; // Anything still scheduled to draw becomes a no-op
+    }
 
-                // Draw reverse line
-                this.ctx.beginPath();
-                this.ctx.moveTo(reverseStartX, reverseStartY);
-                this.ctx.lineTo(reverseEndX, reverseEndY);
-                this.ctx.stroke();
+    // Register a handler for a graph event (click, hover, dragend, selectionchange, zoom)
+    on(eventName, handler) {
+        if (!this.listeners[eventName]) {
+            this.listeners[eventName] = [];
+        }
+        this.listeners[eventName].push(handler);
+        return this;
+    }
 
-                // Draw reverse arrow head
-                this.ctx.beginPath();
-                this.ctx.moveTo(reverseStartX, reverseStartY);
-                this.ctx.lineTo(
-                    reverseStartX + arrowLength * Math.cos(angle - arrowWidth),
-                    reverseStartY + arrowLength * Math.sin(angle - arrowWidth)
-                );
-                this.ctx.lineTo(
-                    reverseStartX + arrowLength * Math.cos(angle + arrowWidth),
-                    reverseStartY + arrowLength * Math.sin(angle + arrowWidth)
-                );
-                this.ctx.closePath();
-                this.ctx.fill();
+    // Remove a handler, or every handler for the event when none is given
+    off(eventName, handler) {
+        if (!this.listeners[eventName]) return this;
 
-                // Draw reverse relationship text with same styling
-                this.ctx.save();
-                this.ctx.translate((reverseStartX + reverseEndX) / 2, (reverseStartY + reverseEndY) / 2);
-                this.ctx.rotate(textAngle);
-                this.ctx.font = this.config.font;
-                this.ctx.fillStyle = '#ffffff';
-                this.ctx.textAlign = 'center';
-                this.ctx.textBaseline = 'bottom';
-                this.ctx.fillText(bidirectionalPair.relationship, 0, -this.config.textOffset);  // Changed from -10 to -6
-                this.ctx.restore();
-            }
+        if (handler) {
+            this.listeners[eventName] = this.listeners[eventName].filter(h => h !== handler);
+        } else {
+            delete this.listeners[eventName];
         }
+        return this;
     }
 
-    drawNodes() {
-        this.nodes.forEach(node => {
-            if (node.x == null || node.y == null) return;
-            if (!this.isNodeVisible(node)) return;
-            this.drawNode(node);
+    // Call every handler registered for the event and return the event object,
+    // so callers can check whether a handler called preventDefault()
+    emit(eventName, detail = {}) {
+        const event = {
+            type: eventName,
+            transform: this.transform,
+            defaultPrevented: false,
+            preventDefault() {
+                this.defaultPrevented = true;
+            },
+            ...detail
+        };
+
+        (this.listeners[eventName] || []).slice().forEach(handler => {
+            try {
+                handler.call(this, event);
+            } catch (error) {
+                console.error(`Error in "${eventName}" handler:`, error);
+            }
         });
+
+        // Keep the saved view state up to date with anything that changes it
+        if (['zoom', 'dragend', 'selectionchange', 'filterchange', 'layoutchange', 'pinchange'].includes(eventName)) {
+            this.scheduleStateSave();
+        }
+
+        return event;
     }
 
-    drawNode(node) {
-        if (node.x == null || node.y == null) return;
-        
-        const nodeRadius = this.config.nodeRadius;  // Increased node size
-        
-        // Draw node circle without border
-        this.ctx.beginPath();
-        this.ctx.arc(node.x, node.y, nodeRadius, 0, 2 * Math.PI);
-        this.ctx.fillStyle = node.color;
-        this.ctx.fill();
+    // Screen and simulation coordinates of a pointer event, for event payloads
+    getEventPosition(event) {
+        const point = d3.pointer(event, this.canvas);
+        return {
+            screen: { x: point[0], y: point[1] },
+            simulation: this.transformPointToSimulation(point)
+        };
+    }
 
-        // Draw node label inside the circle
-        this.ctx.fillStyle = '#ffffff';
-        this.ctx.font = this.config.boldFont;
-        this.ctx.textAlign = 'center';
-        this.ctx.textBaseline = 'middle';
+    // Validate and load a dataset; returns false, leaving the graph as it was, if it was rejected
+    processData(data) {
+        const result = validateGraphData(data, { mode: this.options.validation });
+        result.warnings.forEach(issue => console.warn('Graph data:', formatValidationIssue(issue)));
+        if (result.errors.length > 0) {
+            result.errors.forEach(issue => console.error('Invalid graph data:', formatValidationIssue(issue)));
+            return false;
+        }
         
-        // Wrap text to fit inside node
-        const maxWidth = nodeRadius * 1.5;  // Maximum width for text
-        const lines = this.wrapText(node.label, maxWidth);
-        const lineHeight = this.config.lineHeight;
-        const totalHeight = lines.length * lineHeight;
+        // Keep the cleaned copy, later updates modify its node and edge arrays
+        data = result.data;
+        this.data = data;
         
-        // Draw each line of text
-        lines.forEach((line, index) => {
-            const y = node.y - (totalHeight / 2) + (index * lineHeight) + (lineHeight / 2);
-            this.ctx.fillText(line, node.x, y);
-        });
-    }
+        try {
+            // Process nodes
+            this.nodes = data.nodes.map(node => this.createNode(node));
 
-    setupDrag() {
-        let draggedNode = null;
+            // Process edges with proper source and target references
+            const nodesById = new Map(this.nodes.map(node => [node.id, node]));
+            this.links = data.edges.map(edge => this.createLink(edge, nodesById));
 
-        const dragSubject = (event) => {
-            const point = d3.pointer(event, this.canvas);
-            const simPoint = this.transformPointToSimulation(point);
-            
-            return this.findNodeAtPoint(simPoint.x, simPoint.y);
-        };
+            // Channels set in the data's configuration replace the same channels from the options
+            const dataEncodings = (data.configuration && data.configuration.encodings) || {};
+            const optionEncodings = this.options.encodings || {};
+            const { channels, issues } = parseEncodings({
+                nodes: { ...optionEncodings.nodes, ...dataEncodings.nodes },
+                edges: { ...optionEncodings.edges, ...dataEncodings.edges }
+            });
+            issues.forEach(issue => console.warn('Encodings:', issue));
+            this.encodingChannels = channels;
+            this.applyEncodings();
 
-        const drag = d3.drag()
-            .container(this.canvas)
-            .filter(event => !event.button && !event.ctrlKey)
-            .subject(dragSubject)
-            .on('start', this.handleDragStart.bind(this))
-            .on('drag', this.handleDrag.bind(this))
-            .on('end', this.handleDragEnd.bind(this));
+            // Levels and adjacency, which collapsed groups are worked out from
+            this.computeNodeHierarchy();
 
-        d3.select(this.canvas).call(drag);
+            // Apply the type and relationship filters
+            this.updateActiveElements();
+        } catch (error) {
+            console.error('Error processing graph data:', error);
+        }
+        return true;
     }
 
-    transformPointToSimulation(point) {
+    // Build a simulation node from an input node record. Saved positions are kept, and
+    // fixed nodes are pinned there.
+    createNode(node) {
+        const simulationNode = {
+            id: node.id,
+            label: node.label,
+            properties: node.properties || {},
+            color: this.getTypeColor(this.getNodeType(node)),
+            x: node.x,
+            y: node.y
+        };
+        if (node.fixed && node.x !== undefined) {
+            simulationNode.fx = node.x;
+            simulationNode.fy = node.y;
+        }
+        return simulationNode;
+    }
+
+    // Build a simulation link from an input edge record, resolving node references by id
+    createLink(edge, nodesById) {
         return {
-            x: (point[0] - this.transform.x) / this.transform.k,
-            y: (point[1] - this.transform.y) / this.transform.k
+            source: nodesById.get(edge.source_node_id),
+            target: nodesById.get(edge.target_node_id),
+            relationship: edge.relationship_name,
+            properties: edge.properties
         };
     }
 
-    findNodeAtPoint(x, y) {
-        return this.nodes.find(n => {
-            if (n.x == null || n.y == null) return false;
-            const dx = x - n.x;
-            const dy = y - n.y;
-            return dx * dx + dy * dy < (this.config.nodeRadius * this.config.nodeRadius);
-        });
+    getNodeType(node) {
+        return node.properties && node.properties.type ? node.properties.type : 'default';
     }
 
-    handleDragStart(event) {
-        if (!event.subject) return;
-        
-        // Prevent info box from showing after a drag operation
-        this.infoBox.visible = false;
-        
-        this.draggedNode = event.subject;
-        this.dragging = true;
-        
-        // Set grabbing cursor during drag
-        document.body.style.cursor = 'grabbing';
-        
-        // Save original collision strength and increase during drag
-        this.originalCollideStrength = this.simulation.force('collide').strength();
-        this.simulation.force('collide')
-            .radius(this.config.nodeRadius * 1.6)  // Increased from 1.1 to 1.6
-            .strength(1);
+    // Colour of a node type: its colour in the data, or else a colour of the theme's palette.
+    // Types get palette colours in the order they first turn up, skipping colours the data
+    // already uses while there are others left.
+    getTypeColor(type) {
+        const colors = (this.data && this.data.colors) || {};
+        if (colors[type]) return colors[type];
         
-        // Fix node position
-        this.draggedNode.fx = this.draggedNode.x;
-        this.draggedNode.fy = this.draggedNode.y;
-        
-        // Don't completely stop the simulation, just reduce alpha
-        this.simulation.alphaTarget(0.1).restart();
+        if (!this.typeColors.has(type)) {
+            this.typeColors.set(type, this.typeColors.size);
+        }
+        const used = new Set(Object.values(colors).map(color => String(color).toLowerCase()));
+        const free = this.theme.palette.filter(color => !used.has(color.toLowerCase()));
+        const palette = free.length > 0 ? free : this.theme.palette;
+        return palette[this.typeColors.get(type) % palette.length];
     }
 
-    handleDrag(event) {
-        if (!this.draggedNode) return;
-        
-        // Get mouse position in simulation space
-        const point = this.transformPointToSimulation(d3.pointer(event, this.canvas));
-        
-        // Update node position
-        this.draggedNode.x = point.x;
-        this.draggedNode.y = point.y;
-        this.draggedNode.fx = point.x;
-        this.draggedNode.fy = point.y;
+    // CSS font in the theme's font family
+    getFont(size = this.config.fontSize, bold = false) {
+        return `${bold ? 'bold ' : ''}${size}px ${this.theme.fontFamily}`;
+    }
+
+    // Resolve the theme setting, following the system's colour scheme for 'auto', and
+    // recolour everything with it
+    applyTheme() {
+        const prefersLight = Boolean(this.colorSchemeQuery && this.colorSchemeQuery.matches);
+        const { theme, issues } = resolveTheme(this.options.theme, { prefersLight });
+        issues.forEach(issue => console.warn('Theme:', issue));
+        this.theme = theme;
         
-        // Apply collision avoidance - push other nodes away
-        this.applyCollisionAvoidance();
+        this.nodes.forEach(node => {
+            node.color = this.getTypeColor(this.getNodeType(node));
+        });
+        this.typeAggregates.forEach((aggregate, type) => {
+            aggregate.color = this.getTypeColor(type);
+        });
+        if (this.headless) return;
         
+        // The overlays are styled with these properties, so they follow without being rebuilt
+        this.getThemeProperties().forEach(([name, value]) => this.container.style.setProperty(name, value));
+        if (this.legend) this.updateLegend();
+        if (this.searchBox) this.renderSearchResults();
+        if (this.editPanel) this.updateEditPanel();
         this.draw();
     }
 
-    handleDragEnd() {
-        if (!this.draggedNode) return;
-        
-        this.dragging = false;
-        
-        // Reset cursor
-        document.body.style.cursor = 'default';
-        
-        // Restore original collision settings
-        this.simulation.force('collide')
-            .radius(this.config.nodeRadius * 1.5)
-            .strength(this.originalCollideStrength || 0.8);
-        
-        this.draggedNode = null;
-        
-        // Restart simulation but with lower alpha - just enough to adjust other nodes
-        this.simulation.alphaTarget(0).alpha(0.1).restart();
+    // The theme's colours and font as CSS custom properties, e.g. --edge-graph-panel-text
+    getThemeProperties() {
+        return Object.keys(THEMES.dark)
+            .filter(key => typeof THEMES.dark[key] === 'string')
+            .map(key => [`--edge-graph-${key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`, this.theme[key]]);
     }
 
-    expandCluster(node) {
-        console.log('Expanding node:', node);
-        
-        if (!node.originalData.children || node.originalData.children.length === 0) {
-            console.log('No children to expand');
-            return;
+    // Switch themes at runtime: 'auto', a name from THEME_NAMES, or an object with the values
+    // to replace and the `base` theme to replace them in
+    setTheme(theme) {
+        const isName = typeof theme === 'string' && (theme === 'auto' || THEME_NAMES.includes(theme));
+        if (!isName && (!theme || typeof theme !== 'object' || Array.isArray(theme))) {
+            console.error('Unknown theme:', theme, '- expected auto, one of', THEME_NAMES.join(', '), 'or a theme object');
+            return false;
         }
         
-        // Mark the node as expanded
-        node.collapsed = false;
-        
-        const angleStep = (2 * Math.PI) / node.originalData.children.length;
-        const radius = 100; // Distance from parent
-        
-        node.originalData.children.forEach((childData, index) => {
-            const angle = index * angleStep;
-            
-            const childNode = {
-                id: childData.id,
-                children: [],
-                depth: node.depth + 1,
-                collapsed: childData.children && childData.children.length > this.clusterThreshold,
-                childCount: childData.children ? childData.children.length : 0,
-                originalData: childData,
-                // Position around parent with some randomness
-                x: node.x + radius * Math.cos(angle) * (0.9 + Math.random() * 0.2),
-                y: node.y + radius * Math.sin(angle) * (0.9 + Math.random() * 0.2)
-            };
-            
-            this.nodes.push(childNode);
-            this.links.push({
-                source: node.id,
-                target: childNode.id
+        this.options.theme = theme;
+        this.applyTheme();
+        this.emit('themechange', { theme: this.theme.name });
+        return true;
+    }
+
+    // Fit the encoding scales to the current data and store the encoded values on every
+    // node and link as `encoded`, e.g. { radius, shape } or { color, dash }. Whatever isn't
+    // encoded keeps its regular look, and so do type aggregates and merged links.
+    applyEncodings() {
+        this.encodings = createEncodings(this.encodingChannels, this.nodes, this.links);
+        [...this.nodes, ...this.links].forEach(item => {
+            item.encoded = {};
+        });
+        this.encodings.forEach(encoding => {
+            (encoding.target === 'nodes' ? this.nodes : this.links).forEach(item => {
+                const value = encoding.valueOf(item);
+                if (value !== undefined) item.encoded[encoding.channel] = value;
             });
-            node.children.push(childNode);
         });
-        
-        // Update simulation with higher alpha to ensure proper layout
-        this.simulation.nodes(this.nodes);
-        this.simulation.force('link').links(this.links);
-        this.simulation.alpha(1).restart();
     }
 
-    collapseCluster(node) {
-        console.log('Collapsing node:', node);
+    getNodeRadius(node) {
+        return (node.encoded && node.encoded.radius) || this.config.nodeRadius;
+    }
+
+    getNodeShape(node) {
+        return (node.encoded && node.encoded.shape) || 'circle';
+    }
+
+    // How far a node's outline reaches from its centre at most
+    getNodeExtent(node) {
+        return getShapeExtent(this.getNodeShape(node), this.getNodeRadius(node));
+    }
+
+    // Point where a path leaving `node` from `offset` (relative to its centre) in the
+    // direction of `toward` crosses the node's outline
+    getOutlinePoint(node, toward, offset = { x: 0, y: 0 }) {
+        const dx = toward.x - node.x - offset.x;
+        const dy = toward.y - node.y - offset.y;
+        const length = Math.sqrt(dx * dx + dy * dy) || 1;
+        const distance = distanceToOutline(this.getNodeShape(node), this.getNodeRadius(node),
+            offset.x, offset.y, dx / length, dy / length);
+        return {
+            x: node.x + offset.x + (dx / length) * distance,
+            y: node.y + offset.y + (dy / length) * distance
+        };
+    }
+
+    // Split off the nodes and links that survive the type and relationship filters.
+    // Links disappear with either of their endpoints. Nodes inside a collapsed group are
+    // replaced by the group's node, and their links are re-routed to it.
+    updateActiveElements() {
+        const visibleNodes = this.nodes.filter(node =>
+            !this.hiddenTypes.has(this.getNodeType(node)) && !this.hiddenNodes.has(node.id)
+        );
+        const visibleNodeSet = new Set(visibleNodes);
         
-        // Mark the node as collapsed
-        node.collapsed = true;
+        this.collapsedMembers = this.getCollapsedMembers(visibleNodeSet);
+        this.activeNodes = visibleNodes.filter(node => !this.collapsedMembers.has(node));
+        this.typeAggregates.forEach(aggregate => {
+            if (aggregate.collapsedCount > 0) this.activeNodes.push(aggregate);
+        });
         
-        // Remove all descendant nodes and their links
-        const descendantIds = new Set();
-        const getDescendants = (n) => {
-            n.children.forEach(child => {
-                descendantIds.add(child.id);
-                getDescendants(child);
-            });
-        };
-        getDescendants(node);
+        // Re-routed links between the same two nodes with the same relationship are drawn once
+        const standIn = node => this.collapsedMembers.get(node) || node;
+        const previousLinks = new Map([...this.linkStandIns.values()].map(link => [link.key, link]));
+        const mergedLinks = new Map();
+        this.activeLinks = [];
+        this.linkStandIns = new Map();
+        this.links.forEach(link => {
+            if (!visibleNodeSet.has(link.source) || !visibleNodeSet.has(link.target) ||
+                this.hiddenRelationships.has(link.relationship)) return;
+
+            const source = standIn(link.source);
+            const target = standIn(link.target);
+            if (source === link.source && target === link.target) {
+                this.activeLinks.push(link);
+                return;
+            }
+            if (source === target) return; // Inside a collapsed group
+
+            const endpointKey = node => (node.aggregate ? ['type', node.aggregate.type] : node.id);
+            const key = JSON.stringify([endpointKey(source), endpointKey(target), link.relationship]);
+            let merged = mergedLinks.get(key);
+            if (!merged) {
+                // Reuse the link from the last update so it stays selected
+                merged = previousLinks.get(key) || { key, relationship: link.relationship, properties: {} };
+                Object.assign(merged, { source, target, links: [] });
+                mergedLinks.set(key, merged);
+                this.activeLinks.push(merged);
+            }
+            merged.links.push(link);
+            this.linkStandIns.set(link, merged);
+        });
         
-        // Filter out the descendants
-        this.nodes = this.nodes.filter(n => !descendantIds.has(n.id));
-        this.links = this.links.filter(l => 
-            !descendantIds.has(l.source.id) && 
-            !descendantIds.has(l.target.id)
+        this.computeLinkBundles();
+        this.largestNodeExtent = this.activeNodes.reduce(
+            (largest, node) => Math.max(largest, this.getNodeExtent(node)), this.config.nodeRadius
         );
+    }
+
+    // Map every visible node inside a collapsed node or type to the node drawn in its place,
+    // and count the nodes each of those stands for
+    getCollapsedMembers(visibleNodeSet) {
+        const groupOf = new Map();
+        this.nodes.forEach(node => {
+            node.collapsedCount = 0;
+        });
+        
+        // Outer nodes first, so a collapsed node inside another one is part of the outer group
+        const roots = this.nodes
+            .filter(node => this.collapsedNodes.has(node.id) && visibleNodeSet.has(node))
+            .sort((a, b) => a.level - b.level);
+        roots.forEach(root => {
+            if (groupOf.has(root)) return;
+            this.getDescendants(root).forEach(node => {
+                if (visibleNodeSet.has(node) && !groupOf.has(node)) groupOf.set(node, root);
+            });
+        });
         
-        // Clear the node's children array
-        node.children = [];
+        // A collapsed type takes in the rest of its nodes, including collapsed nodes of that type
+        this.typeAggregates.forEach((aggregate, type) => {
+            aggregate.collapsedCount = 0;
+            aggregate.color = this.getTypeColor(type);
+        });
+        this.collapsedTypes.forEach(type => {
+            const members = [...visibleNodeSet].filter(node => this.getNodeType(node) === type && !groupOf.has(node));
+            if (members.length === 0) return;
+            const aggregate = this.getTypeAggregate(type, members);
+            members.forEach(node => groupOf.set(node, aggregate));
+        });
         
-        // Update simulation
-        this.simulation.nodes(this.nodes);
-        this.simulation.force('link').links(this.links);
-        this.simulation.alpha(1).restart();
+        // Members of a group that itself collapsed into another one belong to the outer group
+        const resolved = new Map();
+        groupOf.forEach((group, node) => {
+            while (groupOf.has(group)) group = groupOf.get(group);
+            resolved.set(node, group);
+            group.collapsedCount++;
+        });
+        return resolved;
     }
 
-    getBidirectionalPair(link) {
-        return this.bidirectionalPairs.get(link);
+    // The node standing in for a collapsed type, created in the middle of its members
+    getTypeAggregate(type, members) {
+        let aggregate = this.typeAggregates.get(type);
+        if (!aggregate) {
+            const placed = members.filter(node => node.x != null && node.y != null);
+            aggregate = {
+                id: `type:${type}`,
+                label: type,
+                properties: { type },
+                color: this.getTypeColor(type),
+                aggregate: { type },
+                collapsedCount: 0,
+                x: placed.length > 0 ? placed.reduce((sum, node) => sum + node.x, 0) / placed.length : undefined,
+                y: placed.length > 0 ? placed.reduce((sum, node) => sum + node.y, 0) / placed.length : undefined
+            };
+            this.typeAggregates.set(type, aggregate);
+        }
+        return aggregate;
     }
 
-    // Add this helper function to the class to wrap text
-    wrapText(text, maxWidth) {
+    // Nodes below a node in the hierarchy: everything reachable along outgoing links that lead
+    // to a deeper level, so a cycle never pulls in the node's own ancestors
+    getDescendants(node) {
+        const descendants = new Set();
+        const queue = [node];
+        while (queue.length > 0) {
+            const current = queue.shift();
+            (this.adjacency.outgoing.get(current.id) || []).forEach(({ node: child }) => {
+                if (child !== node && child.level > current.level && !descendants.has(child)) {
+                    descendants.add(child);
+                    queue.push(child);
+                }
+            });
+        }
+        return descendants;
+    }
+
+    // Show or hide every node of a type together with its edges
+    setTypeVisibility(type, visible) {
+        if (visible) {
+            this.hiddenTypes.delete(type);
+        } else {
+            this.hiddenTypes.add(type);
+        }
+        this.applyFilters();
+    }
+
+    // Show or hide every edge with the given relationship name
+    setRelationshipVisibility(relationship, visible) {
+        if (visible) {
+            this.hiddenRelationships.delete(relationship);
+        } else {
+            this.hiddenRelationships.add(relationship);
+        }
+        this.applyFilters();
+    }
+
+    // Hidden elements leave the simulation so the rest of the graph can close the gaps
+    applyFilters() {
+        this.refreshGraph();
+        this.emit('filterchange', {
+            hiddenTypes: [...this.hiddenTypes],
+            hiddenRelationships: [...this.hiddenRelationships],
+            hiddenNodes: [...this.hiddenNodes]
+        });
+    }
+
+    // Give every drawn link its place among the links between the same two nodes, in either
+    // direction. Parallel links fan out evenly to both sides of the straight line between
+    // the nodes (with an odd count the middle one stays straight), self-loops are stacked
+    // around each other. linkBundles maps each link to { offset }, or { loop: index,
+    // neighbours } with the nodes the loop's node is linked to, which it turns away from.
+    computeLinkBundles() {
+        this.linkBundles = new Map();
+        const bundles = new Map(); // Frame source -> frame target -> links
+
+        this.activeLinks.forEach(link => {
+            const [from, to] = this.getLinkFrame(link);
+            if (!bundles.has(from)) bundles.set(from, new Map());
+            const targets = bundles.get(from);
+            if (!targets.has(to)) targets.set(to, []);
+            targets.get(to).push(link);
+        });
+
+        const neighbours = new Map(); // Node with a self-loop -> the other ends of its links
+        bundles.forEach((targets, from) => targets.forEach((links, to) => {
+            if (from === to) {
+                neighbours.set(from, []);
+                return;
+            }
+            links.forEach((link, i) => {
+                this.linkBundles.set(link, { offset: (i - (links.length - 1) / 2) * this.config.parallelLinkSpacing });
+            });
+        }));
+        this.activeLinks.forEach(link => {
+            if (link.source === link.target) return;
+            if (neighbours.has(link.source)) neighbours.get(link.source).push(link.target);
+            if (neighbours.has(link.target)) neighbours.get(link.target).push(link.source);
+        });
+        neighbours.forEach((others, node) => {
+            bundles.get(node).get(node).forEach((link, i) => {
+                this.linkBundles.set(link, { loop: i, neighbours: others });
+            });
+        });
+    }
+
+    // Links the link force pulls on. A self-loop has nothing to pull together.
+    getSimulatedLinks() {
+        return this.activeLinks.filter(link => link.source !== link.target);
+    }
+
+    // The force simulation, ticking on the main thread, or in a Web Worker that streams the
+    // positions back when the worker option is set. Headless graphs always tick here.
+    createSimulation(nodes) {
+        const { worker } = this.options;
+        if (!worker || this.headless) {
+            return d3.forceSimulation(nodes);
+        }
+        return new WorkerSimulation(nodes, {
+            ...(typeof worker === 'object' ? worker : {}),
+            seed: this.options.seed
+        });
+    }
+
+    // Tick the simulation until it has cooled down, without drawing in between
+    runToConvergence() {
+        const ticks = Math.ceil(
+            Math.log(this.simulation.alphaMin() / this.simulation.alpha()) /
+            Math.log(1 - this.simulation.alphaDecay())
+        );
+        this.simulation.stop();
+        if (ticks > 0) {
+            this.simulation.tick(ticks);
+        }
+    }
+
+    // Replace the whole dataset, keeping the positions of nodes that are still present.
+    // Returns false, leaving the graph as it was, if the data was rejected.
+    setData(data) {
+        // Remember where every existing node is so it doesn't jump around
+        const previous = new Map(this.nodes.map(node => [node.id, node]));
+        const previousLinkIndex = this.links.indexOf(this.selectedLink);
+
+        if (!this.processData(data)) {
+            return false;
+        }
+
+        this.nodes.forEach(node => {
+            const old = previous.get(node.id);
+            if (!old) return;
+            node.x = old.x;
+            node.y = old.y;
+            node.vx = old.vx;
+            node.vy = old.vy;
+            node.fx = old.fx;
+            node.fy = old.fy;
+            node.collapsedOffset = old.collapsedOffset;
+        });
+
+        this.hoveredNode = null;
+        const byId = new Map(this.nodes.map(n => [n.id, n]));
+        [this.hiddenNodes, this.collapsedNodes].forEach(ids => ids.forEach(id => {
+            if (!byId.has(id)) ids.delete(id);
+        }));
+
+        // Keep the selection pointing at the new node objects, dropping nodes that are gone
+        if (this.selectedNodes.size > 0) {
+            const selected = [...this.selectedNodes].map(n => byId.get(n.id)).filter(Boolean);
+            const primary = (this.selectedNode && byId.get(this.selectedNode.id)) || null;
+            if (selected.length === this.selectedNodes.size) {
+                this.selectedNode = primary;
+                this.selectedNodes = new Set(selected);
+            } else {
+                this.setSelection(primary || selected[selected.length - 1] || null, null,
+                    this.infoBox.visible && primary !== null, selected);
+            }
+        }
+
+        // Same for the selected link. An edited edge keeps its place in the edge list, so
+        // it is found there even after its relationship was renamed.
+        if (this.selectedLink) {
+            const old = this.selectedLink;
+            const sameEnds = link => link && link.source.id === old.source.id && link.target.id === old.target.id;
+            const atIndex = this.links[previousLinkIndex];
+            this.selectedLink = (sameEnds(atIndex) ? atIndex : null) ||
+                this.links.find(link => sameEnds(link) && link.relationship === old.relationship) ||
+                old; // Dropped by refreshGraph(), which reports the change
+        }
+
+        this.refreshGraph();
+        return true;
+    }
+
+    // Add nodes (and optionally edges between them) in the input data format
+    addNodes(nodes, edges = []) {
+        const added = this.validateAdditions(nodes, edges);
+        added.nodes.forEach(node => {
+            this.data.nodes.push(node);
+            this.nodes.push(this.createNode(node));
+        });
+
+        this.addEdges(added.edges);
+        this.refreshGraph();
+    }
+
+    // Check nodes and edges added at runtime the way loaded data is checked, leniently and
+    // against the nodes already in the graph. Returns the records that can be added, with
+    // their properties filled in; the rest are reported together in one warning.
+    validateAdditions(nodes, edges) {
+        const result = validateGraphData({ nodes, edges, colors: {} }, {
+            mode: 'lenient',
+            existingIds: this.nodes.map(node => node.id)
+        });
+        if (result.errors.length > 0) {
+            result.errors.forEach(issue => console.error('Invalid graph data:', formatValidationIssue(issue)));
+            return { nodes: [], edges: [] };
+        }
+        if (result.warnings.length > 0) {
+            const { dropped } = result;
+            console.warn(
+                `Graph data: ${result.warnings.length} problem(s) in the added data, ` +
+                `${dropped.nodes} node(s) and ${dropped.edges} edge(s) skipped:`,
+                result.warnings.map(formatValidationIssue)
+            );
+        }
+        return result.data;
+    }
+
+    // Remove nodes by id together with every edge touching them
+    removeNodes(ids) {
+        const removed = new Set(ids);
+        removed.forEach(id => {
+            this.hiddenNodes.delete(id);
+            this.collapsedNodes.delete(id);
+        });
+
+        this.data.nodes = this.data.nodes.filter(n => !removed.has(n.id));
+        this.data.edges = this.data.edges.filter(e =>
+            !removed.has(e.source_node_id) && !removed.has(e.target_node_id)
+        );
+
+        this.nodes = this.nodes.filter(n => !removed.has(n.id));
+        this.links = this.links.filter(l =>
+            !removed.has(l.source.id) && !removed.has(l.target.id)
+        );
+
+        if (this.selectedNode && removed.has(this.selectedNode.id)) {
+            this.selectNode(null);
+        }
+        if (this.hoveredNode && removed.has(this.hoveredNode.id)) {
+            this.hoveredNode = null;
+        }
+
+        this.refreshGraph();
+    }
+
+    // Add and/or remove edges; removals match on source, target and relationship name
+    updateEdges({ add = [], remove = [] } = {}) {
+        const matches = (edge, source, target, relationship) =>
+            edge.source_node_id === source &&
+            edge.target_node_id === target &&
+            (edge.relationship_name === undefined || edge.relationship_name === relationship);
+
+        if (remove.length > 0) {
+            this.data.edges = this.data.edges.filter(e =>
+                !remove.some(r => matches(r, e.source_node_id, e.target_node_id, e.relationship_name))
+            );
+            this.links = this.links.filter(l =>
+                !remove.some(r => matches(r, l.source.id, l.target.id, l.relationship))
+            );
+        }
+
+        this.addEdges(this.validateAdditions([], add).edges);
+        this.refreshGraph();
+    }
+
+    // Append edges that passed validateAdditions(), so both their endpoints exist
+    addEdges(edges) {
+        const nodesById = new Map(this.nodes.map(node => [node.id, node]));
+        edges.forEach(edge => {
+            this.data.edges.push(edge);
+            this.links.push(this.createLink(edge, nodesById));
+        });
+    }
+
+    // Recompute derived structures after the data changed and gently reheat the simulation
+    refreshGraph() {
+        this.computeNodeHierarchy();
+        this.placeNewNodes();
+        this.applyEncodings();
+        this.updateActiveElements();
+        this.nodeIndex = null;
+        this.linkIndex = null;
+
+        // Drop references to links that are no longer part of the graph or are filtered out
+        if (this.selectedLink && !this.activeLinks.includes(this.selectedLink)) {
+            this.selectEdge(null);
+        }
+        if (this.hoveredLink && !this.activeLinks.includes(this.hoveredLink)) {
+            this.hoveredLink = null;
+        }
+        const activeNodeSet = new Set(this.activeNodes);
+        const keptNodes = [...this.selectedNodes].filter(node => activeNodeSet.has(node));
+        if (keptNodes.length !== this.selectedNodes.size) {
+            const primary = activeNodeSet.has(this.selectedNode) ? this.selectedNode : keptNodes[keptNodes.length - 1] || null;
+            this.setSelection(primary, null, this.infoBox.visible && primary === this.selectedNode, keptNodes);
+        }
+        if (this.hoveredNode && !this.activeNodes.includes(this.hoveredNode)) {
+            this.hoveredNode = null;
+        }
+
+        this.simulation.nodes(this.activeNodes);
+        this.simulation.force('link').links(this.getSimulatedLinks());
+        this.applyLayoutForces();
+
+        // Small alpha so existing nodes settle instead of re-laying out from scratch
+        this.simulation.alpha(0.3).restart();
+
+        if (this.legend) {
+            this.updateLegend();
+        }
+    }
+
+    // Give nodes without a position a starting point next to their placed neighbours.
+    // Nodes without placed neighbours go to the given point, by default the view's centre.
+    placeNewNodes(center = null) {
+        const spread = this.config.nodeRadius * 2;
+
+        this.nodes.forEach(node => {
+            if (node.x != null && node.y != null) return;
+
+            const neighbours = [
+                ...(this.adjacency.outgoing.get(node.id) || []),
+                ...(this.adjacency.incoming.get(node.id) || [])
+            ].map(entry => entry.node).filter(neighbour => neighbour.x != null);
+
+            let x, y;
+            if (neighbours.length > 0) {
+                x = neighbours.reduce((sum, n) => sum + n.x, 0) / neighbours.length;
+                y = neighbours.reduce((sum, n) => sum + n.y, 0) / neighbours.length;
+            } else if (center) {
+                ({ x, y } = center);
+            } else {
+                // No placed neighbours, drop it in the middle of the current view
+                x = (this.width / 2 - this.transform.x) / this.transform.k;
+                y = (this.height / 2 - this.transform.y) / this.transform.k;
+            }
+
+            node.x = x + (this.random() - 0.5) * spread;
+            node.y = y + (this.random() - 0.5) * spread;
+        });
+    }
+
+    draw() {
+        // Every frame may show nodes somewhere else, so the hit-testing indexes are rebuilt when next needed
+        this.nodeIndex = null;
+        this.linkIndex = null;
+        if (!this.ctx) return; // Headless graphs only draw into export contexts
+        
+        this.ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+        this.clearCanvas();
+        
+        // Work out what stays fully visible while focus mode is on
+        this.focusNeighborhood = this.getFocusNeighborhood();
+        
+        // Draw graph elements with transformation
+        this.ctx.save();
+        this.applyTransform();
+        this.drawLinks();
+        if (this.connection && !this.exporting) {
+            this.drawConnection();
+        }
+        this.drawNodes();
+        this.ctx.restore();
+        
+        // Draw UI elements without transformation (in screen space), except in exported images.
+        // In edit mode the edit panel takes the place of the info box.
+        if ((this.selectedNode || this.selectedLink) && this.infoBox.visible && !this.editMode && !this.exporting) {
+            this.drawInfoBox();
+        }
+        
+        if (this.focusMode.enabled && !this.exporting) {
+            this.drawFocusIndicator();
+        }
+        
+        if (this.editMode && !this.exporting) {
+            this.drawEditIndicator();
+        }
+        
+        if (this.lasso && !this.exporting) {
+            this.drawLasso();
+        }
+        
+        // Draw logo if available
+        if (this.logoImage && this.logoImage.complete) {
+            this.drawLogo();
+        }
+    }
+
+    clearCanvas() {
+        this.ctx.fillStyle = this.theme.background;
+        this.ctx.fillRect(0, 0, this.width, this.height);
+    }
+
+    applyTransform() {
+        this.ctx.translate(this.transform.x, this.transform.y);
+        this.ctx.scale(this.transform.k, this.transform.k);
+    }
+
+    // What is drawn at the current zoom level. Edge labels go first as the view zooms out,
+    // then node labels, then arrow heads. Exports always include everything.
+    getDetailLevel() {
+        const all = this.exporting || !this.options.levelOfDetail;
+        const k = this.transform.k;
+        return {
+            edgeLabels: all || k >= this.config.edgeLabelMinZoom,
+            nodeLabels: all || k >= this.config.nodeLabelMinZoom,
+            arrows: all || k >= this.config.arrowMinZoom
+        };
+    }
+
+    // Links outside the view are skipped. Lines go first, so labels are drawn on top of all
+    // of them. Without labels, the hovered or selected link still shows its own.
+    drawLinks() {
+        const detail = this.getDetailLevel();
+        const bounds = this.getViewBounds();
+        const links = this.activeLinks.filter(link => this.isLinkVisible(link, bounds));
+        
+        const drawn = this.drawLinkBatches(links, detail);
+        this.drawLinkLabels(detail.edgeLabels ? drawn : drawn.filter(({ style }) => style.highlighted));
+    }
+
+    // Draw the lines and arrow heads of links with the same style as one path each, which
+    // is much faster than stroking them one by one. Highlighted links are drawn on top.
+    // Returns the drawn links as { link, segment, style }, the highlighted ones last.
+    drawLinkBatches(links, detail) {
+        const batches = new Map(); // Style key -> { style, segments }
+        const drawn = [];
+        const highlighted = [];
+        
+        links.forEach(link => {
+            const segment = this.getLinkSegment(link);
+            if (!segment) return;
+
+            const style = this.getLinkStyle(link);
+            if (style.highlighted) {
+                highlighted.push({ link, segment, style });
+                return;
+            }
+            drawn.push({ link, segment, style });
+            const key = `${style.color}|${style.lineWidth}|${style.dash}|${style.alpha}`;
+            if (!batches.has(key)) batches.set(key, { style, segments: [] });
+            batches.get(key).segments.push(segment);
+        });
+        
+        batches.forEach(({ style, segments }) => {
+            this.ctx.globalAlpha = style.alpha;
+            this.ctx.beginPath();
+            segments.forEach(segment => this.traceLinkPath(segment));
+            this.ctx.strokeStyle = style.color;
+            this.ctx.lineWidth = style.lineWidth;
+            this.ctx.setLineDash(style.dash);
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+
+            if (detail.arrows) {
+                this.ctx.beginPath();
+                segments.forEach(segment => this.traceArrowHead(segment, style.arrowLength));
+                this.ctx.fillStyle = style.color;
+                this.ctx.fill();
+            }
+        });
+        this.ctx.globalAlpha = 1;
+        
+        highlighted.forEach(({ link, segment }) => {
+            this.drawLinkSegment(link, segment, detail);
+        });
+        return drawn.concat(highlighted);
+    }
+
+    // Colour, width, dash pattern and opacity of a link's line, and the length of its arrow
+    // head, which grows with wide lines. Links merged into a collapsed group look like the
+    // first link they stand for.
+    getLinkStyle(link) {
+        const highlighted = link === this.hoveredLink || link === this.selectedLink;
+        const encoded = (link.links ? link.links[0].encoded : link.encoded) || {};
+        const width = encoded.width || this.theme.lineWidth;
+        return {
+            highlighted,
+            color: highlighted ? this.theme.highlight : encoded.color || this.theme.edge,
+            lineWidth: highlighted ? width * 2 : width,
+            dash: encoded.dash || [],
+            arrowLength: Math.max(this.config.arrowLength, width * 4),
+            alpha: this.isLinkDimmed(link) ? this.config.dimmedOpacity : 1
+        };
+    }
+
+    // Compute the drawn path of a link, from the rim of its source node to the rim of its target.
+    // Straight links have no `controls` or `corners`. Curved and parallel links bend through
+    // one control point (a quadratic curve), self-loops through two (a cubic one), and
+    // orthogonal links turn at their `corners`.
+    getLinkSegment(link) {
+        const sourceNode = link.source;
+        const targetNode = link.target;
+        
+        if (!sourceNode || !targetNode || sourceNode.x == null || sourceNode.y == null ||
+            targetNode.x == null || targetNode.y == null) {
+            return null;
+        }
+
+        const bundle = this.linkBundles.get(link) || { offset: 0 };
+        if (bundle.loop !== undefined) {
+            return this.getSelfLoopSegment(sourceNode, bundle.loop, this.getFreeAngle(sourceNode, bundle.neighbours));
+        }
+
+        // Offsets are measured in the frame shared by all links between the two nodes,
+        // so links in opposite directions end up on different sides
+        const [frameSource, frameTarget] = this.getLinkFrame(link);
+        const dx = frameTarget.x - frameSource.x;
+        const dy = frameTarget.y - frameSource.y;
+        const length = Math.sqrt(dx * dx + dy * dy);
+        
+        if (length === 0) return null;
+        if (this.options.edgeStyle === 'orthogonal') {
+            return this.getOrthogonalSegment(link, bundle.offset);
+        }
+
+        // Curved links bend to one side of their own direction, so links in opposite
+        // directions bend apart
+        const bend = this.options.edgeStyle === 'curved'
+            ? length * this.config.edgeCurvature * (frameSource === sourceNode ? 1 : -1)
+            : 0;
+        const offset = bundle.offset + bend;
+
+        // The middle of a quadratic curve lies halfway to its control point
+        const controls = offset === 0 ? [] : [{
+            x: (sourceNode.x + targetNode.x) / 2 - (dy / length) * offset * 2,
+            y: (sourceNode.y + targetNode.y) / 2 + (dx / length) * offset * 2
+        }];
+
+        // Leave and enter the nodes in the direction the path starts and ends in
+        const start = this.getOutlinePoint(sourceNode, controls[0] || targetNode);
+        const end = this.getOutlinePoint(targetNode, controls[0] || sourceNode);
+
+        return { startX: start.x, startY: start.y, endX: end.x, endY: end.y, controls, corners: [] };
+    }
+
+    // An elbow from the source along the main axis, across halfway between the nodes, and
+    // on along the main axis into the target. The main axis is the direction of the
+    // hierarchical layout, or else the one the nodes are further apart on. Nodes in the
+    // same layer are joined by a detour past the layer. Parallel links are moved sideways
+    // by their offset.
+    getOrthogonalSegment(link, offset) {
+        const { source, target } = link;
+        const nodeRadius = this.config.nodeRadius;
+        const hierarchical = this.layout.mode === 'hierarchical';
+        const vertical = hierarchical
+            ? this.layout.options.direction !== 'LR'
+            : Math.abs(target.y - source.y) >= Math.abs(target.x - source.x);
+
+        // Work along the main axis and across it, then turn the points back into x and y
+        const point = (along, across) => (vertical ? { x: across, y: along } : { x: along, y: across });
+        const [sourceAlong, sourceAcross, targetAlong, targetAcross] = vertical
+            ? [source.y, source.x, target.y, target.x]
+            : [source.x, source.y, target.x, target.y];
+        // In the hierarchical layout the link turns in the gap after the source's layer,
+        // where it can't run through nodes of the layers in between
+        let middle = (sourceAlong + targetAlong) / 2;
+        if (hierarchical) {
+            const gap = (this.layout.options.levelSpacing || this.config.levelSpacing) / 2;
+            const apart = targetAlong - sourceAlong;
+            middle = Math.abs(apart) < nodeRadius * 2
+                ? Math.max(sourceAlong, targetAlong) + gap
+                : sourceAlong + Math.sign(apart) * gap;
+        }
+        middle += offset;
+        const narrowest = Math.min(this.getNodeRadius(source), this.getNodeRadius(target));
+        const shift = Math.max(-0.8 * narrowest, Math.min(0.8 * narrowest, offset));
+        const towardMiddle = along => Math.sign(middle - along) || 1;
+        // Where the path, moved sideways by the shift, leaves a node toward the middle
+        const leave = (node, along, across) => this.getOutlinePoint(
+            node, point(along + towardMiddle(along), across + shift), point(0, shift)
+        );
+
+        const start = leave(source, sourceAlong, sourceAcross);
+        const end = leave(target, targetAlong, targetAcross);
+        return {
+            startX: start.x,
+            startY: start.y,
+            endX: end.x,
+            endY: end.y,
+            controls: [],
+            corners: [point(middle, sourceAcross + shift), point(middle, targetAcross + shift)]
+        };
+    }
+
+    // A self-loop leaves the node's rim on one side of `direction` and comes back on the
+    // other, clockwise. Further loops on the same node are drawn wider and taller around the first.
+    getSelfLoopSegment(node, index, direction = -Math.PI / 2) {
+        const nodeRadius = this.getNodeRadius(node);
+        const spread = Math.min((Math.PI / 8) * (1 + index / 2), Math.PI / 3); // Half the angle between the ends
+        const bend = Math.min(spread + Math.PI / 8, Math.PI / 3); // Direction of the control points
+        const height = nodeRadius + this.config.selfLoopSize + index * this.config.parallelLinkSpacing;
+        // Distance of the control points from the centre that puts the top of the loop at `height`
+        const reach = (8 * height - 2 * nodeRadius * Math.cos(spread)) / (6 * Math.cos(bend));
+        const at = (angle, distance) => ({
+            x: node.x + Math.cos(direction + angle) * distance,
+            y: node.y + Math.sin(direction + angle) * distance
+        });
+
+        const start = this.getOutlinePoint(node, at(-spread, nodeRadius));
+        const end = this.getOutlinePoint(node, at(spread, nodeRadius));
+        return {
+            startX: start.x,
+            startY: start.y,
+            endX: end.x,
+            endY: end.y,
+            controls: [at(-bend, reach), at(bend, reach)],
+            corners: []
+        };
+    }
+
+    // Direction pointing away from a node's neighbours on average, straight up when they
+    // surround it evenly or there are none
+    getFreeAngle(node, neighbours) {
+        let x = 0;
+        let y = 0;
+        neighbours.forEach(neighbour => {
+            if (neighbour.x == null || neighbour.y == null) return;
+            const distance = Math.sqrt((neighbour.x - node.x) ** 2 + (neighbour.y - node.y) ** 2);
+            if (distance === 0) return;
+            x += (neighbour.x - node.x) / distance;
+            y += (neighbour.y - node.y) / distance;
+        });
+        return Math.sqrt(x * x + y * y) < 1e-6 ? -Math.PI / 2 : Math.atan2(-y, -x);
+    }
+
+    // Add the path of a link segment to the current path
+    traceLinkPath({ startX, startY, endX, endY, controls, corners }) {
+        this.ctx.moveTo(startX, startY);
+        corners.forEach(corner => this.ctx.lineTo(corner.x, corner.y));
+        if (controls.length === 2) {
+            this.ctx.bezierCurveTo(controls[0].x, controls[0].y, controls[1].x, controls[1].y, endX, endY);
+        } else if (controls.length === 1) {
+            this.ctx.quadraticCurveTo(controls[0].x, controls[0].y, endX, endY);
+        } else {
+            this.ctx.lineTo(endX, endY);
+        }
+    }
+
+    // Point at `t` (0 at the start, 1 at the end) along a link segment, and the angle the
+    // path runs in there
+    getSegmentPoint({ startX, startY, endX, endY, controls, corners }, t) {
+        if (corners.length > 0) {
+            // The piece of the elbow that lies `t` of the way along its length
+            const points = [{ x: startX, y: startY }, ...corners, { x: endX, y: endY }];
+            const lengths = points.slice(1).map((point, i) => Math.sqrt((point.x - points[i].x) ** 2 + (point.y - points[i].y) ** 2));
+            let remaining = t * lengths.reduce((sum, length) => sum + length, 0);
+            let i = 0;
+            while (i < lengths.length - 1 && remaining > lengths[i]) {
+                remaining -= lengths[i];
+                i++;
+            }
+            const from = points[i];
+            const to = points[i + 1];
+            const share = lengths[i] > 0 ? remaining / lengths[i] : 0;
+            return {
+                x: from.x + (to.x - from.x) * share,
+                y: from.y + (to.y - from.y) * share,
+                angle: Math.atan2(to.y - from.y, to.x - from.x)
+            };
+        }
+
+        // De Casteljau: interpolate between neighbouring points until two are left
+        let points = [{ x: startX, y: startY }, ...controls, { x: endX, y: endY }];
+        while (points.length > 2) {
+            points = points.slice(1).map((point, i) => ({
+                x: points[i].x + (point.x - points[i].x) * t,
+                y: points[i].y + (point.y - points[i].y) * t
+            }));
+        }
+        const [from, to] = points;
+        return {
+            x: from.x + (to.x - from.x) * t,
+            y: from.y + (to.y - from.y) * t,
+            angle: Math.atan2(to.y - from.y, to.x - from.x)
+        };
+    }
+
+    // Draw a single link line with its arrow head
+    drawLinkSegment(link, segment, detail = this.getDetailLevel()) {
+        const { color, lineWidth, dash, arrowLength, alpha } = this.getLinkStyle(link);
+        
+        this.ctx.globalAlpha = alpha;
+
+        // Draw the line
+        this.ctx.beginPath();
+        this.traceLinkPath(segment);
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = lineWidth;
+        this.ctx.setLineDash(dash);
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+
+        // Draw the arrow head
+        if (detail.arrows) {
+            this.ctx.beginPath();
+            this.traceArrowHead(segment, arrowLength);
+            this.ctx.fillStyle = color;
+            this.ctx.fill();
+        }
+        this.ctx.globalAlpha = 1;
+    }
+
+    // Relationship text of a link. Links merged into a collapsed group show how many they stand for.
+    getLinkLabel(link) {
+        return link.links && link.links.length > 1 ? `${link.relationship} ×${link.links.length}` : link.relationship;
+    }
+
+    // Spots a link's label can go, centred above or below points along its path and turned
+    // to read from left to right. Above the middle comes first, the others are only tried
+    // when labels are placed around each other.
+    getLabelCandidates(segment) {
+        const placing = this.options.labelPlacement;
+        const distance = this.config.textOffset + this.config.lineHeight / 2;
+        const candidates = [];
+        (placing ? [0.5, 0.35, 0.65, 0.2, 0.8] : [0.5]).forEach(t => {
+            const { x, y, angle } = this.getSegmentPoint(segment, t);
+            let textAngle = angle;
+            if (textAngle > Math.PI / 2) {
+                textAngle -= Math.PI;
+            } else if (textAngle < -Math.PI / 2) {
+                textAngle += Math.PI;
+            }
+            (placing ? [-1, 1] : [-1]).forEach(side => {
+                candidates.push({
+                    x: x - Math.sin(textAngle) * distance * side,
+                    y: y + Math.cos(textAngle) * distance * side,
+                    angle: textAngle
+                });
+            });
+        });
+        return candidates;
+    }
+
+    // Draw the labels of drawn links ({ link, segment, style }) on a halo of the background
+    // colour. With label placement on, a label that would cover a node or another label
+    // moves along its link or to its other side, and is left out if no spot is free. The
+    // hovered and selected links go first and always keep their label.
+    drawLinkLabels(drawn) {
+        const ctx = this.ctx;
+        const { lineHeight: height, labelPadding: padding } = this.config;
+        ctx.font = this.getFont();
+        const labels = drawn.map(({ link, segment, style }) => {
+            const text = this.getLinkLabel(link);
+            const width = ctx.measureText(text).width;
+            // A label longer than the line of its link would cover the link's own nodes
+            const { startX, startY, endX, endY, controls } = segment;
+            const tooLong = this.options.labelPlacement && !style.highlighted && controls.length < 2 &&
+                Math.sqrt((endX - startX) ** 2 + (endY - startY) ** 2) < width;
+            return {
+                text,
+                style,
+                width,
+                height,
+                candidates: tooLong ? [] : this.getLabelCandidates(segment),
+                fixed: style.highlighted
+            };
+        });
+        const spots = this.options.labelPlacement
+            ? placeLabels(labels, this.getNodeIndex(), {
+                nodeRadius: node => this.getNodeExtent(node),
+                largestNodeRadius: this.largestNodeExtent,
+                padding
+            })
+            : labels.map(label => label.candidates[0]);
+
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        labels.forEach(({ text, style, width }, i) => {
+            const spot = spots[i];
+            if (!spot) return;
+
+            ctx.save();
+            ctx.globalAlpha = style.alpha;
+            ctx.translate(spot.x, spot.y);
+            ctx.rotate(spot.angle);
+            ctx.beginPath();
+            ctx.roundRect(-width / 2 - padding, -height / 2 - padding, width + padding * 2, height + padding * 2, 4);
+            ctx.fillStyle = this.theme.labelHalo;
+            ctx.fill();
+            ctx.fillStyle = style.color;
+            ctx.fillText(text, 0, 0);
+            ctx.restore();
+        });
+    }
+
+    // Add the arrow head at the end of a link's segment to the current path, pointing the
+    // way the path runs into the node
+    traceArrowHead({ startX, startY, endX, endY, controls, corners }, arrowLength = this.config.arrowLength) {
+        const arrowWidth = this.config.arrowWidth;
+        const bends = corners.length > 0 ? corners : controls;
+        const from = bends.length > 0 ? bends[bends.length - 1] : { x: startX, y: startY };
+        const angle = Math.atan2(endY - from.y, endX - from.x);
+
+        this.ctx.moveTo(endX, endY);
+        this.ctx.lineTo(
+            endX - arrowLength * Math.cos(angle - arrowWidth),
+            endY - arrowLength * Math.sin(angle - arrowWidth)
+        );
+        this.ctx.lineTo(
+            endX - arrowLength * Math.cos(angle + arrowWidth),
+            endY - arrowLength * Math.sin(angle + arrowWidth)
+        );
+        this.ctx.closePath();
+    }
+
+    // Nodes outside the view are skipped. Without labels, nodes of the same colour and border
+    // are drawn as one path and only the badges, selection rings and pins one by one.
+    drawNodes() {
+        const detail = this.getDetailLevel();
+        const bounds = this.getViewBounds();
+        const nodes = this.activeNodes.filter(node =>
+            node.x != null && node.y != null && this.isNodeVisible(node, bounds)
+        );
+        
+        if (detail.nodeLabels) {
+            nodes.forEach(node => {
+                this.ctx.globalAlpha = this.isNodeDimmed(node) ? this.config.dimmedOpacity : 1;
+                this.drawNode(node, detail);
+            });
+            this.ctx.globalAlpha = 1;
+            return;
+        }
+        
+        const batches = new Map(); // Colour, border and opacity -> nodes
+        nodes.forEach(node => {
+            const alpha = this.isNodeDimmed(node) ? this.config.dimmedOpacity : 1;
+            const border = this.getNodeBorder(node);
+            const key = `${node.color}|${border ? `${border.color}|${border.width}` : ''}|${alpha}`;
+            if (!batches.has(key)) batches.set(key, { color: node.color, border, alpha, nodes: [] });
+            batches.get(key).nodes.push(node);
+        });
+        
+        batches.forEach(({ color, border, alpha, nodes: batch }) => {
+            this.ctx.globalAlpha = alpha;
+            this.ctx.beginPath();
+            batch.forEach(node => {
+                traceNodeShape(this.ctx, this.getNodeShape(node), node.x, node.y, this.getNodeRadius(node));
+            });
+            this.ctx.fillStyle = color;
+            this.ctx.fill();
+            if (border) {
+                this.ctx.strokeStyle = border.color;
+                this.ctx.lineWidth = border.width;
+                this.ctx.stroke();
+            }
+            batch.forEach(node => this.drawNodeMarkers(node));
+        });
+        this.ctx.globalAlpha = 1;
+    }
+
+    drawNode(node, detail = this.getDetailLevel()) {
+        if (node.x == null || node.y == null) return;
+        
+        const nodeRadius = this.getNodeRadius(node);
+        
+        // Draw the node's shape, with a border only if one is encoded
+        this.ctx.beginPath();
+        traceNodeShape(this.ctx, this.getNodeShape(node), node.x, node.y, nodeRadius);
+        this.ctx.fillStyle = node.color;
+        this.ctx.fill();
+        const border = this.getNodeBorder(node);
+        if (border) {
+            this.ctx.strokeStyle = border.color;
+            this.ctx.lineWidth = border.width;
+            this.ctx.stroke();
+        }
+
+        if (detail.nodeLabels) {
+            // Draw node label inside the circle
+            this.ctx.fillStyle = getTextColorOn(node.color, this.theme);
+            this.ctx.font = this.getFont(this.config.fontSize, true);
+            this.ctx.textAlign = 'center';
+            this.ctx.textBaseline = 'middle';
+
+            // Wrap text to fit inside node
+            const maxWidth = nodeRadius * 1.5;  // Maximum width for text
+            const lines = this.wrapText(node.label, maxWidth);
+            const lineHeight = this.config.lineHeight;
+            const totalHeight = lines.length * lineHeight;
+
+            // An encoded icon goes above the label
+            const icon = node.encoded && node.encoded.icon;
+            const iconSize = icon !== undefined ? Math.round(nodeRadius * 0.5) : 0;
+            const top = node.y - (totalHeight + iconSize) / 2;
+            if (icon !== undefined) {
+                this.ctx.font = this.getFont(iconSize);
+                this.ctx.fillText(String(icon), node.x, top + iconSize / 2);
+                this.ctx.font = this.getFont(this.config.fontSize, true);
+            }
+
+            // Draw each line of text
+            lines.forEach((line, index) => {
+                const y = top + iconSize + (index * lineHeight) + (lineHeight / 2);
+                this.ctx.fillText(line, node.x, y);
+            });
+        }
+        
+        this.drawNodeMarkers(node);
+    }
+
+    // Colour and width of a node's border, or null when neither is encoded and the theme
+    // doesn't outline nodes
+    getNodeBorder(node) {
+        const { border, borderWidth } = node.encoded || {};
+        if (border === undefined && borderWidth === undefined) {
+            return this.theme.nodeOutline ? { color: this.theme.nodeOutline, width: this.config.nodeBorderWidth } : null;
+        }
+        return {
+            color: border || this.theme.nodeBorder,
+            width: borderWidth || this.config.nodeBorderWidth
+        };
+    }
+
+    // Collapsed badge, selection ring and pin drawn over a node's circle
+    drawNodeMarkers(node) {
+        if (node.collapsedCount > 0) {
+            this.drawCollapsedBadge(node);
+        }
+        
+        // Selection ring and pin marker are editing aids, they are left out of exports
+        if (this.exporting) return;
+        
+        if (this.selectedNodes.has(node)) {
+            this.ctx.beginPath();
+            traceNodeShape(this.ctx, this.getNodeShape(node), node.x, node.y, this.getNodeRadius(node) + 6);
+            this.ctx.strokeStyle = this.theme.highlight;
+            this.ctx.lineWidth = 4;
+            this.ctx.stroke();
+        }
+        
+        if (node.fx != null && node.fy != null) {
+            this.drawPinIndicator(node);
+        }
+    }
+
+    // Dashed outline and a badge with the number of nodes collapsed into the node, in the
+    // top left opposite the pin. Type aggregates show the count, other nodes "+count".
+    drawCollapsedBadge(node) {
+        const ctx = this.ctx;
+        const radius = this.getNodeRadius(node);
+        
+        ctx.beginPath();
+        traceNodeShape(ctx, this.getNodeShape(node), node.x, node.y, radius + 12);
+        ctx.setLineDash([8, 6]);
+        ctx.strokeStyle = node.color;
+        ctx.lineWidth = 3;
+        ctx.stroke();
+        ctx.setLineDash([]);
+        
+        const text = node.aggregate ? String(node.collapsedCount) : `+${node.collapsedCount}`;
+        ctx.font = this.getFont(this.config.fontSize, true);
+        const badgeRadius = Math.max(16, ctx.measureText(text).width / 2 + 8);
+        const offset = radius * Math.SQRT1_2;
+        const x = node.x - offset;
+        const y = node.y - offset;
+        
+        ctx.beginPath();
+        ctx.arc(x, y, badgeRadius, 0, 2 * Math.PI);
+        ctx.fillStyle = this.theme.badge;
+        ctx.fill();
+        ctx.strokeStyle = node.color;
+        ctx.lineWidth = 3;
+        ctx.stroke();
+        
+        ctx.fillStyle = this.theme.badgeText;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, x, y);
+    }
+
+    // Push pin stuck into the top right of a pinned node
+    drawPinIndicator(node) {
+        const offset = this.getNodeRadius(node) * Math.SQRT1_2;
+        const x = node.x + offset;
+        const y = node.y - offset;
+        
+        // Needle pointing into the node
+        this.ctx.beginPath();
+        this.ctx.moveTo(x, y);
+        this.ctx.lineTo(x - 22, y + 22);
+        this.ctx.strokeStyle = this.theme.badgeText;
+        this.ctx.lineWidth = 3;
+        this.ctx.stroke();
+        
+        // Head
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, 12, 0, 2 * Math.PI);
+        this.ctx.fillStyle = this.theme.badge;
+        this.ctx.fill();
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, 8, 0, 2 * Math.PI);
+        this.ctx.fillStyle = this.theme.pin;
+        this.ctx.fill();
+    }
+
+    setupDrag() {
+        const dragSubject = (event) => {
+            const point = d3.pointer(event, this.canvas);
+            const simPoint = this.transformPointToSimulation(point);
+            const node = this.findNodeAtPoint(simPoint.x, simPoint.y);
+            if (node) return node;
+
+            // Shift-drag on empty space draws a selection lasso (the zoom leaves it alone)
+            return event.sourceEvent && event.sourceEvent.shiftKey
+                ? { lasso: true, x: point[0], y: point[1] }
+                : null;
+        };
+
+        const drag = d3.drag()
+            .container(this.canvas)
+            .filter(event => !event.button && !event.ctrlKey)
+            .subject(dragSubject)
+            .on('start', this.handleDragStart.bind(this))
+            .on('drag', this.handleDrag.bind(this))
+            .on('end', this.handleDragEnd.bind(this));
+
+        d3.select(this.canvas).call(drag);
+    }
+
+    transformPointToSimulation(point) {
+        return {
+            x: (point[0] - this.transform.x) / this.transform.k,
+            y: (point[1] - this.transform.y) / this.transform.k
+        };
+    }
+
+    // Quadtree of the placed active nodes, built when first needed after they moved
+    getNodeIndex() {
+        if (!this.nodeIndex) {
+            const placed = this.activeNodes.filter(n => n.x != null && n.y != null);
+            this.nodeIndex = d3.quadtree(placed, n => n.x, n => n.y);
+        }
+        return this.nodeIndex;
+    }
+
+    // Closest node whose outline contains the point
+    findNodeAtPoint(x, y) {
+        const reach = this.largestNodeExtent;
+        let found;
+        let closest = Infinity;
+        this.getNodeIndex().visit((quad, x0, y0, x1, y1) => {
+            if (!quad.length) {
+                let leaf = quad;
+                do {
+                    const node = leaf.data;
+                    const dx = x - node.x;
+                    const dy = y - node.y;
+                    const distance = dx * dx + dy * dy;
+                    if (distance < closest && shapeContains(this.getNodeShape(node), this.getNodeRadius(node), dx, dy)) {
+                        found = node;
+                        closest = distance;
+                    }
+                } while ((leaf = leaf.next));
+            }
+            return x0 > x + reach || x1 < x - reach || y0 > y + reach || y1 < y - reach;
+        });
+        return found;
+    }
+
+    // Find the link whose drawn line passes closest to a point, within the hit tolerance
+    findLinkAtPoint(x, y) {
+        // Tolerance is defined in screen pixels so links stay easy to hit when zoomed out
+        const tolerance = Math.max(this.config.linkHitTolerance / this.transform.k, this.theme.lineWidth);
+        let closest = null;
+        let closestDistance = tolerance;
+
+        // Only links whose box comes within the tolerance are measured along their drawn line.
+        // Of links at the same distance, the one drawn last (on top) wins.
+        const near = box => Math.abs(x - box.x) <= box.halfWidth + tolerance && Math.abs(y - box.y) <= box.halfHeight + tolerance;
+        this.getLinkIndex().visit((quad, x0, y0, x1, y1) => {
+            if (x < x0 - quad.halfWidth - tolerance || x > x1 + quad.halfWidth + tolerance ||
+                y < y0 - quad.halfHeight - tolerance || y > y1 + quad.halfHeight + tolerance) return true;
+            if (quad.length) return false;
+
+            let leaf = quad;
+            do {
+                const box = leaf.data;
+                if (!near(box)) continue;
+                const segment = this.getLinkSegment(box.link);
+                if (!segment) continue;
+
+                const distance = this.distanceToSegment(x, y, segment);
+                if (distance < closestDistance || (distance === closestDistance && (!closest || box.order > closest.order))) {
+                    closestDistance = distance;
+                    closest = box;
+                }
+            } while ((leaf = leaf.next));
+            return false;
+        });
+
+        return closest ? closest.link : null;
+    }
+
+    // Quadtree of the placed active links for hit-testing, built when first needed after
+    // nodes moved. Links are indexed by the centre of the box around their drawn path, and
+    // every quad knows how far the boxes in it reach out from their centres at most, so a
+    // lookup skips quads whose links can't come near the point however long they are.
+    getLinkIndex() {
+        if (!this.linkIndex) {
+            const boxes = [];
+            this.activeLinks.forEach((link, order) => {
+                const { source, target } = link;
+                if (source.x == null || source.y == null || target.x == null || target.y == null) return;
+                const reach = this.getLinkReach(link);
+                boxes.push({
+                    link,
+                    order,
+                    x: (source.x + target.x) / 2,
+                    y: (source.y + target.y) / 2,
+                    halfWidth: Math.abs(target.x - source.x) / 2 + reach,
+                    halfHeight: Math.abs(target.y - source.y) / 2 + reach
+                });
+            });
+
+            this.linkIndex = d3.quadtree(boxes, box => box.x, box => box.y).visitAfter(quad => {
+                let halfWidth = 0;
+                let halfHeight = 0;
+                if (quad.length) {
+                    quad.forEach(child => {
+                        if (!child) return;
+                        halfWidth = Math.max(halfWidth, child.halfWidth);
+                        halfHeight = Math.max(halfHeight, child.halfHeight);
+                    });
+                } else {
+                    let leaf = quad;
+                    do {
+                        halfWidth = Math.max(halfWidth, leaf.data.halfWidth);
+                        halfHeight = Math.max(halfHeight, leaf.data.halfHeight);
+                    } while ((leaf = leaf.next));
+                }
+                quad.halfWidth = halfWidth;
+                quad.halfHeight = halfHeight;
+            });
+        }
+        return this.linkIndex;
+    }
+
+    // Shortest distance from a point to a link segment. Curves are measured along a
+    // polyline through points on them.
+    distanceToSegment(x, y, segment) {
+        if (segment.corners.length > 0) {
+            const points = [{ x: segment.startX, y: segment.startY }, ...segment.corners, { x: segment.endX, y: segment.endY }];
+            return Math.min(...points.slice(1).map((point, i) => this.distanceToLine(x, y, {
+                startX: points[i].x, startY: points[i].y, endX: point.x, endY: point.y
+            })));
+        }
+        if (segment.controls.length === 0) return this.distanceToLine(x, y, segment);
+
+        const steps = 16;
+        let distance = Infinity;
+        let previous = { x: segment.startX, y: segment.startY };
+        for (let i = 1; i <= steps; i++) {
+            const point = this.getSegmentPoint(segment, i / steps);
+            const line = { startX: previous.x, startY: previous.y, endX: point.x, endY: point.y };
+            distance = Math.min(distance, this.distanceToLine(x, y, line));
+            previous = point;
+        }
+        return distance;
+    }
+
+    // Shortest distance from a point to a straight line segment
+    distanceToLine(x, y, { startX, startY, endX, endY }) {
+        const dx = endX - startX;
+        const dy = endY - startY;
+        const lengthSquared = dx * dx + dy * dy;
+
+        // Project the point onto the segment, clamped to its end points
+        let t = lengthSquared > 0 ? ((x - startX) * dx + (y - startY) * dy) / lengthSquared : 0;
+        t = Math.max(0, Math.min(1, t));
+
+        const closestX = startX + t * dx;
+        const closestY = startY + t * dy;
+        return Math.sqrt((x - closestX) * (x - closestX) + (y - closestY) * (y - closestY));
+    }
+
+    handleDragStart(event) {
+        if (!event.subject) return;
+        
+        if (event.subject.lasso) {
+            this.lasso = [[event.subject.x, event.subject.y]];
+            this.dragging = true;
+            this.canvas.style.cursor = 'crosshair';
+            return;
+        }
+        
+        // In edit mode dragging from a node draws a new edge instead of moving it
+        if (this.editMode) {
+            const node = event.subject;
+            this.connection = { source: node, target: null, x: node.x, y: node.y };
+            this.dragging = true;
+            this.canvas.style.cursor = 'crosshair';
+            return;
+        }
+        
+        // Prevent info box from showing after a drag operation
+        this.infoBox.visible = false;
+        
+        this.draggedNode = event.subject;
+        this.dragging = true;
+        
+        // Dragging a selected node moves the whole selection along
+        const group = this.selectedNodes.has(this.draggedNode) ? [...this.selectedNodes] : [this.draggedNode];
+        this.dragGroup = group.map(node => ({
+            node,
+            dx: node.x - this.draggedNode.x,
+            dy: node.y - this.draggedNode.y,
+            wasPinned: node.fx != null && node.fy != null
+        }));
+        
+        // Set grabbing cursor during drag
+        this.canvas.style.cursor = 'grabbing';
+        
+        // Save original collision strength and increase during drag
+        this.originalCollideStrength = this.simulation.force('collide').strength();
+        this.simulation.force('collide')
+            .radius(node => this.getNodeRadius(node) * 1.6)  // Increased from 1.1 to 1.6
+            .strength(1);
+        
+        // Fix node positions
+        this.dragGroup.forEach(({ node }) => {
+            node.fx = node.x;
+            node.fy = node.y;
+        });
+        
+        // Don't completely stop the simulation, just reduce alpha
+        this.simulation.alphaTarget(0.1).restart();
+    }
+
+    handleDrag(event) {
+        if (this.lasso) {
+            this.lasso.push(d3.pointer(event, this.canvas));
+            this.draw();
+            return;
+        }
+        if (this.connection) {
+            const point = this.transformPointToSimulation(d3.pointer(event, this.canvas));
+            const node = this.findNodeAtPoint(point.x, point.y);
+            this.connection.x = point.x;
+            this.connection.y = point.y;
+            // Coming back to the source node after leaving it draws a self-loop
+            if (node !== this.connection.source) this.connection.leftSource = true;
+            this.connection.target = node && (node !== this.connection.source || this.connection.leftSource) ? node : null;
+            this.draw();
+            return;
+        }
+        if (!this.draggedNode) return;
+        
+        // Get mouse position in simulation space
+        const point = this.transformPointToSimulation(d3.pointer(event, this.canvas));
+        
+        // Update node positions, keeping the group's shape
+        this.dragGroup.forEach(({ node, dx, dy }) => {
+            node.x = node.fx = point.x + dx;
+            node.y = node.fy = point.y + dy;
+        });
+        
+        // Apply collision avoidance - push other nodes away
+        this.applyCollisionAvoidance();
+        
+        this.draw();
+    }
+
+    handleDragEnd(event) {
+        if (this.lasso) {
+            this.finishLasso(event);
+            return;
+        }
+        if (this.connection) {
+            const { source, target } = this.connection;
+            this.connection = null;
+            this.dragging = false;
+            this.canvas.style.cursor = 'default';
+            if (target) {
+                this.connectNodes(source.id, target.id);
+            } else {
+                this.draw();
+            }
+            return;
+        }
+        if (!this.draggedNode) return;
+        
+        this.dragging = false;
+        
+        this.emit('dragend', {
+            node: this.draggedNode,
+            nodes: this.dragGroup.map(({ node }) => node),
+            ...this.getEventPosition(event),
+            sourceEvent: event.sourceEvent
+        });
+        
+        // Reset cursor
+        this.canvas.style.cursor = 'default';
+        
+        // Restore original collision settings
+        this.simulation.force('collide')
+            .radius(node => this.getNodeRadius(node) * 1.5)
+            .strength(this.originalCollideStrength || 0.8);
+        
+        // Dropped nodes stay pinned where they were put, unless pinOnDrag is off
+        if (!this.options.pinOnDrag) {
+            this.dragGroup.forEach(({ node, wasPinned }) => {
+                if (wasPinned) return;
+                node.fx = null;
+                node.fy = null;
+            });
+        }
+        
+        this.draggedNode = null;
+        this.dragGroup = [];
+        
+        // Restart simulation but with lower alpha - just enough to adjust other nodes
+        this.simulation.alphaTarget(0).alpha(0.1).restart();
+    }
+
+    // Add the nodes inside the lasso to the selection
+    finishLasso(event) {
+        const polygon = this.lasso;
+        this.lasso = null;
+        this.dragging = false;
+        this.canvas.style.cursor = 'default';
+        
+        const enclosed = this.activeNodes.filter(node =>
+            node.x != null && node.y != null && this.isPointInPolygon(this.transform.apply([node.x, node.y]), polygon)
+        );
+        this.selectNodes(enclosed.map(node => node.id), { add: true });
+        this.draw();
+    }
+
+    // Even-odd rule: a point is inside if a ray from it crosses the outline an odd number of times
+    isPointInPolygon([x, y], polygon) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const [xi, yi] = polygon[i];
+            const [xj, yj] = polygon[j];
+            if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    // Dashed line from the source node to the pointer, snapping to the node under it, or a
+    // dashed loop when the pointer came back to the source node
+    drawConnection() {
+        const ctx = this.ctx;
+        const { source, target } = this.connection;
+        const end = target || this.connection;
+        
+        ctx.save();
+        ctx.strokeStyle = this.theme.highlight;
+        ctx.lineWidth = this.theme.lineWidth * 1.5;
+        ctx.setLineDash([10, 6]);
+        ctx.beginPath();
+        if (target === source) {
+            this.traceLinkPath(this.getSelfLoopSegment(source, 0));
+        } else {
+            ctx.moveTo(source.x, source.y);
+            ctx.lineTo(end.x, end.y);
+        }
+        ctx.stroke();
+        
+        if (target) {
+            ctx.setLineDash([]);
+            ctx.beginPath();
+            traceNodeShape(ctx, this.getNodeShape(target), target.x, target.y, this.getNodeRadius(target) + 8);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+
+    // The lasso outline in screen space
+    drawLasso() {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+        ctx.beginPath();
+        this.lasso.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+        ctx.closePath();
+        ctx.fillStyle = d3.color(this.theme.highlight).copy({ opacity: 0.15 }).formatRgb();
+        ctx.fill();
+        ctx.setLineDash([6, 4]);
+        ctx.strokeStyle = this.theme.highlight;
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    // Hide a node's descendants inside it. The node shows how many it holds and takes over
+    // their links until it is expanded again.
+    collapseNode(id, { duration = 500 } = {}) {
+        const node = this.nodes.find(n => n.id === id);
+        if (!node) {
+            console.warn('Cannot collapse unknown node:', id);
+            return Promise.resolve(false);
+        }
+        
+        const activeNodeSet = new Set(this.activeNodes);
+        const members = [...this.getDescendants(node)].filter(member => activeNodeSet.has(member));
+        if (this.collapsedNodes.has(node.id) || members.length === 0) {
+            return Promise.resolve(false);
+        }
+        
+        return this.animateCollapse(node, members, duration, () => this.collapsedNodes.add(node.id));
+    }
+
+    expandNode(id, { duration = 500 } = {}) {
+        const node = this.nodes.find(n => n.id === id);
+        if (!node || !this.collapsedNodes.has(node.id)) {
+            return Promise.resolve(false);
+        }
+        
+        return this.animateExpand(node, duration, () => this.collapsedNodes.delete(node.id));
+    }
+
+    // Replace every visible node of a type with one aggregate node
+    collapseType(type, { duration = 500 } = {}) {
+        const members = this.activeNodes.filter(node => !node.aggregate && this.getNodeType(node) === type);
+        if (this.collapsedTypes.has(type) || members.length === 0) {
+            return Promise.resolve(false);
+        }
+        
+        const aggregate = this.getTypeAggregate(type, members);
+        return this.animateCollapse(aggregate, members, duration, () => this.collapsedTypes.add(type));
+    }
+
+    expandType(type, { duration = 500 } = {}) {
+        const aggregate = this.typeAggregates.get(type);
+        if (!this.collapsedTypes.has(type) || !aggregate) {
+            return Promise.resolve(false);
+        }
+        
+        return this.animateExpand(aggregate, duration, () => {
+            this.collapsedTypes.delete(type);
+            this.typeAggregates.delete(type);
+        });
+    }
+
+    // Expand every collapsed node and type at once, without animation
+    expandAll() {
+        if (this.collapsedNodes.size === 0 && this.collapsedTypes.size === 0) return;
+        
+        // Put every member back where it was relative to the node it was collapsed into
+        this.collapsedMembers.forEach((group, node) => this.restoreCollapsedOffset(node, group));
+        this.collapsedNodes.clear();
+        this.collapsedTypes.clear();
+        this.typeAggregates.clear();
+        this.applyCollapse();
+    }
+
+    // Collapse or expand whatever the node stands for; used for double-clicks
+    toggleCollapsed(node) {
+        if (node.aggregate) {
+            return this.expandType(node.aggregate.type);
+        }
+        if (this.collapsedNodes.has(node.id)) {
+            return this.expandNode(node.id);
+        }
+        return this.collapseNode(node.id);
+    }
+
+    isCollapsed(id) {
+        return this.collapsedNodes.has(id);
+    }
+
+    // Move the members into the group's node, then hide them. Each member remembers where
+    // it was relative to the group so expanding puts it back.
+    animateCollapse(group, members, duration, collapse) {
+        const targets = new Map();
+        members.forEach(node => {
+            node.collapsedOffset = { x: node.x - group.x, y: node.y - group.y };
+            targets.set(node, { x: group.x, y: group.y });
+        });
+        
+        return this.animateNodes(targets, duration).then(() => {
+            collapse();
+            this.applyCollapse();
+            return true;
+        });
+    }
+
+    // Show the members again, starting from the group's node and moving out to where they were
+    animateExpand(group, duration, expand) {
+        const members = [...this.collapsedMembers].filter(([, standIn]) => standIn === group).map(([node]) => node);
+        expand();
+        this.applyCollapse();
+        
+        // Members of a collapsed node inside this group stay hidden in it
+        const activeNodeSet = new Set(this.activeNodes);
+        const targets = new Map();
+        members.filter(node => activeNodeSet.has(node)).forEach(node => {
+            this.moveNode(node, { x: group.x, y: group.y });
+            targets.set(node, this.restoreCollapsedOffset(node, group, false));
+        });
+        return this.animateNodes(targets, duration).then(() => {
+            if (!this.headless) {
+                this.simulation.alpha(0.3).restart();
+            }
+            return true;
+        });
+    }
+
+    // Position a collapsed node had relative to its group, optionally moving it there
+    restoreCollapsedOffset(node, group, move = true) {
+        const offset = node.collapsedOffset || { x: 0, y: 0 };
+        const position = { x: group.x + offset.x, y: group.y + offset.y };
+        if (move) {
+            this.moveNode(node, position);
+        }
+        return position;
+    }
+
+    // Rebuild the drawn graph after a group was collapsed or expanded
+    applyCollapse() {
+        this.refreshGraph();
+        this.emit('collapsechange', {
+            collapsedNodes: [...this.collapsedNodes],
+            collapsedTypes: [...this.collapsedTypes]
+        });
+    }
+
+    // Put a node somewhere without letting it fly off; pinned nodes stay pinned at the new spot
+    moveNode(node, { x, y }) {
+        node.x = x;
+        node.y = y;
+        node.vx = 0;
+        node.vy = 0;
+        if (node.fx != null && node.fy != null) {
+            node.fx = x;
+            node.fy = y;
+        }
+    }
+
+    // Move nodes to new positions with the simulation paused. The caller restarts it once the
+    // nodes are where they should be, as members stacked on their group would be pushed apart.
+    animateNodes(targets, duration) {
+        if (this.headless || duration <= 0 || targets.size === 0) {
+            targets.forEach((position, node) => this.moveNode(node, position));
+            return Promise.resolve(true);
+        }
+        
+        this.simulation.stop();
+        
+        return new Promise(resolve => {
+            d3.select(this.canvas)
+                .transition('collapse')
+                .duration(duration)
+                .ease(d3.easeCubicInOut)
+                .tween('collapse', () => {
+                    const starts = new Map([...targets.keys()].map(node => [node, { x: node.x, y: node.y }]));
+                    return t => {
+                        targets.forEach((end, node) => {
+                            const start = starts.get(node);
+                            this.moveNode(node, {
+                                x: start.x + (end.x - start.x) * t,
+                                y: start.y + (end.y - start.y) * t
+                            });
+                        });
+                        this.draw();
+                    };
+                })
+                .on('end', () => resolve(true))
+                .on('interrupt', () => resolve(false));
+        });
+    }
+
+    // The two nodes of a link in a fixed order, the same for links in either direction
+    // between them. Ids of different types (such as a type aggregate next to numeric ids)
+    // are compared as strings.
+    getLinkFrame(link) {
+        const sourceId = link.source.id;
+        const targetId = link.target.id;
+        const reversed = typeof sourceId === typeof targetId ? sourceId > targetId : String(sourceId) > String(targetId);
+        return reversed ? [link.target, link.source] : [link.source, link.target];
+    }
+
+    // How far a link's drawn path can stray outside the box around its end points
+    getLinkReach(link) {
+        const bundle = this.linkBundles.get(link) || { offset: 0 };
+        if (bundle.loop !== undefined) {
+            return this.getNodeRadius(link.source) + this.config.selfLoopSize + bundle.loop * this.config.parallelLinkSpacing;
+        }
+        let bend = Math.abs(bundle.offset);
+        if (this.options.edgeStyle === 'curved') {
+            const { source, target } = link;
+            bend += Math.sqrt((target.x - source.x) ** 2 + (target.y - source.y) ** 2) * this.config.edgeCurvature;
+        } else if (this.options.edgeStyle === 'orthogonal' && this.layout.mode === 'hierarchical') {
+            // Links within a layer detour into the gap next to it
+            return bend + (this.layout.options.levelSpacing || this.config.levelSpacing) / 2;
+        }
+        // A curve's ends sit on the rims towards its control point, which pushes it out further
+        return bend > 0 ? bend + Math.max(this.getNodeExtent(link.source), this.getNodeExtent(link.target)) / 2 : 0;
+    }
+
+    // Add this helper function to the class to wrap text
+    wrapText(text, maxWidth) {
         const words = text.split(' ');
         const lines = [];
         let currentLine = words[0];
 
-        for (let i = 1; i < words.length; i++) {
-            const word = words[i];
-            const width = this.ctx.measureText(currentLine + " " + word).width;
-            if (width < maxWidth) {
-                currentLine += " " + word;
-            } else {
-                lines.push(currentLine);
-                currentLine = word;
+        for (let i = 1; i < words.length; i++) {
+            const word = words[i];
+            const width = this.ctx.measureText(currentLine + " " + word).width;
+            if (width < maxWidth) {
+                currentLine += " " + word;
+            } else {
+                lines.push(currentLine);
+                currentLine = word;
+            }
+        }
+        lines.push(currentLine);
+        return lines;
+    }
+
+    setupZoom() {
+        const zoom = d3.zoom()
+            .scaleExtent([this.minZoom, this.maxZoom])
+            .filter(event => {
+                // Allow zoom with wheel/pinch and panning with drag when not on a node
+                if (event.type === 'wheel' || event.type === 'touchmove') {
+                    return !this.dragging;
+                }
+                
+                // For mousedown events (start of drag), check if we're on a node
+                if (event.type === 'mousedown') {
+                    const point = this.transformPointToSimulation(d3.pointer(event, this.canvas));
+                    const nodeUnderMouse = this.findNodeAtPoint(point.x, point.y);
+                    // Allow panning only when not clicking on a node; shift-drag draws a lasso
+                    return !nodeUnderMouse && !event.shiftKey;
+                }
+                
+                // Double-click adds nodes in edit mode and expands or collapses nodes,
+                // so it only zooms in on empty space outside edit mode
+                if (event.type === 'dblclick') {
+                    const point = this.transformPointToSimulation(d3.pointer(event, this.canvas));
+                    return !this.editMode && !this.findNodeAtPoint(point.x, point.y);
+                }
+                
+                // Allow other events (like mousemove for panning)
+                return true;
+            })
+            .on('zoom', (event) => {
+                this.transform = event.transform;
+                this.draw();
+                this.emit('zoom', { sourceEvent: event.sourceEvent });
+            });
+
+        // Keep the behavior so the view can be animated programmatically
+        this.zoom = zoom;
+
+        d3.select(this.canvas)
+            .call(zoom)
+            .call(zoom.transform, d3.zoomIdentity);
+    }
+
+    // Animate the view to center on a node, then select it and open its info box
+    focusNode(id, { zoom = Math.max(this.transform.k, 1), duration = 750, showInfoBox = true } = {}) {
+        const node = this.activeNodes.find(n => n.id === id);
+        if (!node || node.x == null || node.y == null) {
+            console.warn('Cannot focus unknown node:', id);
+            return Promise.resolve(null);
+        }
+
+        const scale = Math.max(this.minZoom, Math.min(this.maxZoom, zoom));
+        const transform = d3.zoomIdentity
+            .translate(this.width / 2 - node.x * scale, this.height / 2 - node.y * scale)
+            .scale(scale);
+
+        // Select once the camera has arrived so the info box is placed next to the node on screen
+        const finish = () => {
+            this.selectNode(node, { showInfoBox });
+            this.draw();
+            return node;
+        };
+
+        // Headless graphs have no zoom behaviour to move, only the transform exports use
+        if (this.headless) {
+            this.transform = transform;
+            return Promise.resolve(finish());
+        }
+
+        if (duration <= 0) {
+            d3.select(this.canvas).call(this.zoom.transform, transform);
+            return Promise.resolve(finish());
+        }
+
+        return new Promise(resolve => {
+            d3.select(this.canvas)
+                .transition()
+                .duration(duration)
+                .ease(d3.easeCubicInOut)
+                .call(this.zoom.transform, transform)
+                .on('end', () => resolve(finish()))
+                .on('interrupt', () => resolve(null));
+        });
+    }
+
+    fitViewToContent() {
+        if (this.activeNodes.length === 0) return;
+        
+        // Calculate graph bounds with extreme padding
+        const nodeRadius = this.config.nodeRadius;
+        
+        // Find min/max positions with node radius considered
+        let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+        
+        this.activeNodes.forEach(node => {
+            if (node.x == null || node.y == null) return;
+
+            // Use even larger multipliers for node radius
+            minX = Math.min(minX, node.x - nodeRadius * 8);
+            maxX = Math.max(maxX, node.x + nodeRadius * 8);
+            minY = Math.min(minY, node.y - nodeRadius * 8);
+            maxY = Math.max(maxY, node.y + nodeRadius * 8);
+        });
+        
+        // Get canvas dimensions
+        const width = this.width;
+        const height = this.height;
+        
+        // Calculate the dimensions of the graph content
+        const graphWidth = maxX - minX;
+        const graphHeight = maxY - minY;
+        
+        // Force a very aggressive zoom out factor - much smaller number means more zoomed out
+        let scale = 0.15;
+        
+        // Calculate the minimum scale needed to fit all content with padding
+        const fitScaleWidth = (width * 0.85) / graphWidth;
+        const fitScaleHeight = (height * 0.85) / graphHeight;
+        
+        // Use the smaller of our fixed scale or what's needed to fit content
+        scale = Math.min(scale, fitScaleWidth, fitScaleHeight);
+        
+        console.log("Graph dimensions:", graphWidth, "x", graphHeight);
+        console.log("Canvas dimensions:", width, "x", height);
+        console.log("Initial zoom scale:", scale);
+        
+        // Calculate the center of the graph content in its original coordinates
+        const graphCenterX = (minX + maxX) / 2;
+        const graphCenterY = (minY + maxY) / 2;
+        
+        // Calculate the canvas center
+        const canvasCenterX = width / 2;
+        const canvasCenterY = height / 2;
+        
+        // Calculate translation to center the graph in the canvas
+        const tx = canvasCenterX - (graphCenterX * scale);
+        const ty = canvasCenterY - (graphCenterY * scale);
+        
+        console.log("Translation:", tx, ty);
+        
+        // Apply transform with the correct centering
+        const transform = d3.zoomIdentity
+            .translate(tx, ty)
+            .scale(scale);
+        
+        // Apply the zoom transform immediately and also with a delay as a fallback
+        d3.select(this.canvas)
+            .call(d3.zoom().transform, transform);
+        
+        this.transform = transform;
+        this.draw();
+        
+        // Apply again after a delay in case the initial attempt doesn't work
+        clearTimeout(this.fitViewTimer);
+        this.fitViewTimer = setTimeout(() => {
+            d3.select(this.canvas)
+                .call(d3.zoom().transform, transform);
+
+            this.transform = transform;
+            this.draw();
+
+            console.log("Zoom transform reapplied:", transform);
+        }, 500);
+    }
+
+    // The area shown in the view, in simulation coordinates
+    getViewBounds() {
+        return {
+            minX: -this.transform.x / this.transform.k,
+            minY: -this.transform.y / this.transform.k,
+            maxX: (this.width - this.transform.x) / this.transform.k,
+            maxY: (this.height - this.transform.y) / this.transform.k
+        };
+    }
+
+    isNodeVisible(node, bounds = this.getViewBounds()) {
+        const r = this.getNodeExtent(node);
+        return (
+            node.x + r > bounds.minX &&
+            node.x - r < bounds.maxX &&
+            node.y + r > bounds.minY &&
+            node.y - r < bounds.maxY
+        );
+    }
+
+    // Whether a link's line or label may be in view, judged by the box around its end
+    // points and how far its path bends out of it. Diagonal links just outside a corner are drawn anyway, which is harmless.
+    isLinkVisible(link, bounds = this.getViewBounds()) {
+        const { source, target } = link;
+        const margin = this.getLinkReach(link) + this.config.textOffset + this.config.lineHeight;
+        return (
+            Math.max(source.x, target.x) + margin > bounds.minX &&
+            Math.min(source.x, target.x) - margin < bounds.maxX &&
+            Math.max(source.y, target.y) + margin > bounds.minY &&
+            Math.min(source.y, target.y) - margin < bounds.maxY
+        );
+    }
+
+    // Push nodes out of the way of the dragged nodes
+    applyCollisionAvoidance() {
+        const draggedNodes = this.dragGroup.map(({ node }) => node);
+        const repulsionStrength = 0.3;  // Increased from 0.2 to 0.3
+        
+        // For each node, check if it's too close to one of the dragged nodes. Nodes keep
+        // 1.5 times their radii apart, 3 times the radius for nodes of the regular size.
+        this.activeNodes.forEach(node => {
+            if (draggedNodes.includes(node)) return; // Skip the dragged nodes
+            draggedNodes.forEach(draggedNode => {
+                const minDistance = (this.getNodeRadius(node) + this.getNodeRadius(draggedNode)) * 1.5;
+                this.pushAwayFrom(node, draggedNode, minDistance, repulsionStrength);
+            });
+        });
+    }
+
+    // Move one node out of a dragged node's way
+    pushAwayFrom(node, draggedNode, minDistance, repulsionStrength) {
+        // Calculate distance between nodes
+        const dx = node.x - draggedNode.x;
+        const dy = node.y - draggedNode.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        
+        // If nodes are too close
+        if (distance < minDistance) {
+            // Calculate the overlap amount
+            const overlap = minDistance - distance;
+
+            // Calculate normalized direction vector
+            let dirX = dx, dirY = dy;
+            if (distance > 0) {
+                dirX = dx / distance;
+                dirY = dy / distance;
+            } else {
+                // If nodes are exactly at the same position, move in a random direction
+                const angle = this.random() * 2 * Math.PI;
+                dirX = Math.cos(angle);
+                dirY = Math.sin(angle);
+            }
+
+            // Push the other node away along the direction vector
+            // The repulsion strength determines how quickly nodes move away.
+            // Only pinned nodes count as fixed; fx is undefined on nodes never pinned.
+            const isFixed = node.fx != null && node.fy != null;
+
+            if (isFixed) {
+                // For fixed nodes, temporarily shift them to avoid overlap
+                // but preserve their fixed position for simulation
+                node.x += dirX * overlap * repulsionStrength * 0.5;
+                node.y += dirY * overlap * repulsionStrength * 0.5;
+                
+                // Update fx,fy to match the slightly adjusted position
+                node.fx = node.x;
+                node.fy = node.y;
+            } else {
+                // For non-fixed nodes, apply full repulsion
+                node.x += dirX * overlap * repulsionStrength;
+                node.y += dirY * overlap * repulsionStrength;
+                
+                // Apply velocity for smoother movement
+                const velocityDamping = 0.5;
+                if (!node.vx) node.vx = 0;
+                if (!node.vy) node.vy = 0;
+                node.vx += dirX * overlap * repulsionStrength * velocityDamping;
+                node.vy += dirY * overlap * repulsionStrength * velocityDamping;
+            }
+        }
+    }
+
+    // New method that analyzes graph structure and arranges nodes in a hierarchical layout
+    organizeInitialPositions() {
+        // Analyze the graph to determine hierarchical relationships
+        this.computeNodeHierarchy();
+        
+        const width = this.layoutWidth;
+        const height = this.layoutHeight;
+        
+        // Group nodes by their hierarchical level and type
+        const levelGroups = {};
+        const maxLevel = Math.max(...this.nodes.map(n => n.level || 0));
+        
+        this.nodes.forEach(node => {
+            const level = node.level || 0;
+            const type = node.properties && node.properties.type ? node.properties.type : 'default';
+
+            if (!levelGroups[level]) {
+                levelGroups[level] = {};
+            }
+
+            if (!levelGroups[level][type]) {
+                levelGroups[level][type] = [];
+            }
+
+            levelGroups[level][type].push(node);
+        });
+        
+        // Enhanced positioning with increased spacing
+        Object.keys(levelGroups).forEach(level => {
+            const levelNumber = parseInt(level);
+            // Use the configuration parameter for level spacing
+            const yPosition = (height * 0.1) + (levelNumber / Math.max(1, maxLevel)) * (height * 0.8);
+            const typeGroups = levelGroups[level];
+
+            // For each type within this level
+            const typeCount = Object.keys(typeGroups).length;
+            const typeKeys = Object.keys(typeGroups);
+
+            typeKeys.forEach((type, typeIndex) => {
+                const nodes = typeGroups[type];
+                
+                // Horizontal position with more space between type groups
+                const sectionWidth = width / (typeCount + 1);
+                const xCenter = sectionWidth * (typeIndex + 1);
+                
+                // Arrange nodes of this type in this level with more spacing
+                const nodeCount = nodes.length;
+                // Use the configuration parameter for node spacing
+                const spacing = Math.max(this.config.nodeSpacing, sectionWidth / (nodeCount + 1));
+                
+                nodes.forEach((node, i) => {
+                    let xOffset = 0;
+                    
+                    // For larger groups, use a grid layout
+                    if (nodeCount > 7) {
+                        const rowSize = Math.ceil(Math.sqrt(nodeCount * 1.5)); // Wider rows
+                        const row = Math.floor(i / rowSize);
+                        const col = i % rowSize;
+                        xOffset = (col - rowSize/2) * spacing;
+                        node.y = yPosition + row * spacing;
+                    } else {
+                        // For smaller groups, use a horizontal layout
+                        xOffset = (i - (nodeCount - 1) / 2) * spacing;
+                        node.y = yPosition;
+                    }
+                    
+                    node.x = xCenter + xOffset;
+                    
+                    // Move important nodes (ones with many connections) to the center
+                    if (node.childCount > 5 || node.parentCount > 5) {
+                        node.x = Math.max(width * 0.3, Math.min(width * 0.7, node.x));
+                    }
+                });
+            });
+        });
+        
+        // Second pass to separate nodes that might be too close
+        this.resolveOverlaps();
+    }
+
+    // New method to resolve initial node overlaps. Each pass looks up the close pairs in a
+    // quadtree of where the nodes were at its start; pairs pushed together are caught next pass.
+    resolveOverlaps() {
+        const nodeRadius = this.config.nodeRadius * 3; // Extra large minimum distance
+        const iterations = 5;
+        const nodes = this.nodes.filter(node => node.x != null && node.y != null);
+        const order = new Map(nodes.map((node, i) => [node, i]));
+        
+        for (let iter = 0; iter < iterations; iter++) {
+            let moved = false;
+            const tree = d3.quadtree(nodes, d => d.x, d => d.y);
+
+            nodes.forEach((nodeA, i) => {
+                const x0 = nodeA.x - nodeRadius;
+                const y0 = nodeA.y - nodeRadius;
+                const x1 = nodeA.x + nodeRadius;
+                const y1 = nodeA.y + nodeRadius;
+                
+                tree.visit((quad, qx0, qy0, qx1, qy1) => {
+                    if (!quad.length) {
+                        let leaf = quad;
+                        do {
+                            // Every pair once, in the same order as comparing all of them
+                            const nodeB = leaf.data;
+                            if (order.get(nodeB) > i && this.separateNodes(nodeA, nodeB, nodeRadius)) {
+                                moved = true;
+                            }
+                        } while ((leaf = leaf.next));
+                    }
+                    return qx0 > x1 || qx1 < x0 || qy0 > y1 || qy1 < y0;
+                });
+            });
+
+            if (!moved) break;
+        }
+    }
+
+    // Push two nodes apart until they are a minimum distance from each other.
+    // Returns whether they were too close.
+    separateNodes(nodeA, nodeB, minDistance) {
+        const dx = nodeB.x - nodeA.x;
+        const dy = nodeB.y - nodeA.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance >= minDistance) return false;
+        
+        // Calculate the overlap and direction. Nodes on the same spot have no direction
+        // to be pushed in, so pick one.
+        const overlap = minDistance - distance;
+        const angle = distance > 0 ? Math.atan2(dy, dx) : this.random() * 2 * Math.PI;
+        const dirX = Math.cos(angle);
+        const dirY = Math.sin(angle);
+        
+        // Move both nodes apart (slightly more for nodes on the same level)
+        const pushStrength = (nodeA.level === nodeB.level) ? 0.6 : 0.5;
+        
+        nodeA.x -= dirX * overlap * pushStrength;
+        nodeA.y -= dirY * overlap * pushStrength;
+        nodeB.x += dirX * overlap * pushStrength;
+        nodeB.y += dirY * overlap * pushStrength;
+        return true;
+    }
+
+    // New method to analyze the graph and compute hierarchical levels for each node
+    computeNodeHierarchy() {
+        // Create a map of node IDs for quick lookup
+        const nodeMap = {};
+        this.nodes.forEach(node => {
+            nodeMap[node.id] = node;
+            // Initialize hierarchical properties
+            node.level = undefined;
+            node.childCount = 0;
+            node.parentCount = 0;
+        });
+        
+        // Adjacency lists (node id -> [{ link, node }]) kept for traversals such as focus mode
+        this.adjacency = { outgoing: new Map(), incoming: new Map() };
+        const addAdjacent = (map, id, entry) => {
+            if (!map.has(id)) map.set(id, []);
+            map.get(id).push(entry);
+        };
+        
+        // Count incoming and outgoing connections for each node
+        this.links.forEach(link => {
+            if (link.source && link.target) {
+                // For source node, increment child count
+                const sourceNode = typeof link.source === 'object' ? link.source : nodeMap[link.source];
+                const targetNode = typeof link.target === 'object' ? link.target : nodeMap[link.target];
+                
+                if (sourceNode && targetNode) {
+                    // A self-loop doesn't make a node its own parent
+                    if (sourceNode !== targetNode) {
+                        sourceNode.childCount = (sourceNode.childCount || 0) + 1;
+                        targetNode.parentCount = (targetNode.parentCount || 0) + 1;
+                    }
+                    
+                    addAdjacent(this.adjacency.outgoing, sourceNode.id, { link, node: targetNode });
+                    addAdjacent(this.adjacency.incoming, targetNode.id, { link, node: sourceNode });
+                }
+            }
+        });
+        
+        // Find root nodes (nodes with no incoming connections)
+        const rootNodes = this.nodes.filter(node => (node.parentCount || 0) === 0);
+        
+        // If no clear roots, use nodes with the fewest incoming connections
+        if (rootNodes.length === 0) {
+            const minParents = Math.min(...this.nodes.map(n => n.parentCount || 0));
+            rootNodes.push(...this.nodes.filter(n => (n.parentCount || 0) === minParents));
+        }
+        
+        // Assign level 0 to root nodes
+        rootNodes.forEach(node => {
+            node.level = 0;
+        });
+        
+        // Breadth-first traversal to assign levels
+        const queue = [...rootNodes];
+        const visited = new Set(rootNodes.map(n => n.id));
+        
+        while (queue.length > 0) {
+            const currentNode = queue.shift();
+
+            // Find all children of this node
+            const childNodes = (this.adjacency.outgoing.get(currentNode.id) || []).map(entry => entry.node);
+
+            // Process children
+            childNodes.forEach(childNode => {
+                if (childNode && !visited.has(childNode.id)) {
+                    childNode.level = (currentNode.level || 0) + 1;
+                    visited.add(childNode.id);
+                    queue.push(childNode);
+                }
+            });
+        }
+        
+        // Special case: handle cycles or unvisited nodes
+        this.nodes.forEach(node => {
+            if (node.level === undefined) {
+                // For nodes in cycles, assign a level based on their connections
+                const connectedNodes = [
+                    ...(this.adjacency.outgoing.get(node.id) || []),
+                    ...(this.adjacency.incoming.get(node.id) || [])
+                ].map(entry => entry.node).filter(connected => connected.level !== undefined);
+                
+                if (connectedNodes.length > 0) {
+                    // Assign a level one below the average of connected nodes
+                    const avgLevel = connectedNodes.reduce((sum, n) => sum + (n.level || 0), 0) / connectedNodes.length;
+                    node.level = Math.floor(avgLevel) + 1;
+                } else {
+                    // Isolated nodes go at the top
+                    node.level = 0;
+                }
+            }
+        });
+    }
+
+    // Update the custom force to respect hierarchy
+    createTypeClusterForce() {
+        // Track nodes by level and type
+        const nodesByLevelAndType = {};
+        
+        this.activeNodes.forEach(node => {
+            const level = node.level || 0;
+            const type = node.properties && node.properties.type ? node.properties.type : 'default';
+
+            if (!nodesByLevelAndType[level]) {
+                nodesByLevelAndType[level] = {};
+            }
+
+            if (!nodesByLevelAndType[level][type]) {
+                nodesByLevelAndType[level][type] = [];
+            }
+
+            nodesByLevelAndType[level][type].push(node);
+        });
+        
+        // Create more spread-out centers for each level+type combination
+        const centers = {};
+        const width = this.layoutWidth * 1.5; // Expand the effective width
+        const height = this.layoutHeight * 1.5; // Expand the effective height
+        const maxLevel = Math.max(...this.activeNodes.map(n => n.level || 0));
+        
+        Object.keys(nodesByLevelAndType).forEach(level => {
+            const levelNumber = parseInt(level);
+            // More vertical space between levels
+            const yPosition = (height * 0.1) + (levelNumber / Math.max(1, maxLevel)) * (height * 0.8);
+            const typeGroups = nodesByLevelAndType[level];
+
+            const typeCount = Object.keys(typeGroups).length;
+            // Sort types by number of nodes (largest groups in the center)
+            const sortedTypes = Object.keys(typeGroups).sort((a, b) => 
+                typeGroups[b].length - typeGroups[a].length);
+
+            sortedTypes.forEach((type, typeIndex) => {
+                // Wider spacing between type groups
+                const sectionWidth = width / (typeCount + 1);
+                const xCenter = sectionWidth * (typeIndex + 1);
+                
+                centers[`${level}_${type}`] = {
+                    x: xCenter,
+                    y: yPosition
+                };
+            });
+        });
+        
+        // Pull each level+type group towards its centre
+        const groups = [];
+        for (const level in nodesByLevelAndType) {
+            for (const type in nodesByLevelAndType[level]) {
+                const center = centers[`${level}_${type}`];
+                if (center) {
+                    groups.push({ x: center.x, y: center.y, nodes: nodesByLevelAndType[level][type] });
+                }
+            }
+        }
+        return typeClusterForce(groups);
+    }
+
+    // Create a force that positions nodes based on their relationships
+    createRelationshipForce() {
+        // Build a relationship map to identify common patterns
+        const relationshipMap = new Map();
+        
+        this.activeLinks.forEach(link => {
+            const sourceId = typeof link.source === 'object' ? link.source.id : link.source;
+            const targetId = typeof link.target === 'object' ? link.target.id : link.target;
+            const relType = link.relationship_name || 'unknown';
+
+            if (!relationshipMap.has(sourceId)) {
+                relationshipMap.set(sourceId, new Map());
+            }
+            if (!relationshipMap.has(targetId)) {
+                relationshipMap.set(targetId, new Map());
+            }
+
+            const sourceRels = relationshipMap.get(sourceId);
+            if (!sourceRels.has(relType)) {
+                sourceRels.set(relType, new Set());
+            }
+            sourceRels.get(relType).add(targetId);
+
+            // For bidirectional relationships
+            const targetRels = relationshipMap.get(targetId);
+            if (!targetRels.has(relType)) {
+                targetRels.set(relType, new Set());
+            }
+            targetRels.get(relType).add(sourceId);
+        });
+        
+        // Identify relationship clusters
+        const relationshipClusters = new Map();
+        let clusterIndex = 0;
+        
+        const nodeMap = {};
+        this.activeNodes.forEach(node => {
+            nodeMap[node.id] = node;
+        });
+        
+        // Function to determine the primary relationship type for a node
+        const getPrimaryRelationship = (nodeId) => {
+            if (!relationshipMap.has(nodeId)) return null;
+
+            const rels = relationshipMap.get(nodeId);
+            let maxCount = 0;
+            let primaryRel = null;
+
+            for (const [relType, targets] of rels.entries()) {
+                if (targets.size > maxCount) {
+                    maxCount = targets.size;
+                    primaryRel = relType;
+                }
+            }
+
+            return primaryRel;
+        };
+        
+        // Create clusters based on primary relationships
+        this.activeNodes.forEach(node => {
+            if (relationshipClusters.has(node.id)) return;
+
+            const primaryRel = getPrimaryRelationship(node.id);
+            if (!primaryRel) return;
+
+            // Find related nodes with the same primary relationship
+            const cluster = new Set([node.id]);
+            const queue = [node.id];
+
+            while (queue.length > 0) {
+                const currentId = queue.shift();
+                const currentRels = relationshipMap.get(currentId);
+                
+                if (!currentRels) continue;
+                
+                const targets = currentRels.get(primaryRel);
+                if (!targets) continue;
+                
+                targets.forEach(targetId => {
+                    if (!cluster.has(targetId) && getPrimaryRelationship(targetId) === primaryRel) {
+                        cluster.add(targetId);
+                        queue.push(targetId);
+                    }
+                });
+            }
+
+            // Assign all nodes in this cluster
+            if (cluster.size > 1) {
+                const clusterKey = `cluster_${clusterIndex++}`;
+                cluster.forEach(id => {
+                    relationshipClusters.set(id, clusterKey);
+                });
+            }
+        });
+        
+        // Pull the nodes of each cluster together, in the order they were assigned
+        const clusters = new Map();
+        for (const [nodeId, clusterKey] of relationshipClusters.entries()) {
+            const node = nodeMap[nodeId];
+            if (!node) continue;
+            if (!clusters.has(clusterKey)) clusters.set(clusterKey, []);
+            clusters.get(clusterKey).push(node);
+        }
+        return relationshipForce([...clusters.values()]);
+    }
+
+    // New method to determine appropriate link distance based on relationship type
+    getLinkDistance(link) {
+        // Base distance is fairly large
+        let distance = 500;
+        
+        // If source and target have different types, make the distance larger
+        const sourceType = link.source.properties?.type;
+        const targetType = link.target.properties?.type;
+        if (sourceType && targetType && sourceType !== targetType) {
+            distance += 150;
+        }
+        
+        // If source and target are at different hierarchy levels, increase distance
+        const sourceLvl = link.source.level || 0;
+        const targetLvl = link.target.level || 0;
+        if (sourceLvl !== targetLvl) {
+            // Make vertical relationships longer
+            distance += Math.abs(sourceLvl - targetLvl) * 200;
+        }
+        
+        // Adjust distance based on relationship name if available
+        if (link.relationship_name) {
+            // These relationships often indicate primary connections
+            if (link.relationship_name === "ACTED_IN" || 
+                link.relationship_name === "DIRECTED" || 
+                link.relationship_name === "PART_OF") {
+                distance -= 100; // Shorter distance for primary relationships
+            }
+
+            // These are often secondary relationships
+            if (link.relationship_name === "WORKED_WITH" || 
+                link.relationship_name === "FREQUENT_COLLABORATOR") {
+                distance += 150; // Longer distance for secondary relationships
             }
         }
-        lines.push(currentLine);
-        return lines;
+        
+        return distance;
     }
 
-    setupZoom() {
-        const zoom = d3.zoom()
-            .scaleExtent([this.minZoom, this.maxZoom])
-            .filter(event => {
-                // Allow zoom with wheel/pinch and panning with drag when not on a node
-                if (event.type === 'wheel' || event.type === 'touchmove') {
-                    return !this.dragging;
-                }
+    // Starting positions: the structured layouts place nodes straight onto their targets,
+    // the force-driven ones start from the level and type arrangement. Nodes with a saved
+    // position keep it in the force-driven layouts, and fixed nodes keep it in all of them.
+    // Returns true when every node had a saved position, so there is nothing to lay out.
+    applyInitialLayout() {
+        const saved = this.nodes.filter(node => node.x != null && node.y != null);
+        
+        if (STRUCTURED_LAYOUTS[this.layout.mode]) {
+            this.computeNodeHierarchy();
+            this.computeLayoutPositions().forEach(({ x, y }, node) => {
+                if (node.fx != null) return;
+                node.x = x;
+                node.y = y;
+            });
+            return false;
+        }
+        
+        if (saved.length === 0) {
+            this.organizeInitialPositions();
+            return false;
+        }
+        
+        // Fill in the missing positions around the saved ones
+        this.computeNodeHierarchy();
+        this.placeNewNodes({ x: this.layoutWidth / 2, y: this.layoutHeight / 2 });
+        return saved.length === this.nodes.length;
+    }
+
+    // Set up the forces for the current layout. The default layout pulls nodes into level,
+    // type and relationship clusters, 'force' leaves only the physical forces, and the
+    // structured layouts hold every node on its computed position.
+    applyLayoutForces() {
+        const { mode } = this.layout;
+        const positions = STRUCTURED_LAYOUTS[mode] ? this.computeLayoutPositions() : null;
+        const target = (node, axis) => (positions.get(node) || node)[axis];
+        this.layoutPositions = positions;
+        
+        this.simulation
+            .force('typeCluster', mode === 'default' ? this.createTypeClusterForce() : null)
+            .force('relationshipPositioning', mode === 'default' ? this.createRelationshipForce() : null)
+            .force('layoutX', positions ? d3.forceX(node => target(node, 'x')).strength(0.5) : null)
+            .force('layoutY', positions ? d3.forceY(node => target(node, 'y')).strength(0.5) : null)
+            .force('center', positions ? null : d3.forceCenter(this.layoutWidth / 2, this.layoutHeight / 2));
+        
+        // Structured layouts space the nodes themselves, so only collisions may nudge them
+        this.simulation.force('charge').strength(positions ? 0 : this.defaultChargeStrength);
+        this.simulation.force('link').strength(positions ? 0 : this.defaultLinkStrength);
+        this.simulation.force('collide').radius(node => this.getNodeRadius(node) * (positions ? 1.5 : 2.5));
+    }
+
+    // Target positions of the active nodes for the current structured layout, centred in the view
+    computeLayoutPositions() {
+        const { mode, options } = this.layout;
+        
+        // Keep the radial layout on the same root when the data changes later
+        if (mode === 'radial') {
+            const root = this.getLayoutRoot(options.root);
+            options.root = root ? root.id : undefined;
+        }
+        
+        const positions = STRUCTURED_LAYOUTS[mode](this.activeNodes, this.activeLinks, {
+            nodeSpacing: this.config.nodeSpacing,
+            levelSpacing: this.config.levelSpacing,
+            getType: node => this.getNodeType(node),
+            typeOrder: Object.keys(this.data.colors || {}),
+            aspectRatio: this.layoutWidth / this.layoutHeight || 1,
+            ...options,
+            root: this.activeNodes.find(node => node.id === options.root)
+        });
+        
+        positions.forEach(position => {
+            position.x += this.layoutWidth / 2;
+            position.y += this.layoutHeight / 2;
+        });
+        return positions;
+    }
+
+    // Radial layouts centre on the given node, else the selected node, else the best-connected one
+    getLayoutRoot(id) {
+        if (id !== undefined) {
+            const node = this.activeNodes.find(n => n.id === id);
+            if (node) return node;
+            console.warn('Unknown layout root, picking another node:', id);
+        }
+        
+        if (this.selectedNode && this.activeNodes.includes(this.selectedNode)) {
+            return this.selectedNode;
+        }
+        
+        const degree = node =>
+            (this.adjacency.outgoing.get(node.id) || []).length + (this.adjacency.incoming.get(node.id) || []).length;
+        return this.activeNodes.reduce((best, node) => (!best || degree(node) > degree(best) ? node : best), null);
+    }
+
+    // Switch layouts at runtime. Structured layouts animate the nodes (and the view) to their
+    // new positions and resolve with true once they arrive, or false if interrupted. The
+    // force-driven layouts reheat the simulation and resolve straight away. Pinned nodes stay put.
+    setLayout(mode, { duration = 750, ...layoutOptions } = {}) {
+        if (!LAYOUT_MODES.includes(mode)) {
+            console.error('Unknown layout:', mode, '- expected one of', LAYOUT_MODES.join(', '));
+            return Promise.resolve(false);
+        }
+        
+        this.layout = { mode, options: layoutOptions };
+        this.applyLayoutForces();
+        this.emit('layoutchange', { layout: mode, options: layoutOptions });
+        
+        const targets = this.layoutPositions;
+        if (!targets) {
+            this.simulation.alpha(1).restart();
+            return Promise.resolve(true);
+        }
+        
+        const moving = this.activeNodes.filter(node => node.fx == null && node.fy == null);
+        const movingSet = new Set(moving);
+        const finalPositions = this.activeNodes.map(node => (movingSet.has(node) ? targets.get(node) : node));
+        
+        if (this.headless || duration <= 0) {
+            moving.forEach(node => {
+                Object.assign(node, targets.get(node), { vx: 0, vy: 0 });
+            });
+            if (!this.headless) {
+                d3.select(this.canvas).call(this.zoom.transform, this.getFitTransform(finalPositions));
+                this.simulation.alpha(0.3).restart();
+            }
+            return Promise.resolve(true);
+        }
+        
+        // The simulation waits while the transition moves the nodes
+        this.simulation.stop();
+        
+        return new Promise(resolve => {
+            d3.select(this.canvas)
+                .transition('layout')
+                .duration(duration)
+                .ease(d3.easeCubicInOut)
+                .tween('layout', () => {
+                    const starts = new Map(moving.map(node => [node, { x: node.x, y: node.y }]));
+                    return t => {
+                        moving.forEach(node => {
+                            const start = starts.get(node);
+                            const end = targets.get(node);
+                            node.x = start.x + (end.x - start.x) * t;
+                            node.y = start.y + (end.y - start.y) * t;
+                            node.vx = 0;
+                            node.vy = 0;
+                        });
+                        this.draw();
+                    };
+                })
+                .call(this.zoom.transform, this.getFitTransform(finalPositions))
+                .on('end', () => {
+                    this.simulation.alpha(0.3).restart();
+                    resolve(true);
+                })
+                .on('interrupt', () => {
+                    this.simulation.alpha(0.3).restart();
+                    resolve(false);
+                });
+        });
+    }
+
+    // Switch between straight, curved and orthogonal (elbow) edges at runtime
+    setEdgeStyle(style) {
+        if (!EDGE_STYLES.includes(style)) {
+            console.error('Unknown edge style:', style, '- expected one of', EDGE_STYLES.join(', '));
+            return false;
+        }
+        
+        this.options.edgeStyle = style;
+        this.draw();
+        return true;
+    }
+
+    // Zoom transform that fits the given positions in the view, without zooming in past 1:1
+    getFitTransform(positions) {
+        const margin = this.config.viewPadding + this.largestNodeExtent;
+        let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+        
+        positions.forEach(({ x, y }) => {
+            minX = Math.min(minX, x);
+            maxX = Math.max(maxX, x);
+            minY = Math.min(minY, y);
+            maxY = Math.max(maxY, y);
+        });
+        
+        if (minX === Infinity) return this.transform;
+        
+        const scale = Math.max(this.minZoom, Math.min(
+            1,
+            this.width / (maxX - minX + margin * 2),
+            this.height / (maxY - minY + margin * 2)
+        ));
+        return d3.zoomIdentity
+            .translate(this.width / 2 - ((minX + maxX) / 2) * scale, this.height / 2 - ((minY + maxY) / 2) * scale)
+            .scale(scale);
+    }
+
+    // New method for node selection
+    setupNodeSelection() {
+        // Add mousemove handler to update cursor
+        d3.select(this.canvas).on('mousemove', (event) => {
+            if (this.dragging) return; // Skip during active dragging
+
+            const position = this.getEventPosition(event);
+            const simPoint = position.simulation;
+            const nodeUnderMouse = this.findNodeAtPoint(simPoint.x, simPoint.y) || null;
+            // Nodes are drawn on top of links, so they win when both are under the pointer
+            const linkUnderMouse = nodeUnderMouse ? null : this.findLinkAtPoint(simPoint.x, simPoint.y);
+
+            // Set appropriate cursor
+            if (nodeUnderMouse || linkUnderMouse) {
+                this.canvas.style.cursor = 'pointer'; // Pointer when hovering over a node or link
+            } else {
+                this.canvas.style.cursor = 'default'; // Default otherwise
+            }
+
+            // Only report hover when the element under the pointer changes
+            if (nodeUnderMouse !== this.hoveredNode || linkUnderMouse !== this.hoveredLink) {
+                const previous = this.hoveredNode;
+                const previousEdge = this.hoveredLink;
+                this.hoveredNode = nodeUnderMouse;
+                this.hoveredLink = linkUnderMouse;
+                this.emit('hover', {
+                    node: nodeUnderMouse,
+                    edge: linkUnderMouse,
+                    previous,
+                    previousEdge,
+                    ...position,
+                    sourceEvent: event
+                });
                 
-                // For mousedown events (start of drag), check if we're on a node
-                if (event.type === 'mousedown') {
-                    const point = this.transformPointToSimulation(d3.pointer(event, this.canvas));
-                    const nodeUnderMouse = this.findNodeAtPoint(point.x, point.y);
-                    // Allow panning only when not clicking on a node
-                    return !nodeUnderMouse;
+                // Repaint so the link highlight follows the pointer
+                if (linkUnderMouse !== previousEdge) {
+                    this.draw();
                 }
-                
-                // Allow other events (like mousemove for panning)
-                return true;
-            })
-            .on('zoom', (event) => {
-                this.transform = event.transform;
+            }
+        });
+        
+        // Add mouseleave handler to reset cursor
+        d3.select(this.canvas).on('mouseleave', (event) => {
+            if (!this.dragging) {
+                this.canvas.style.cursor = 'default';
+            }
+
+            if (this.hoveredNode || this.hoveredLink) {
+                const previous = this.hoveredNode;
+                const previousEdge = this.hoveredLink;
+                this.hoveredNode = null;
+                this.hoveredLink = null;
+                this.emit('hover', {
+                    node: null,
+                    edge: null,
+                    previous,
+                    previousEdge,
+                    ...this.getEventPosition(event),
+                    sourceEvent: event
+                });
                 this.draw();
-            });
+            }
+        });
 
-        d3.select(this.canvas)
-            .call(zoom)
-            .call(zoom.transform, d3.zoomIdentity);
+        // Keep the existing click handler
+        d3.select(this.canvas).on('click', (event) => {
+            if (this.dragging) return; // Ignore clicks during drag operations
+
+            const position = this.getEventPosition(event);
+            const simPoint = position.simulation;
+            const clickedNode = this.findNodeAtPoint(simPoint.x, simPoint.y) || null;
+            const clickedLink = clickedNode ? null : this.findLinkAtPoint(simPoint.x, simPoint.y);
+
+            // Handlers can call preventDefault() to suppress the built-in info box
+            const clickEvent = this.emit('click', { node: clickedNode, edge: clickedLink, ...position, sourceEvent: event });
+            const showInfoBox = !clickEvent.defaultPrevented;
+
+            if (clickedNode && event.shiftKey) {
+                // Shift-click adds the node to the selection or takes it out again
+                this.toggleNodeSelection(clickedNode);
+            } else if (clickedNode) {
+                // If clicked on a node, select it and show info box
+                this.selectNode(clickedNode, { showInfoBox });
+            } else if (clickedLink) {
+                // If clicked on a link, select it and show its info box at the click position
+                this.selectEdge(clickedLink, { showInfoBox, at: simPoint });
+            } else if (!event.shiftKey) {
+                // If clicked elsewhere, deselect and hide info box
+                this.selectNode(null);
+            }
+
+            this.draw();
+        });
+
+        // Double-click expands or collapses the node under the pointer. In edit mode it adds
+        // a node on empty space, or jumps to the name field of the node or edge under the pointer.
+        d3.select(this.canvas).on('dblclick', (event) => {
+            const simPoint = this.getEventPosition(event).simulation;
+            const node = this.findNodeAtPoint(simPoint.x, simPoint.y);
+            if (!this.editMode) {
+                if (node) this.toggleCollapsed(node);
+                return;
+            }
+
+            const link = node ? null : this.findLinkAtPoint(simPoint.x, simPoint.y);
+            if (node) {
+                this.selectNode(node, { showInfoBox: false });
+                this.focusEditField('label');
+            } else if (link) {
+                this.selectEdge(link, { showInfoBox: false });
+                this.focusEditField('relationship');
+            } else {
+                this.addNodeAt(simPoint);
+            }
+            this.draw();
+        });
     }
 
-    fitViewToContent() {
-        if (this.nodes.length === 0) return;
+    // Change the selected node, emitting selectionchange when it actually changes
+    selectNode(node, { showInfoBox = true } = {}) {
+        this.setSelection(node || null, null, showInfoBox);
         
-        // Calculate graph bounds with extreme padding
-        const nodeRadius = this.config.nodeRadius;
+        if (this.infoBox.visible) {
+            this.positionInfoBox(node.x, node.y, this.getNodeExtent(node));
+        }
+    }
+
+    // Change the selected link; the info box opens at the given point or the link midpoint
+    selectEdge(link, { showInfoBox = true, at = null } = {}) {
+        this.setSelection(null, link || null, showInfoBox);
         
-        // Find min/max positions with node radius considered
-        let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+        if (this.infoBox.visible) {
+            const segment = this.getLinkSegment(link);
+            const anchor = at || (segment ? this.getSegmentPoint(segment, 0.5) : { x: link.source.x, y: link.source.y });
+            this.positionInfoBox(anchor.x, anchor.y, 0);
+        }
+    }
+
+    // Nodes and a link are never selected at the same time. `node` is the one whose info
+    // box can be shown, `nodes` the whole selection.
+    setSelection(node, link, showInfoBox, nodes = node ? [node] : []) {
+        const previous = this.selectedNode;
+        const previousEdge = this.selectedLink;
+        const previousNodes = this.selectedNodes;
+        this.selectedNode = node;
+        this.selectedLink = link;
+        this.selectedNodes = new Set(nodes);
+        this.infoBox.visible = Boolean(node || link) && showInfoBox;
+        
+        const nodesChanged = previousNodes.size !== this.selectedNodes.size ||
+            [...previousNodes].some(n => !this.selectedNodes.has(n));
+        if (previous !== node || previousEdge !== link || nodesChanged) {
+            this.emit('selectionchange', { node, edge: link, nodes: [...this.selectedNodes], previous, previousEdge });
+        }
+        
+        if (this.selectionBar) {
+            this.updateSelectionBar();
+        }
+        if (this.editPanel) {
+            this.updateEditPanel();
+        }
+    }
+
+    // Select nodes by id, replacing the selection or adding to it. No info box is shown.
+    selectNodes(ids, { add = false } = {}) {
+        const wanted = new Set(ids);
+        const nodes = new Set(add ? this.selectedNodes : []);
+        this.activeNodes.forEach(node => {
+            if (wanted.has(node.id)) nodes.add(node);
+        });
+        
+        const list = [...nodes];
+        this.setSelection(list[list.length - 1] || null, null, false, list);
+        this.draw();
+    }
+
+    // Add a node to the selection, or take it out if it's already selected
+    toggleNodeSelection(node) {
+        const nodes = new Set(this.selectedNodes);
+        if (nodes.has(node)) {
+            nodes.delete(node);
+        } else {
+            nodes.add(node);
+        }
+        
+        const list = [...nodes];
+        this.setSelection(nodes.has(node) ? node : list[list.length - 1] || null, null, false, list);
+    }
+
+    getSelectedNodes() {
+        return [...this.selectedNodes];
+    }
+
+    // Ids the bulk actions work on when they are called without any
+    getSelectedIds() {
+        return [...this.selectedNodes].map(node => node.id);
+    }
+
+    // Pin nodes where they are, by default the selected ones
+    pinNodes(ids = this.getSelectedIds()) {
+        this.setNodesPinned(ids, true);
+    }
+
+    // Release pinned nodes back into the layout, by default the selected ones
+    unpinNodes(ids = this.getSelectedIds()) {
+        this.setNodesPinned(ids, false);
+    }
+
+    setNodesPinned(ids, pinned) {
+        const wanted = new Set(ids);
+        const changed = this.nodes.filter(node =>
+            wanted.has(node.id) && node.x != null && (node.fx != null) !== pinned
+        );
+        if (changed.length === 0) return;
+        
+        changed.forEach(node => {
+            node.fx = pinned ? node.x : null;
+            node.fy = pinned ? node.y : null;
+        });
+        this.emit('pinchange', { nodes: changed, pinned });
+        
+        // Let released nodes drift back into the layout
+        if (!pinned) {
+            this.simulation.alpha(Math.max(this.simulation.alpha(), 0.1)).restart();
+        }
+        this.draw();
+    }
+
+    // Hide nodes and their edges, by default the selected ones, until showAllNodes()
+    hideNodes(ids = this.getSelectedIds()) {
+        if (ids.length === 0) return;
+        
+        ids.forEach(id => this.hiddenNodes.add(id));
+        this.applyFilters();
+    }
+
+    // Hide every node except the given ones, by default the selected ones
+    isolateNodes(ids = this.getSelectedIds()) {
+        if (ids.length === 0) return;
+        
+        const kept = new Set(ids);
+        this.nodes.forEach(node => {
+            if (!kept.has(node.id)) this.hiddenNodes.add(node.id);
+        });
+        this.applyFilters();
+    }
+
+    // Bring back the nodes hidden with hideNodes() and isolateNodes()
+    showAllNodes() {
+        if (this.hiddenNodes.size === 0) return;
+        
+        this.hiddenNodes.clear();
+        this.applyFilters();
+    }
+
+    // Place the info box next to a point in simulation space, keeping it on screen
+    positionInfoBox(x, y, radius) {
+        // Calculate screen position of the anchor point
+        const nodeScreenX = x * this.transform.k + this.transform.x;
+        const nodeScreenY = y * this.transform.k + this.transform.y;
+        
+        // Get canvas dimensions
+        const canvasWidth = this.width;
+        const canvasHeight = this.height;
+        
+        // Position the info box - prefer right of the anchor but ensure it stays on screen
+        const nodeRadius = radius * this.transform.k;
+        
+        // Start with position to the right and aligned with node top
+        let boxX = nodeScreenX + nodeRadius + 10; 
+        let boxY = nodeScreenY - nodeRadius;
+        
+        // Make sure box stays within horizontal bounds
+        if (boxX + this.infoBox.width > canvasWidth - 10) {
+            // Not enough room on the right, try left side
+            boxX = nodeScreenX - this.infoBox.width - nodeRadius - 10;
+        }
+        
+        // If still out of bounds (very large node or at edge), center horizontally
+        if (boxX < 10) {
+            boxX = 10;
+        }
+        
+        // Make sure box stays within vertical bounds
+        if (boxY < 10) {
+            boxY = 10;
+        }
+        
+        // Check if box would extend below canvas
+        // We need to estimate height first, assuming ~4 properties plus label
+        const estimatedHeight = this.infoBox.padding * 2 + (5 * 24) + 36; // header + ~5 lines
+        if (boxY + estimatedHeight > canvasHeight - 10) {
+            // Position box above if it would go below canvas
+            boxY = Math.max(10, canvasHeight - estimatedHeight - 10);
+        }
+        
+        this.infoBox.x = boxX;
+        this.infoBox.y = boxY;
+    }
+
+    // Title, header color and lines of text for the selected node or link
+    getInfoBoxContent() {
+        const propertyLines = [];
+        
+        if (this.selectedLink) {
+            const link = this.selectedLink;
+
+            // Show both endpoints so the relationship reads as a sentence
+            propertyLines.push(`From: ${link.source.label || link.source.id}`);
+            propertyLines.push(`To: ${link.target.label || link.target.id}`);
+
+            // Re-routed to a collapsed group: list the edges it stands for instead
+            if (link.links) {
+                propertyLines.push(`Combines ${link.links.length} edge${link.links.length === 1 ? '' : 's'}:`);
+                link.links.slice(0, 10).forEach(original => {
+                    propertyLines.push(`${original.source.label} → ${original.target.label}`);
+                });
+                if (link.links.length > 10) propertyLines.push(`and ${link.links.length - 10} more`);
+            }
+
+            const properties = link.properties || {};
+            for (const key in properties) {
+                propertyLines.push(`${key}: ${properties[key]}`);
+            }
+
+            return {
+                title: link.relationship || 'Relationship',
+                color: this.theme.mutedText,
+                lines: propertyLines
+            };
+        }
+        
+        const node = this.selectedNode;
+        
+        // Get properties to display
+        const properties = node.properties || {};
+        
+        // Aggregate nodes list the nodes collapsed into them
+        if (node.aggregate) {
+            const members = [...this.collapsedMembers].filter(([, standIn]) => standIn === node).map(([member]) => member);
+            propertyLines.push(`${members.length} collapsed node${members.length === 1 ? '' : 's'}:`);
+            members.slice(0, 10).forEach(member => propertyLines.push(member.label));
+            if (members.length > 10) propertyLines.push(`and ${members.length - 10} more`);
+            propertyLines.push('Double-click to expand');
+            return { title: node.label, color: node.color, lines: propertyLines };
+        }
+        
+        // Add node ID and label
+        propertyLines.push(`ID: ${node.id}`);
+        propertyLines.push(`Label: ${node.label || ''}`);
+        
+        // Add all properties
+        for (const key in properties) {
+            if (key !== 'type') { // Skip type as it's usually displayed as part of the node color
+                propertyLines.push(`${key}: ${properties[key]}`);
+            }
+        }
         
-        this.nodes.forEach(node => {
-            if (node.x == null || node.y == null) return;
-            
-            // Use even larger multipliers for node radius
-            minX = Math.min(minX, node.x - nodeRadius * 8);
-            maxX = Math.max(maxX, node.x + nodeRadius * 8);
-            minY = Math.min(minY, node.y - nodeRadius * 8);
-            maxY = Math.max(maxY, node.y + nodeRadius * 8);
-        });
+        // Add relationship info if available
+        if (node.relationship_name) {
+            propertyLines.push(`Relationship: ${node.relationship_name}`);
+        }
         
-        // Get canvas dimensions
-        const width = this.canvas.width;
-        const height = this.canvas.height;
+        if (node.collapsedCount > 0) {
+            propertyLines.push(`Collapsed: ${node.collapsedCount} node${node.collapsedCount === 1 ? '' : 's'}`);
+            propertyLines.push('Double-click to expand');
+        }
         
-        // Calculate the dimensions of the graph content
-        const graphWidth = maxX - minX;
-        const graphHeight = maxY - minY;
+        return {
+            title: node.properties && node.properties.type ? node.properties.type : 'Node',
+            color: node.color || this.theme.mutedText,
+            lines: propertyLines
+        };
+    }
+
+    // New method to draw info box
+    drawInfoBox() {
+        const ctx = this.ctx;
+        const box = this.infoBox;
+        const padding = box.padding;
         
-        // Force a very aggressive zoom out factor - much smaller number means more zoomed out
-        let scale = 0.15;
+        // Get the title and lines to display
+        const { title, color, lines: propertyLines } = this.getInfoBoxContent();
         
-        // Calculate the minimum scale needed to fit all content with padding
-        const fitScaleWidth = (width * 0.85) / graphWidth;
-        const fitScaleHeight = (height * 0.85) / graphHeight;
+        // Calculate box height based on content
+        const lineHeight = 24;
+        box.height = padding * 2 + propertyLines.length * lineHeight + 36; // Add header height
         
-        // Use the smaller of our fixed scale or what's needed to fit content
-        scale = Math.min(scale, fitScaleWidth, fitScaleHeight);
+        // Draw in screen coordinates - save current transformation
+        ctx.save();
         
-        console.log("Graph dimensions:", graphWidth, "x", graphHeight);
-        console.log("Canvas dimensions:", width, "x", height);
-        console.log("Initial zoom scale:", scale);
+        // Reset transformation to draw in screen space
+        ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
         
-        // Calculate the center of the graph content in its original coordinates
-        const graphCenterX = (minX + maxX) / 2;
-        const graphCenterY = (minY + maxY) / 2;
+        // Draw shadow
+        ctx.shadowColor = this.theme.shadow;
+        ctx.shadowBlur = 10;
+        ctx.shadowOffsetX = 3;
+        ctx.shadowOffsetY = 3;
         
-        // Calculate the canvas center
-        const canvasCenterX = width / 2;
-        const canvasCenterY = height / 2;
+        // Draw the background with a border
+        ctx.fillStyle = this.theme.panelBackground;
+        ctx.strokeStyle = this.theme.panelBorder;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.roundRect(box.x, box.y, box.width, box.height, 8); // Using roundRect for rounded corners
+        ctx.fill();
+        ctx.stroke();
         
-        // Calculate translation to center the graph in the canvas
-        const tx = canvasCenterX - (graphCenterX * scale);
-        const ty = canvasCenterY - (graphCenterY * scale);
+        // Reset shadow
+        ctx.shadowColor = 'transparent';
+        ctx.shadowBlur = 0;
+        ctx.shadowOffsetX = 0;
+        ctx.shadowOffsetY = 0;
         
-        console.log("Translation:", tx, ty);
+        // Draw title bar
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.roundRect(box.x, box.y, box.width, 36, { upperLeft: 8, upperRight: 8, lowerLeft: 0, lowerRight: 0 });
+        ctx.fill();
         
-        // Apply transform with the correct centering
-        const transform = d3.zoomIdentity
-            .translate(tx, ty)
-            .scale(scale);
+        // Draw title text
+        ctx.fillStyle = getTextColorOn(color, this.theme);
+        ctx.font = this.getFont(16, true);
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(title, box.x + padding, box.y + 18);
         
-        // Apply the zoom transform immediately and also with a delay as a fallback
-        d3.select(this.canvas)
-            .call(d3.zoom().transform, transform);
+        // Draw property lines
+        ctx.fillStyle = this.theme.panelText;
+        ctx.font = this.getFont(14);
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
         
-        this.transform = transform;
-        this.draw();
+        propertyLines.forEach((line, index) => {
+            ctx.fillText(line, box.x + padding, box.y + padding + 36 + (index * lineHeight));
+        });
         
-        // Apply again after a delay in case the initial attempt doesn't work
-        setTimeout(() => {
-            d3.select(this.canvas)
-                .call(d3.zoom().transform, transform);
-            
-            this.transform = transform;
-            this.draw();
-            
-            console.log("Zoom transform reapplied:", transform);
-        }, 500);
+        ctx.restore();
     }
 
-    isNodeVisible(node) {
-        const visibleMinX = -this.transform.x / this.transform.k;
-        const visibleMinY = -this.transform.y / this.transform.k;
-        const visibleMaxX = (this.canvas.width - this.transform.x) / this.transform.k;
-        const visibleMaxY = (this.canvas.height - this.transform.y) / this.transform.k;
-        
-        const r = this.config.nodeRadius;
-        return (
-            node.x + r > visibleMinX &&
-            node.x - r < visibleMaxX &&
-            node.y + r > visibleMinY &&
-            node.y - r < visibleMaxY
-        );
+    // Score how well a query matches a piece of text: substring matches beat
+    // scattered (subsequence) matches, and earlier, tighter matches score higher
+    fuzzyScore(query, text) {
+        const q = query.toLowerCase();
+        const t = String(text).toLowerCase();
+        if (!q || !t) return 0;
+
+        const index = t.indexOf(q);
+        if (index !== -1) {
+            // Exact substring, bonus for matching at the start of the text or a word
+            const atWordStart = index === 0 || /\W/.test(t[index - 1]);
+            return 100 + (atWordStart ? 50 : 0) - index * 0.1 - (t.length - q.length) * 0.01;
+        }
+
+        // Every query character must appear in order
+        let score = 0;
+        let lastMatch = -1;
+        for (let i = 0; i < q.length; i++) {
+            const position = t.indexOf(q[i], lastMatch + 1);
+            if (position === -1) return 0;
+
+            // Reward consecutive characters, penalise gaps
+            score += position === lastMatch + 1 ? 5 : 1 - Math.min(1, (position - lastMatch) * 0.05);
+            lastMatch = position;
+        }
+        return score;
     }
 
-    // Add this new method to handle collision avoidance
-    applyCollisionAvoidance() {
-        const draggedNode = this.draggedNode;
-        const nodeRadius = this.config.nodeRadius;
-        const minDistance = nodeRadius * 3;  // Increased from 2 to 3 times the radius
-        const repulsionStrength = 0.3;  // Increased from 0.2 to 0.3
-        
-        // For each node, check if it's too close to the dragged node
-        this.nodes.forEach(node => {
-            if (node === draggedNode) return; // Skip the dragged node
-            
-            // Calculate distance between nodes
-            const dx = node.x - draggedNode.x;
-            const dy = node.y - draggedNode.y;
-            const distance = Math.sqrt(dx * dx + dy * dy);
-            
-            // If nodes are too close
-            if (distance < minDistance) {
-                // Calculate the overlap amount
-                const overlap = minDistance - distance;
-                
-                // Calculate normalized direction vector
-                let dirX = dx, dirY = dy;
-                if (distance > 0) {
-                    dirX = dx / distance;
-                    dirY = dy / distance;
-                } else {
-                    // If nodes are exactly at the same position, move in a random direction
-                    const angle = Math.random() * 2 * Math.PI;
-                    dirX = Math.cos(angle);
-                    dirY = Math.sin(angle);
-                }
-                
-                // Push the other node away along the direction vector
-                // The repulsion strength determines how quickly nodes move away
-                const isFixed = node.fx !== null && node.fy !== null;
-                
-                if (isFixed) {
-                    // For fixed nodes, temporarily shift them to avoid overlap
-                    // but preserve their fixed position for simulation
-                    node.x += dirX * overlap * repulsionStrength * 0.5;
-                    node.y += dirY * overlap * repulsionStrength * 0.5;
-                    
-                    // Update fx,fy to match the slightly adjusted position
-                    node.fx = node.x;
-                    node.fy = node.y;
-                } else {
-                    // For non-fixed nodes, apply full repulsion
-                    node.x += dirX * overlap * repulsionStrength;
-                    node.y += dirY * overlap * repulsionStrength;
-                    
-                    // Apply velocity for smoother movement
-                    const velocityDamping = 0.5;
-                    if (!node.vx) node.vx = 0;
-                    if (!node.vy) node.vy = 0;
-                    node.vx += dirX * overlap * repulsionStrength * velocityDamping;
-                    node.vy += dirY * overlap * repulsionStrength * velocityDamping;
+    // Find nodes whose label or property values match the query, best matches first
+    searchNodes(query, limit = 10) {
+        const trimmed = (query || '').trim();
+        if (!trimmed) return [];
+
+        const results = [];
+        this.activeNodes.forEach(node => {
+            let best = { score: this.fuzzyScore(trimmed, node.label || ''), field: 'label', value: node.label };
+
+            const properties = node.properties || {};
+            for (const key in properties) {
+                const value = properties[key];
+                if (value == null || typeof value === 'object') continue;
+
+                // Property matches rank slightly below an equally good label match
+                const score = this.fuzzyScore(trimmed, value) * 0.9;
+                if (score > best.score) {
+                    best = { score, field: key, value };
                 }
             }
+
+            if (best.score > 0) {
+                results.push({ node, ...best });
+            }
         });
+
+        return results
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
     }
 
-    // New method that analyzes graph structure and arranges nodes in a hierarchical layout
-    organizeInitialPositions() {
-        // Analyze the graph to determine hierarchical relationships
-        this.computeNodeHierarchy();
-        
-        const canvas = this.canvas;
-        const width = canvas.width;
-        const height = canvas.height;
-        
-        // Group nodes by their hierarchical level and type
-        const levelGroups = {};
-        const maxLevel = Math.max(...this.nodes.map(n => n.level || 0));
-        
-        this.nodes.forEach(node => {
-            const level = node.level || 0;
-            const type = node.properties && node.properties.type ? node.properties.type : 'default';
-            
-            if (!levelGroups[level]) {
-                levelGroups[level] = {};
-            }
-            
-            if (!levelGroups[level][type]) {
-                levelGroups[level][type] = [];
+    // Create the search input and result list overlaid on the top-left corner of the graph
+    createSearchBox() {
+        const wrapper = document.createElement('div');
+        wrapper.style.cssText = 'position: absolute; top: 10px; left: 10px; width: 280px; ' +
+            'font: 14px var(--edge-graph-font-family); z-index: 10;';
+
+        const input = document.createElement('input');
+        input.type = 'search';
+        input.placeholder = 'Search nodes...';
+        input.setAttribute('aria-label', 'Search nodes');
+        input.style.cssText = 'width: 100%; box-sizing: border-box; padding: 8px 10px; border: none; ' +
+            'border-radius: 6px; background: var(--edge-graph-panel-background); color: var(--edge-graph-panel-text); ' +
+            'font: inherit; outline: none;';
+
+        const list = document.createElement('ul');
+        list.setAttribute('role', 'listbox');
+        list.style.cssText = 'list-style: none; margin: 4px 0 0; padding: 0; max-height: 320px; overflow-y: auto; ' +
+            'background: var(--edge-graph-panel-background); border-radius: 6px; ' +
+            'box-shadow: 0 2px 10px var(--edge-graph-shadow); display: none;';
+
+        wrapper.appendChild(input);
+        wrapper.appendChild(list);
+        this.container.appendChild(wrapper);
+
+        this.searchBox = { wrapper, input, list, results: [], activeIndex: -1 };
+
+        input.addEventListener('input', () => this.updateSearchResults(input.value));
+        input.addEventListener('keydown', (event) => {
+            const box = this.searchBox;
+            if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+                event.preventDefault();
+                if (box.results.length === 0) return;
+                const step = event.key === 'ArrowDown' ? 1 : -1;
+                box.activeIndex = (box.activeIndex + step + box.results.length) % box.results.length;
+                this.renderSearchResults();
+            } else if (event.key === 'Enter') {
+                const result = box.results[Math.max(0, box.activeIndex)];
+                if (result) this.pickSearchResult(result);
+            } else if (event.key === 'Escape') {
+                input.value = '';
+                this.updateSearchResults('');
+                input.blur();
             }
-            
-            levelGroups[level][type].push(node);
         });
-        
-        // Enhanced positioning with increased spacing
-        Object.keys(levelGroups).forEach(level => {
-            const levelNumber = parseInt(level);
-            // Use the configuration parameter for level spacing
-            const yPosition = (height * 0.1) + (levelNumber / Math.max(1, maxLevel)) * (height * 0.8);
-            const typeGroups = levelGroups[level];
-            
-            // For each type within this level
-            const typeCount = Object.keys(typeGroups).length;
-            const typeKeys = Object.keys(typeGroups);
-            
-            typeKeys.forEach((type, typeIndex) => {
-                const nodes = typeGroups[type];
-                
-                // Horizontal position with more space between type groups
-                const sectionWidth = width / (typeCount + 1);
-                const xCenter = sectionWidth * (typeIndex + 1);
-                
-                // Arrange nodes of this type in this level with more spacing
-                const nodeCount = nodes.length;
-                // Use the configuration parameter for node spacing
-                const spacing = Math.max(this.config.nodeSpacing, sectionWidth / (nodeCount + 1));
-                
-                nodes.forEach((node, i) => {
-                    let xOffset = 0;
-                    
-                    // For larger groups, use a grid layout
-                    if (nodeCount > 7) {
-                        const rowSize = Math.ceil(Math.sqrt(nodeCount * 1.5)); // Wider rows
-                        const row = Math.floor(i / rowSize);
-                        const col = i % rowSize;
-                        xOffset = (col - rowSize/2) * spacing;
-                        node.y = yPosition + row * spacing;
-                    } else {
-                        // For smaller groups, use a horizontal layout
-                        xOffset = (i - (nodeCount - 1) / 2) * spacing;
-                        node.y = yPosition;
-                    }
-                    
-                    node.x = xCenter + xOffset;
-                    
-                    // Move important nodes (ones with many connections) to the center
-                    if (node.childCount > 5 || node.parentCount > 5) {
-                        node.x = Math.max(width * 0.3, Math.min(width * 0.7, node.x));
-                    }
-                });
+    }
+
+    updateSearchResults(query) {
+        this.searchBox.results = this.searchNodes(query);
+        this.searchBox.activeIndex = this.searchBox.results.length > 0 ? 0 : -1;
+        this.renderSearchResults();
+    }
+
+    renderSearchResults() {
+        const { list, results, activeIndex } = this.searchBox;
+        list.innerHTML = '';
+        list.style.display = results.length > 0 ? 'block' : 'none';
+
+        results.forEach((result, index) => {
+            const item = document.createElement('li');
+            item.setAttribute('role', 'option');
+            item.style.cssText = 'padding: 6px 10px; cursor: pointer; border-left: 4px solid ' + result.node.color + ';' +
+                (index === activeIndex ? ' background: var(--edge-graph-panel-active);' : '');
+
+            const label = document.createElement('div');
+            label.textContent = result.node.label;
+            label.style.color = 'var(--edge-graph-panel-text)';
+            item.appendChild(label);
+
+            // Show which property matched when it wasn't the label
+            if (result.field !== 'label') {
+                const detail = document.createElement('div');
+                detail.textContent = `${result.field}: ${result.value}`;
+                detail.style.cssText = 'color: var(--edge-graph-muted-text); font-size: 12px;';
+                item.appendChild(detail);
+            }
+
+            // mousedown instead of click so the input doesn't lose focus first
+            item.addEventListener('mousedown', (event) => {
+                event.preventDefault();
+                this.pickSearchResult(result);
             });
+            list.appendChild(item);
         });
-        
-        // Second pass to separate nodes that might be too close
-        this.resolveOverlaps();
     }
 
-    // New method to resolve initial node overlaps
-    resolveOverlaps() {
-        const nodeRadius = this.config.nodeRadius * 3; // Extra large minimum distance
-        const iterations = 5;
+    pickSearchResult(result) {
+        this.searchBox.input.value = result.node.label;
+        this.updateSearchResults('');
+        this.focusNode(result.node.id);
+    }
+
+    // Create the legend panel in the top-right corner; each entry toggles its type or relationship
+    createLegend() {
+        const panel = document.createElement('div');
+        panel.style.cssText = 'position: absolute; top: 10px; right: 10px; min-width: 180px; max-height: 60%; ' +
+            'overflow-y: auto; padding: 10px 12px; border-radius: 6px; background: var(--edge-graph-overlay-background); ' +
+            'color: var(--edge-graph-overlay-text); font: 13px var(--edge-graph-font-family); z-index: 10; user-select: none;';
         
-        for (let iter = 0; iter < iterations; iter++) {
-            let moved = false;
-            
-            for (let i = 0; i < this.nodes.length; i++) {
-                const nodeA = this.nodes[i];
-                
-                for (let j = i + 1; j < this.nodes.length; j++) {
-                    const nodeB = this.nodes[j];
-                    
-                    const dx = nodeB.x - nodeA.x;
-                    const dy = nodeB.y - nodeA.y;
-                    const distance = Math.sqrt(dx * dx + dy * dy);
-                    
-                    if (distance < nodeRadius) {
-                        moved = true;
-                        
-                        // Calculate the overlap and direction
-                        const overlap = nodeRadius - distance;
-                        const dirX = dx / distance;
-                        const dirY = dy / distance;
-                        
-                        // Move both nodes apart (slightly more for nodes on the same level)
-                        const pushStrength = (nodeA.level === nodeB.level) ? 0.6 : 0.5;
-                        
-                        nodeA.x -= dirX * overlap * pushStrength;
-                        nodeA.y -= dirY * overlap * pushStrength;
-                        nodeB.x += dirX * overlap * pushStrength;
-                        nodeB.y += dirY * overlap * pushStrength;
-                    }
-                }
-            }
-            
-            if (!moved) break;
-        }
+        this.container.appendChild(panel);
+        this.legend = { panel };
+        this.updateLegend();
     }
 
-    // New method to analyze the graph and compute hierarchical levels for each node
-    computeNodeHierarchy() {
-        // Create a map of node IDs for quick lookup
-        const nodeMap = {};
+    // Types come from the colors map plus any type used by a node without a color. Every
+    // data-driven encoding adds its values and what they look like.
+    getLegendEntries() {
+        const colors = this.data.colors || {};
+        const typeCounts = new Map(Object.keys(colors).map(type => [type, 0]));
         this.nodes.forEach(node => {
-            nodeMap[node.id] = node;
-            // Initialize hierarchical properties
-            node.level = undefined;
-            node.childCount = 0;
-            node.parentCount = 0;
+            const type = this.getNodeType(node);
+            typeCounts.set(type, (typeCounts.get(type) || 0) + 1);
         });
         
-        // Count incoming and outgoing connections for each node
+        const relationshipCounts = new Map();
         this.links.forEach(link => {
-            if (link.source && link.target) {
-                // For source node, increment child count
-                const sourceNode = typeof link.source === 'object' ? link.source : nodeMap[link.source];
-                const targetNode = typeof link.target === 'object' ? link.target : nodeMap[link.target];
-                
-                if (sourceNode && targetNode) {
-                    sourceNode.childCount = (sourceNode.childCount || 0) + 1;
-                    targetNode.parentCount = (targetNode.parentCount || 0) + 1;
-                }
-            }
+            relationshipCounts.set(link.relationship, (relationshipCounts.get(link.relationship) || 0) + 1);
         });
         
-        // Find root nodes (nodes with no incoming connections)
-        const rootNodes = this.nodes.filter(node => (node.parentCount || 0) === 0);
+        return {
+            types: [...typeCounts].map(([type, count]) => ({
+                type,
+                count,
+                color: this.getTypeColor(type),
+                hidden: this.hiddenTypes.has(type),
+                collapsed: this.collapsedTypes.has(type)
+            })),
+            relationships: [...relationshipCounts].map(([relationship, count]) => ({
+                relationship,
+                count,
+                hidden: this.hiddenRelationships.has(relationship)
+            })),
+            encodings: this.encodings
+                .filter(encoding => encoding.legend.length > 0)
+                .map(({ target, channel, title, legend, more }) => ({ target, channel, title, entries: legend, more }))
+        };
+    }
+
+    updateLegend() {
+        const { panel } = this.legend;
+        const { types, relationships, encodings } = this.getLegendEntries();
+        panel.innerHTML = '';
         
-        // If no clear roots, use nodes with the fewest incoming connections
-        if (rootNodes.length === 0) {
-            const minParents = Math.min(...this.nodes.map(n => n.parentCount || 0));
-            rootNodes.push(...this.nodes.filter(n => (n.parentCount || 0) === minParents));
-        }
+        const addHeading = (text) => {
+            const heading = document.createElement('div');
+            heading.textContent = text;
+            heading.style.cssText = 'font-weight: bold; margin: 4px 0;';
+            panel.appendChild(heading);
+        };
+        
+        const addEntry = (swatch, label, count, hidden, onToggle) => {
+            const entry = document.createElement('div');
+            entry.setAttribute('role', 'checkbox');
+            entry.setAttribute('aria-checked', String(!hidden));
+            entry.title = hidden ? 'Click to show' : 'Click to hide';
+            entry.style.cssText = 'display: flex; align-items: center; gap: 8px; padding: 2px 0; cursor: pointer;' +
+                (hidden ? ' opacity: 0.4; text-decoration: line-through;' : '');
+
+            const text = document.createElement('span');
+            text.textContent = `${label} (${count})`;
+
+            entry.appendChild(swatch);
+            entry.appendChild(text);
+            entry.addEventListener('click', onToggle);
+            panel.appendChild(entry);
+            return entry;
+        };
         
-        // Assign level 0 to root nodes
-        rootNodes.forEach(node => {
-            node.level = 0;
+        addHeading('Types');
+        types.forEach(({ type, count, color, hidden, collapsed }) => {
+            const swatch = document.createElement('span');
+            swatch.style.cssText = `display: inline-block; width: 12px; height: 12px; border-radius: 50%; background: ${color};`;
+            const entry = addEntry(swatch, type, count, hidden, () => this.setTypeVisibility(type, hidden));
+            if (hidden || count === 0) return;
+
+            // Collapse the whole type into one node, or expand it again
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = collapsed ? '+' : '−';
+            button.title = collapsed ? `Expand ${type}` : `Collapse every ${type} into one node`;
+            button.style.cssText = 'margin-left: auto; padding: 0 6px; border: none; border-radius: 3px; cursor: pointer; ' +
+                'background: var(--edge-graph-overlay-button); color: inherit; font: inherit;';
+            button.addEventListener('click', (event) => {
+                event.stopPropagation();
+                if (collapsed) {
+                    this.expandType(type);
+                } else {
+                    this.collapseType(type);
+                }
+            });
+            entry.appendChild(button);
         });
         
-        // Breadth-first traversal to assign levels
-        const queue = [...rootNodes];
-        const visited = new Set(rootNodes.map(n => n.id));
+        // Nodes hidden one by one come back all at once
+        if (this.hiddenNodes.size > 0) {
+            const swatch = document.createElement('span');
+            swatch.style.cssText = 'display: inline-block; width: 10px; height: 10px; border-radius: 50%; border: 1px solid currentColor;';
+            addEntry(swatch, 'Hidden nodes', this.hiddenNodes.size, true, () => this.showAllNodes());
+        }
         
-        while (queue.length > 0) {
-            const currentNode = queue.shift();
-            const childNodes = [];
-            
-            // Find all children of this node
-            this.links.forEach(link => {
-                if (typeof link.source === 'object' && link.source.id === currentNode.id) {
-                    childNodes.push(typeof link.target === 'object' ? link.target : nodeMap[link.target]);
-                } else if (link.source === currentNode.id) {
-                    childNodes.push(typeof link.target === 'object' ? link.target : nodeMap[link.target]);
-                }
+        if (relationships.length > 0) {
+            addHeading('Relationships');
+            relationships.forEach(({ relationship, count, hidden }) => {
+                const swatch = document.createElement('span');
+                swatch.style.cssText = 'display: inline-block; width: 14px; height: 0; border-top: 2px solid var(--edge-graph-edge);';
+                addEntry(swatch, relationship || '(unnamed)', count, hidden,
+                    () => this.setRelationshipVisibility(relationship, hidden));
             });
-            
-            // Process children
-            childNodes.forEach(childNode => {
-                if (childNode && !visited.has(childNode.id)) {
-                    childNode.level = (currentNode.level || 0) + 1;
-                    visited.add(childNode.id);
-                    queue.push(childNode);
-                }
+        }
+        
+        // Encodings only explain, they don't filter
+        encodings.forEach(encoding => {
+            addHeading(encoding.title);
+            const rows = encoding.entries.map(({ label, value }) => [this.createEncodingSwatch(encoding, value), label]);
+            if (encoding.more > 0) {
+                rows.push([document.createElement('span'), `and ${encoding.more} more`]);
+            }
+            rows.forEach(([swatch, label]) => {
+                const row = document.createElement('div');
+                row.style.cssText = 'display: flex; align-items: center; gap: 8px; padding: 2px 0;';
+                swatch.style.cssText += ' flex: none; width: 24px;';
+                const text = document.createElement('span');
+                text.textContent = label;
+                row.appendChild(swatch);
+                row.appendChild(text);
+                panel.appendChild(row);
             });
+        });
+    }
+
+    // A small picture of one value of an encoding for the legend. Sizes and widths are
+    // shown relative to the largest value in the legend.
+    createEncodingSwatch({ channel, entries }, value) {
+        if (channel === 'icon') {
+            const swatch = document.createElement('span');
+            swatch.textContent = String(value);
+            swatch.style.cssText = 'text-align: center;';
+            return swatch;
         }
         
-        // Special case: handle cycles or unvisited nodes
-        this.nodes.forEach(node => {
-            if (node.level === undefined) {
-                // For nodes in cycles, assign a level based on their connections
-                const connectedNodes = [];
+        const canvas = document.createElement('canvas');
+        canvas.width = 24 * this.pixelRatio;
+        canvas.height = 16 * this.pixelRatio;
+        canvas.style.cssText = 'height: 16px;';
+        const ctx = canvas.getContext('2d');
+        ctx.scale(this.pixelRatio, this.pixelRatio);
+        const share = typeof value === 'number' ? value / Math.max(...entries.map(entry => entry.value)) : 1;
+        ctx.fillStyle = this.theme.overlayText;
+        ctx.strokeStyle = this.theme.overlayText;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        switch (channel) {
+        case 'radius':
+            traceNodeShape(ctx, 'circle', 12, 8, Math.max(2, 7 * share));
+            ctx.fill();
+            break;
+        case 'shape':
+            traceNodeShape(ctx, value, 12, 8, 6);
+            ctx.fill();
+            break;
+        case 'border':
+        case 'borderWidth':
+            traceNodeShape(ctx, 'circle', 12, 8, 5);
+            ctx.fillStyle = this.theme.mutedText;
+            ctx.fill();
+            if (channel === 'border') {
+                ctx.strokeStyle = value;
+            } else {
+                ctx.lineWidth = 0.5 + 3 * share;
+            }
+            ctx.stroke();
+            break;
+        default: // Edge encodings show a piece of line
+            ctx.moveTo(1, 8);
+            ctx.lineTo(23, 8);
+            if (channel === 'color') ctx.strokeStyle = value;
+            if (channel === 'width') ctx.lineWidth = 0.5 + 5.5 * share;
+            if (channel === 'dash') ctx.setLineDash(value.map(length => length / 2));
+            ctx.stroke();
+        }
+        return canvas;
+    }
+
+    // Collect the nodes within the given number of hops of a node, and the links between them
+    getNeighborhood(node, hops = 1, direction = 'both') {
+        const nodes = new Set([node]);
+        const links = new Set();
+        const adjacency = this.adjacency || { outgoing: new Map(), incoming: new Map() };
+        
+        // A collapsed group's neighbours are those of the nodes inside it
+        const members = [...this.collapsedMembers].filter(([, standIn]) => standIn === node).map(([member]) => member);
+        members.forEach(member => nodes.add(member));
+        
+        let frontier = [node, ...members];
+        for (let hop = 0; hop < hops && frontier.length > 0; hop++) {
+            const next = [];
+            frontier.forEach(current => {
+                const entries = [];
+                if (direction !== 'incoming') entries.push(...(adjacency.outgoing.get(current.id) || []));
+                if (direction !== 'outgoing') entries.push(...(adjacency.incoming.get(current.id) || []));
                 
-                this.links.forEach(link => {
-                    if (typeof link.source === 'object' && link.source.id === node.id) {
-                        const target = typeof link.target === 'object' ? link.target : nodeMap[link.target];
-                        if (target && target.level !== undefined) connectedNodes.push(target);
-                    } else if (link.source === node.id) {
-                        const target = typeof link.target === 'object' ? link.target : nodeMap[link.target];
-                        if (target && target.level !== undefined) connectedNodes.push(target);
-                    }
-                    
-                    if (typeof link.target === 'object' && link.target.id === node.id) {
-                        const source = typeof link.source === 'object' ? link.source : nodeMap[link.source];
-                        if (source && source.level !== undefined) connectedNodes.push(source);
-                    } else if (link.target === node.id) {
-                        const source = typeof link.source === 'object' ? link.source : nodeMap[link.source];
-                        if (source && source.level !== undefined) connectedNodes.push(source);
+                entries.forEach(({ link, node: neighbour }) => {
+                    links.add(link);
+                    if (!nodes.has(neighbour)) {
+                        nodes.add(neighbour);
+                        next.push(neighbour);
                     }
                 });
-                
-                if (connectedNodes.length > 0) {
-                    // Assign a level one below the average of connected nodes
-                    const avgLevel = connectedNodes.reduce((sum, n) => sum + (n.level || 0), 0) / connectedNodes.length;
-                    node.level = Math.floor(avgLevel) + 1;
-                } else {
-                    // Isolated nodes go at the top
-                    node.level = 0;
-                }
-            }
+            });
+            frontier = next;
+        }
+        
+        // Report the nodes and links that are drawn in place of collapsed ones
+        nodes.forEach(member => {
+            if (this.collapsedMembers.has(member)) nodes.add(this.collapsedMembers.get(member));
         });
+        links.forEach(link => {
+            if (this.linkStandIns.has(link)) links.add(this.linkStandIns.get(link));
+        });
+        
+        return { nodes, links };
     }
 
-    // Update the custom force to respect hierarchy
-    createTypeClusterForce() {
-        // Track nodes by level and type
-        const nodesByLevelAndType = {};
+    getFocusNeighborhood() {
+        if (!this.focusMode.enabled || !this.selectedNode) return null;
+        return this.getNeighborhood(this.selectedNode, this.focusMode.hops, this.focusMode.direction);
+    }
+
+    isNodeDimmed(node) {
+        return this.focusNeighborhood !== null && !this.focusNeighborhood.nodes.has(node);
+    }
+
+    isLinkDimmed(link) {
+        return this.focusNeighborhood !== null && !this.focusNeighborhood.links.has(link);
+    }
+
+    // Turn focus mode on or off (toggles when called without an argument)
+    setFocusMode(enabled = !this.focusMode.enabled) {
+        this.focusMode.enabled = Boolean(enabled);
+        this.draw();
+    }
+
+    // Set how many hops around the selected node stay visible in focus mode
+    setFocusHops(hops) {
+        this.focusMode.hops = Math.max(1, Math.min(this.config.maxFocusHops, Math.round(hops)));
+        this.draw();
+    }
+
+    // Keyboard shortcuts work while the canvas has focus (click it or tab to it)
+    setupKeyboard() {
+        this.canvas.tabIndex = 0;
+        this.canvas.style.outline = 'none';
         
-        this.nodes.forEach(node => {
-            const level = node.level || 0;
-            const type = node.properties && node.properties.type ? node.properties.type : 'default';
-            
-            if (!nodesByLevelAndType[level]) {
-                nodesByLevelAndType[level] = {};
+        d3.select(this.canvas).on('keydown', (event) => {
+            // Undo and redo while editing
+            if ((event.ctrlKey || event.metaKey) && this.editMode) {
+                const key = event.key.toLowerCase();
+                if (key === 'z' && !event.shiftKey) {
+                    this.undo();
+                } else if (key === 'y' || key === 'z') {
+                    this.redo();
+                } else {
+                    return;
+                }
+                event.preventDefault();
+                return;
             }
-            
-            if (!nodesByLevelAndType[level][type]) {
-                nodesByLevelAndType[level][type] = [];
+
+            switch (event.key) {
+                case 'f':
+                case 'F':
+                    this.setFocusMode();
+                    break;
+                case ']':
+                case '+':
+                case '=':
+                    if (!this.focusMode.enabled) return;
+                    this.setFocusHops(this.focusMode.hops + 1);
+                    break;
+                case '[':
+                case '-':
+                    if (!this.focusMode.enabled) return;
+                    this.setFocusHops(this.focusMode.hops - 1);
+                    break;
+                // Bulk actions on the selected nodes
+                case 'p':
+                case 'P':
+                    this.pinNodes();
+                    break;
+                case 'u':
+                case 'U':
+                    this.unpinNodes();
+                    break;
+                case 'h':
+                case 'H':
+                    this.hideNodes();
+                    break;
+                case 'i':
+                case 'I':
+                    this.isolateNodes();
+                    break;
+                case 'e':
+                case 'E':
+                    if (!this.options.editable) return;
+                    this.setEditMode();
+                    break;
+                case 'Delete':
+                case 'Backspace':
+                    if (!this.editMode) return;
+                    this.deleteSelection();
+                    break;
+                case 'Escape':
+                    this.selectNode(null);
+                    this.draw();
+                    break;
+                default:
+                    return;
             }
-            
-            nodesByLevelAndType[level][type].push(node);
+            event.preventDefault();
         });
+    }
+
+    // Small screen-space hint showing the hop count and the shortcuts
+    drawFocusIndicator() {
+        const ctx = this.ctx;
+        const hops = this.focusMode.hops;
+        const text = `Focus: ${hops} hop${hops === 1 ? '' : 's'}  ·  [ / ] change  ·  F exit`;
         
-        // Create more spread-out centers for each level+type combination
-        const centers = {};
-        const canvas = this.canvas;
-        const width = canvas.width * 1.5; // Expand the effective width
-        const height = canvas.height * 1.5; // Expand the effective height
-        const maxLevel = Math.max(...this.nodes.map(n => n.level || 0));
+        ctx.save();
+        ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+        ctx.font = this.getFont(13);
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
         
-        Object.keys(nodesByLevelAndType).forEach(level => {
-            const levelNumber = parseInt(level);
-            // More vertical space between levels
-            const yPosition = (height * 0.1) + (levelNumber / Math.max(1, maxLevel)) * (height * 0.8);
-            const typeGroups = nodesByLevelAndType[level];
-            
-            const typeCount = Object.keys(typeGroups).length;
-            // Sort types by number of nodes (largest groups in the center)
-            const sortedTypes = Object.keys(typeGroups).sort((a, b) => 
-                typeGroups[b].length - typeGroups[a].length);
-            
-            sortedTypes.forEach((type, typeIndex) => {
-                // Wider spacing between type groups
-                const sectionWidth = width / (typeCount + 1);
-                const xCenter = sectionWidth * (typeIndex + 1);
-                
-                centers[`${level}_${type}`] = {
-                    x: xCenter,
-                    y: yPosition
-                };
-            });
-        });
+        const width = ctx.measureText(text).width + 20;
+        const x = 10;
+        const y = this.height - 38;
         
-        // Return a custom force function with adjusted strengths
-        return function(alpha) {
-            const verticalStrength = 0.4 * alpha; // Stronger vertical constraint
-            const horizontalStrength = 0.2 * alpha; // Medium horizontal constraint
-            
-            for (const level in nodesByLevelAndType) {
-                for (const type in nodesByLevelAndType[level]) {
-                    const nodes = nodesByLevelAndType[level][type];
-                    const center = centers[`${level}_${type}`];
-                    
-                    if (center) {
-                        nodes.forEach(node => {
-                            // Skip if the node is fixed (manually positioned)
-                            if (node.fx !== null || node.fy !== null) return;
-                            
-                            // Apply different strengths for x and y
-                            node.vx = (node.vx || 0) + (center.x - node.x) * horizontalStrength;
-                            node.vy = (node.vy || 0) + (center.y - node.y) * verticalStrength;
-                        });
-                    }
+        ctx.fillStyle = this.theme.overlayBackground;
+        ctx.beginPath();
+        ctx.roundRect(x, y, width, 28, 6);
+        ctx.fill();
+        
+        ctx.fillStyle = this.theme.overlayText;
+        ctx.fillText(text, x + 10, y + 14);
+        ctx.restore();
+    }
+
+    // Hint with the editing gestures, above the focus indicator when both are shown
+    drawEditIndicator() {
+        const ctx = this.ctx;
+        const text = 'Editing  ·  double-click adds a node  ·  drag between nodes to connect  ·  Del deletes' +
+            (this.options.editable ? '  ·  E exit' : '');
+        
+        ctx.save();
+        ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+        ctx.font = this.getFont(13);
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        
+        const width = ctx.measureText(text).width + 20;
+        const x = 10;
+        const y = this.height - (this.focusMode.enabled ? 74 : 38);
+        
+        ctx.fillStyle = this.theme.overlayBackground;
+        ctx.beginPath();
+        ctx.roundRect(x, y, width, 28, 6);
+        ctx.fill();
+        
+        ctx.fillStyle = this.theme.overlayText;
+        ctx.fillText(text, x + 10, y + 14);
+        ctx.restore();
+    }
+
+    // Everything the user can change about the view as plain JSON: node positions and pins,
+    // the zoom transform, the selection and the filters. See setState().
+    getState() {
+        const round = value => Math.round(value * 100) / 100;
+        const link = this.selectedLink;
+        
+        return {
+            version: 1,
+            nodes: this.nodes.filter(node => node.x != null && node.y != null).map(node => {
+                const entry = { id: node.id, x: round(node.x), y: round(node.y) };
+                if (node.fx != null && node.fy != null) {
+                    entry.fx = round(node.fx);
+                    entry.fy = round(node.fy);
                 }
-            }
+                return entry;
+            }),
+            transform: { x: round(this.transform.x), y: round(this.transform.y), k: this.transform.k },
+            selectedNode: this.selectedNode ? this.selectedNode.id : null,
+            selectedNodes: this.getSelectedIds(),
+            selectedEdge: link
+                ? { source: link.source.id, target: link.target.id, relationship: link.relationship }
+                : null,
+            hiddenTypes: [...this.hiddenTypes],
+            hiddenRelationships: [...this.hiddenRelationships],
+            hiddenNodes: [...this.hiddenNodes]
         };
     }
 
-    // Create a force that positions nodes based on their relationships
-    createRelationshipForce() {
-        // Build a relationship map to identify common patterns
-        const relationshipMap = new Map();
+    // Restore a state from getState() or parseStateHash(). Parts that are missing are left
+    // as they are, and nodes that no longer exist are skipped. Ids also match by their
+    // string form, as ids read from a URL are always strings.
+    setState(state) {
+        if (!state || typeof state !== 'object' || Array.isArray(state)) {
+            console.error('Invalid graph state:', state);
+            return false;
+        }
         
-        this.links.forEach(link => {
-            const sourceId = typeof link.source === 'object' ? link.source.id : link.source;
-            const targetId = typeof link.target === 'object' ? link.target.id : link.target;
-            const relType = link.relationship_name || 'unknown';
-            
-            if (!relationshipMap.has(sourceId)) {
-                relationshipMap.set(sourceId, new Map());
-            }
-            if (!relationshipMap.has(targetId)) {
-                relationshipMap.set(targetId, new Map());
+        const byId = new Map(this.nodes.map(node => [node.id, node]));
+        const byString = new Map(this.nodes.map(node => [String(node.id), node]));
+        const findNode = id => byId.get(id) || byString.get(String(id));
+        
+        const restored = new Set();
+        (Array.isArray(state.nodes) ? state.nodes : []).forEach(entry => {
+            const node = entry && findNode(entry.id);
+            if (!node || !Number.isFinite(entry.x) || !Number.isFinite(entry.y)) return;
+
+            node.x = entry.x;
+            node.y = entry.y;
+            node.vx = 0;
+            node.vy = 0;
+            const pinned = Number.isFinite(entry.fx) && Number.isFinite(entry.fy);
+            node.fx = pinned ? entry.fx : null;
+            node.fy = pinned ? entry.fy : null;
+            restored.add(node);
+        });
+        
+        if (Array.isArray(state.hiddenTypes)) {
+            this.hiddenTypes = new Set(state.hiddenTypes);
+        }
+        if (Array.isArray(state.hiddenRelationships)) {
+            this.hiddenRelationships = new Set(state.hiddenRelationships);
+        }
+        if (Array.isArray(state.hiddenNodes)) {
+            this.hiddenNodes = new Set(state.hiddenNodes.map(id => (findNode(id) || { id }).id));
+        }
+        this.applyFilters();
+        
+        // Positions were saved after the simulation settled, so don't lay them out again
+        if (restored.size > 0 && this.activeNodes.every(node => restored.has(node))) {
+            this.simulation.alpha(0).stop();
+        }
+        
+        if (Array.isArray(state.selectedNodes) && state.selectedNodes.length > 1) {
+            const nodes = state.selectedNodes.map(findNode).filter(node => node && this.activeNodes.includes(node));
+            const primary = findNode(state.selectedNode);
+            this.setSelection(nodes.includes(primary) ? primary : nodes[nodes.length - 1] || null, null, false, nodes);
+        } else if (state.selectedNode !== undefined && state.selectedNode !== null) {
+            const node = findNode(state.selectedNode);
+            if (node && this.activeNodes.includes(node)) {
+                this.selectNode(node, { showInfoBox: false });
             }
-            
-            const sourceRels = relationshipMap.get(sourceId);
-            if (!sourceRels.has(relType)) {
-                sourceRels.set(relType, new Set());
+        } else if (state.selectedEdge) {
+            const { source, target, relationship } = state.selectedEdge;
+            const link = this.activeLinks.find(l =>
+                l.source === findNode(source) && l.target === findNode(target) && l.relationship === relationship
+            );
+            if (link) {
+                this.selectEdge(link, { showInfoBox: false });
             }
-            sourceRels.get(relType).add(targetId);
-            
-            // For bidirectional relationships
-            const targetRels = relationshipMap.get(targetId);
-            if (!targetRels.has(relType)) {
-                targetRels.set(relType, new Set());
+        } else if (state.selectedNode === null && state.selectedEdge === null) {
+            this.selectNode(null);
+        }
+        
+        const t = state.transform;
+        if (t && Number.isFinite(t.x) && Number.isFinite(t.y) && Number.isFinite(t.k) && t.k > 0) {
+            const transform = d3.zoomIdentity.translate(t.x, t.y).scale(t.k);
+            // The initial fit would otherwise replace the restored view a moment later
+            clearTimeout(this.fitViewTimer);
+            if (this.headless) {
+                this.transform = transform;
+            } else {
+                d3.select(this.canvas).call(this.zoom.transform, transform);
             }
-            targetRels.get(relType).add(sourceId);
-        });
+        }
         
-        // Identify relationship clusters
-        const relationshipClusters = new Map();
-        let clusterIndex = 0;
+        this.draw();
+        return true;
+    }
+
+    // The state as a short string for the URL hash, e.g.
+    // v=1&t=310,205,0.15&n=1:120:-40,2:300:15!&s=2&h=Film
+    // Positions are rounded to whole units and "!" marks a pinned node. s is the selected
+    // node, m the whole selection if there are more, h, r and x the hidden types,
+    // relationships and nodes.
+    getStateHash() {
+        const state = this.getState();
+        const encode = value => encodeURIComponent(String(value));
+        const { x, y, k } = state.transform;
         
-        const nodeMap = {};
-        this.nodes.forEach(node => {
-            nodeMap[node.id] = node;
-        });
+        const parts = [
+            'v=1',
+            `t=${Math.round(x)},${Math.round(y)},${Number(k.toFixed(4))}`,
+            'n=' + state.nodes.map(node => {
+                const pinned = node.fx != null ? '!' : '';
+                return `${encode(node.id)}:${Math.round(node.fx != null ? node.fx : node.x)}:` +
+                    `${Math.round(node.fy != null ? node.fy : node.y)}${pinned}`;
+            }).join(',')
+        ];
+        if (state.selectedNode !== null) {
+            parts.push(`s=${encode(state.selectedNode)}`);
+        }
+        if (state.selectedNodes.length > 1) {
+            parts.push('m=' + state.selectedNodes.map(encode).join(','));
+        }
+        if (state.selectedEdge) {
+            const { source, target, relationship } = state.selectedEdge;
+            parts.push(`e=${encode(source)}:${encode(target)}:${encode(relationship)}`);
+        }
+        if (state.hiddenTypes.length > 0) {
+            parts.push('h=' + state.hiddenTypes.map(encode).join(','));
+        }
+        if (state.hiddenRelationships.length > 0) {
+            parts.push('r=' + state.hiddenRelationships.map(encode).join(','));
+        }
+        if (state.hiddenNodes.length > 0) {
+            parts.push('x=' + state.hiddenNodes.map(encode).join(','));
+        }
+        return parts.join('&');
+    }
+
+    // Read a string from getStateHash() (with or without the leading "#") into a state
+    // for setState(). Returns null if it isn't one.
+    parseStateHash(hash) {
+        const params = new Map(String(hash).replace(/^#/, '').split('&').map(part => {
+            const index = part.indexOf('=');
+            return index < 0 ? [part, ''] : [part.slice(0, index), part.slice(index + 1)];
+        }));
+        if (params.get('v') !== '1') {
+            return null;
+        }
         
-        // Function to determine the primary relationship type for a node
-        const getPrimaryRelationship = (nodeId) => {
-            if (!relationshipMap.has(nodeId)) return null;
-            
-            const rels = relationshipMap.get(nodeId);
-            let maxCount = 0;
-            let primaryRel = null;
-            
-            for (const [relType, targets] of rels.entries()) {
-                if (targets.size > maxCount) {
-                    maxCount = targets.size;
-                    primaryRel = relType;
-                }
-            }
-            
-            return primaryRel;
+        // A hash with broken escapes (e.g. edited by hand) is ignored like any other invalid one
+        try {
+            return this.decodeStateHash(params);
+        } catch (error) {
+            if (error instanceof URIError) return null;
+            throw error;
+        }
+    }
+
+    // The state in the parameters of a hash, see parseStateHash()
+    decodeStateHash(params) {
+        const list = key => (params.get(key) ? params.get(key).split(',').map(decodeURIComponent) : []);
+        const state = {
+            selectedNode: params.has('s') ? decodeURIComponent(params.get('s')) : null,
+            selectedNodes: list('m'),
+            selectedEdge: null,
+            hiddenTypes: list('h'),
+            hiddenRelationships: list('r'),
+            hiddenNodes: list('x')
         };
         
-        // Create clusters based on primary relationships
-        this.nodes.forEach(node => {
-            if (relationshipClusters.has(node.id)) return;
-            
-            const primaryRel = getPrimaryRelationship(node.id);
-            if (!primaryRel) return;
-            
-            // Find related nodes with the same primary relationship
-            const cluster = new Set([node.id]);
-            const queue = [node.id];
-            
-            while (queue.length > 0) {
-                const currentId = queue.shift();
-                const currentRels = relationshipMap.get(currentId);
-                
-                if (!currentRels) continue;
-                
-                const targets = currentRels.get(primaryRel);
-                if (!targets) continue;
-                
-                targets.forEach(targetId => {
-                    if (!cluster.has(targetId) && getPrimaryRelationship(targetId) === primaryRel) {
-                        cluster.add(targetId);
-                        queue.push(targetId);
-                    }
-                });
+        if (params.has('t')) {
+            const [x, y, k] = params.get('t').split(',').map(Number);
+            state.transform = { x, y, k };
+        }
+        if (params.has('e')) {
+            const [source, target, relationship] = params.get('e').split(':').map(decodeURIComponent);
+            state.selectedEdge = { source, target, relationship };
+        }
+        state.nodes = (params.get('n') ? params.get('n').split(',') : []).map(item => {
+            const [id, x, y] = item.split(':');
+            const pinned = y !== undefined && y.endsWith('!');
+            const entry = { id: decodeURIComponent(id), x: Number(x), y: Number(pinned ? y.slice(0, -1) : y) };
+            if (pinned) {
+                entry.fx = entry.x;
+                entry.fy = entry.y;
             }
-            
-            // Assign all nodes in this cluster
-            if (cluster.size > 1) {
-                const clusterKey = `cluster_${clusterIndex++}`;
-                cluster.forEach(id => {
-                    relationshipClusters.set(id, clusterKey);
-                });
+            return entry;
+        });
+        return state;
+    }
+
+    // State saved by an earlier visit: the URL hash wins over localStorage, so shared links
+    // open the view they were made from
+    loadSavedState() {
+        if (this.options.urlHash && window.location.hash.length > 1) {
+            const state = this.parseStateHash(window.location.hash);
+            if (state) return state;
+        }
+        
+        if (this.options.storageKey) {
+            try {
+                const saved = localStorage.getItem(this.options.storageKey);
+                if (saved) return JSON.parse(saved);
+            } catch (error) {
+                console.warn('Could not read the saved graph state:', error.message);
+            }
+        }
+        return null;
+    }
+
+    // Write the state to localStorage and/or the URL hash, once things have calmed down
+    scheduleStateSave() {
+        if (!this.options.storageKey && !this.options.urlHash) return;
+        
+        clearTimeout(this.saveStateTimer);
+        this.saveStateTimer = setTimeout(() => this.saveState(), 300);
+    }
+
+    saveState() {
+        if (this.destroyed) return;
+        
+        if (this.options.storageKey) {
+            try {
+                localStorage.setItem(this.options.storageKey, JSON.stringify(this.getState()));
+            } catch (error) {
+                console.warn('Could not save the graph state:', error.message);
             }
-        });
+        }
         
-        // Return a custom force function
-        return (alpha) => {
-            const clusterStrength = 0.2 * alpha;
-            
-            // Group nodes by relationship clusters
-            const clusterPositions = new Map();
-            
-            // Calculate average positions for each cluster
-            for (const [nodeId, clusterKey] of relationshipClusters.entries()) {
-                const node = nodeMap[nodeId];
-                if (!node || !node.x || !node.y) continue;
-                
-                if (!clusterPositions.has(clusterKey)) {
-                    clusterPositions.set(clusterKey, {
-                        x: 0, 
-                        y: 0, 
-                        count: 0
-                    });
+        if (this.options.urlHash) {
+            // Replace rather than push, so every pan doesn't add a history entry
+            history.replaceState(history.state, '', `#${this.getStateHash()}`);
+        }
+    }
+
+    // The input data with every node's current position, ready to be loaded again with the
+    // same layout. Pinned nodes are marked fixed. Without positions it is the plain
+    // { nodes, edges, colors } data, including any edits.
+    exportData({ positions = true } = {}) {
+        const round = value => Math.round(value * 100) / 100;
+        const byId = new Map(this.nodes.map(node => [node.id, node]));
+        
+        return {
+            ...this.data,
+            nodes: this.data.nodes.map(record => {
+                const { x, y, fixed, ...rest } = record;
+                const node = byId.get(record.id);
+                if (!positions || !node || node.x == null || node.y == null) {
+                    return rest;
                 }
                 
-                const pos = clusterPositions.get(clusterKey);
-                pos.x += node.x;
-                pos.y += node.y;
-                pos.count++;
-            }
-            
-            // Normalize cluster positions
-            for (const [clusterKey, pos] of clusterPositions.entries()) {
-                if (pos.count > 0) {
-                    pos.x /= pos.count;
-                    pos.y /= pos.count;
+                const result = { ...rest, x: round(node.x), y: round(node.y) };
+                if (node.fx != null && node.fy != null) {
+                    result.x = round(node.fx);
+                    result.y = round(node.fy);
+                    result.fixed = true;
                 }
-            }
-            
-            // Apply gentle force to keep nodes in the same cluster together
-            for (const [nodeId, clusterKey] of relationshipClusters.entries()) {
-                const node = nodeMap[nodeId];
-                if (!node || node.fx !== null || node.fy !== null) continue;
-                
-                const clusterPos = clusterPositions.get(clusterKey);
-                if (!clusterPos) continue;
-                
-                // Pull toward cluster center
-                node.vx = (node.vx || 0) + (clusterPos.x - node.x) * clusterStrength;
-                node.vy = (node.vy || 0) + (clusterPos.y - node.y) * clusterStrength;
-            }
+                return result;
+            })
         };
     }
 
-    // New method to determine appropriate link distance based on relationship type
-    getLinkDistance(link) {
-        // Base distance is fairly large
-        let distance = 500;
+    // Turn edit mode on or off; toggles when called without an argument
+    setEditMode(enabled = !this.editMode) {
+        this.editMode = Boolean(enabled);
+        this.connection = null;
+        if (this.editMode && !this.editPanel) {
+            this.createEditPanel();
+        }
+        if (this.editPanel) {
+            this.updateEditPanel();
+        }
+        if (this.editButton) {
+            this.editButton.style.background = this.editMode ? 'var(--edge-graph-highlight)' : 'var(--edge-graph-button)';
+            this.editButton.setAttribute('aria-pressed', String(this.editMode));
+        }
+        this.draw();
+    }
+
+    // Run an edit against a copy of the data with positions and load the result, keeping the
+    // data from before for undo(). Edits that would make the data invalid are refused.
+    applyEdit(action, change) {
+        const before = this.exportData();
+        const data = JSON.parse(JSON.stringify(before));
+        change(data);
+        if (JSON.stringify(data) === JSON.stringify(before)) {
+            return false;
+        }
         
-        // If source and target have different types, make the distance larger
-        const sourceType = link.source.properties?.type;
-        const targetType = link.target.properties?.type;
-        if (sourceType && targetType && sourceType !== targetType) {
-            distance += 150;
+        const result = validateGraphData(data, { mode: 'strict' });
+        if (result.errors.length > 0) {
+            result.errors.forEach(issue => console.error('Edit refused:', formatValidationIssue(issue)));
+            if (this.editPanel) {
+                this.updateEditPanel(); // Put the rejected value back
+            }
+            return false;
         }
         
-        // If source and target are at different hierarchy levels, increase distance
-        const sourceLvl = link.source.level || 0;
-        const targetLvl = link.target.level || 0;
-        if (sourceLvl !== targetLvl) {
-            // Make vertical relationships longer
-            distance += Math.abs(sourceLvl - targetLvl) * 200;
+        this.undoStack.push({ action, data: before });
+        if (this.undoStack.length > this.config.maxUndoSteps) {
+            this.undoStack.shift();
         }
+        this.redoStack = [];
+        this.loadEditedData(data, action, 'edit');
+        return true;
+    }
+
+    loadEditedData(data, action, source) {
+        this.setData(data);
+        if (this.editPanel) {
+            this.updateEditPanel();
+        }
+        this.emit('datachange', { action, source });
+    }
+
+    // Go back to the data before the last edit; nodes that come back return to where they were
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return false;
         
-        // Adjust distance based on relationship name if available
-        if (link.relationship_name) {
-            // These relationships often indicate primary connections
-            if (link.relationship_name === "ACTED_IN" || 
-                link.relationship_name === "DIRECTED" || 
-                link.relationship_name === "PART_OF") {
-                distance -= 100; // Shorter distance for primary relationships
-            }
-            
-            // These are often secondary relationships
-            if (link.relationship_name === "WORKED_WITH" || 
-                link.relationship_name === "FREQUENT_COLLABORATOR") {
-                distance += 150; // Longer distance for secondary relationships
-            }
+        this.redoStack.push({ action: entry.action, data: this.exportData() });
+        this.loadEditedData(entry.data, entry.action, 'undo');
+        return true;
+    }
+
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return false;
+        
+        this.undoStack.push({ action: entry.action, data: this.exportData() });
+        this.loadEditedData(entry.data, entry.action, 'redo');
+        return true;
+    }
+
+    // Numeric ids continue after the largest one, other ids are "node-<n>"
+    createNodeId() {
+        const ids = new Set(this.nodes.map(node => node.id));
+        if (this.nodes.length > 0 && this.nodes.every(node => typeof node.id === 'number')) {
+            return this.nodes.reduce((max, node) => Math.max(max, node.id), -Infinity) + 1;
+        }
+        let n = this.nodes.length + 1;
+        while (ids.has(`node-${n}`)) n++;
+        return `node-${n}`;
+    }
+
+    // Add a node at a point in graph coordinates and select it with its label ready to edit.
+    // It gets the type of the last node, so nodes added in a row share a type.
+    addNodeAt({ x, y }, { label = 'New node', type } = {}) {
+        const id = this.createNodeId();
+        if (type === undefined) {
+            const last = this.nodes[this.nodes.length - 1];
+            type = last && last.properties && last.properties.type ? last.properties.type : Object.keys(this.data.colors || {})[0];
         }
         
-        return distance;
+        const added = this.applyEdit('add node', data => {
+            data.nodes.push({ id, label, properties: type ? { type } : {}, x, y });
+        });
+        if (!added) return null;
+        
+        const node = this.nodes.find(n => n.id === id);
+        this.selectNode(node, { showInfoBox: false });
+        this.focusEditField('label');
+        return node;
     }
 
-    // New method for node selection
-    setupNodeSelection() {
-        // Add mousemove handler to update cursor
-        d3.select(this.canvas).on('mousemove', (event) => {
-            if (this.dragging) return; // Skip during active dragging
-            
-            const point = d3.pointer(event, this.canvas);
-            const simPoint = this.transformPointToSimulation(point);
-            const nodeUnderMouse = this.findNodeAtPoint(simPoint.x, simPoint.y);
-            
-            // Set appropriate cursor
-            if (nodeUnderMouse) {
-                document.body.style.cursor = 'pointer'; // Pointer when hovering over a node
-            } else {
-                document.body.style.cursor = 'default'; // Default otherwise
-            }
+    // Add an edge between two nodes and select it with its relationship name ready to edit.
+    // Without a name it gets the relationship of the last edge.
+    connectNodes(sourceId, targetId, relationship) {
+        if (relationship === undefined) {
+            relationship = this.links.length > 0 ? this.links[this.links.length - 1].relationship : 'RELATED_TO';
+        }
+        
+        const added = this.applyEdit('add edge', data => {
+            data.edges.push({ source_node_id: sourceId, target_node_id: targetId, relationship_name: relationship, properties: {} });
         });
+        if (!added) return null;
         
-        // Add mouseleave handler to reset cursor
-        d3.select(this.canvas).on('mouseleave', () => {
-            if (!this.dragging) {
-                document.body.style.cursor = 'default';
-            }
+        const link = this.links[this.links.length - 1];
+        this.selectEdge(link, { showInfoBox: false });
+        this.focusEditField('relationship');
+        return link;
+    }
+
+    // Change a node's label and/or properties (the type is the `type` property)
+    updateNode(id, { label, properties } = {}) {
+        return this.applyEdit('update node', data => {
+            const record = data.nodes.find(node => node.id === id);
+            if (!record) return;
+            if (label !== undefined) record.label = label;
+            if (properties !== undefined) record.properties = properties;
         });
+    }
 
-        // Keep the existing click handler
-        d3.select(this.canvas).on('click', (event) => {
-            if (this.dragging) return; // Ignore clicks during drag operations
-            
-            const point = d3.pointer(event, this.canvas);
-            const simPoint = this.transformPointToSimulation(point);
-            const clickedNode = this.findNodeAtPoint(simPoint.x, simPoint.y);
-            
-            if (clickedNode) {
-                // If clicked on a node, select it and show info box
-                this.selectedNode = clickedNode;
-                this.infoBox.visible = true;
-                
-                // Calculate screen position of the node
-                const nodeScreenX = clickedNode.x * this.transform.k + this.transform.x;
-                const nodeScreenY = clickedNode.y * this.transform.k + this.transform.y;
-                
-                // Get canvas dimensions
-                const canvasWidth = this.canvas.width;
-                const canvasHeight = this.canvas.height;
-                
-                // Position the info box - prefer right of node but ensure it stays on screen
-                const nodeRadius = this.config.nodeRadius * this.transform.k;
-                
-                // Start with position to the right and aligned with node top
-                let boxX = nodeScreenX + nodeRadius + 10; 
-                let boxY = nodeScreenY - nodeRadius;
-                
-                // Make sure box stays within horizontal bounds
-                if (boxX + this.infoBox.width > canvasWidth - 10) {
-                    // Not enough room on the right, try left side
-                    boxX = nodeScreenX - this.infoBox.width - nodeRadius - 10;
-                }
-                
-                // If still out of bounds (very large node or at edge), center horizontally
-                if (boxX < 10) {
-                    boxX = 10;
-                }
-                
-                // Make sure box stays within vertical bounds
-                if (boxY < 10) {
-                    boxY = 10;
-                }
-                
-                // Check if box would extend below canvas
-                // We need to estimate height first, assuming ~4 properties plus label
-                const estimatedHeight = this.infoBox.padding * 2 + (5 * 24) + 36; // header + ~5 lines
-                if (boxY + estimatedHeight > canvasHeight - 10) {
-                    // Position box above if it would go below canvas
-                    boxY = Math.max(10, canvasHeight - estimatedHeight - 10);
-                }
-                
-                this.infoBox.x = boxX;
-                this.infoBox.y = boxY;
-            } else {
-                // If clicked elsewhere, deselect and hide info box
-                this.selectedNode = null;
-                this.infoBox.visible = false;
+    // Change an edge's relationship name and/or properties. Links are kept in the same
+    // order as the edges of the data, so the link's index finds its record.
+    updateEdge(link, { relationship_name, properties } = {}) {
+        const index = this.links.indexOf(link);
+        if (index === -1) {
+            console.warn('Cannot update an edge that is not part of the graph:', link);
+            return false;
+        }
+        
+        return this.applyEdit('update edge', data => {
+            const record = data.edges[index];
+            if (relationship_name !== undefined) record.relationship_name = relationship_name;
+            if (properties !== undefined) record.properties = properties;
+        });
+    }
+
+    // Delete the selected edge, or the selected nodes together with their edges. A link
+    // standing in for edges merged into a collapsed group deletes all of them.
+    deleteSelection() {
+        if (this.selectedLink) {
+            const indexes = new Set((this.selectedLink.links || [this.selectedLink])
+                .map(link => this.links.indexOf(link))
+                .filter(index => index !== -1));
+            if (indexes.size === 0) {
+                console.warn('Cannot delete an edge that is not part of the graph:', this.selectedLink);
+                return false;
             }
-            
-            this.draw();
+            return this.applyEdit(indexes.size === 1 ? 'delete edge' : 'delete edges', data => {
+                data.edges = data.edges.filter((edge, index) => !indexes.has(index));
+            });
+        }
+        
+        const ids = new Set(this.getSelectedIds());
+        if (ids.size === 0) return false;
+        return this.applyEdit(ids.size === 1 ? 'delete node' : 'delete nodes', data => {
+            data.nodes = data.nodes.filter(node => !ids.has(node.id));
+            data.edges = data.edges.filter(edge => !ids.has(edge.source_node_id) && !ids.has(edge.target_node_id));
         });
     }
 
-    // New method to draw info box
-    drawInfoBox() {
-        const ctx = this.ctx;
-        const node = this.selectedNode;
-        const box = this.infoBox;
-        const padding = box.padding;
+    // Run the regular draw routines against another context, e.g. an offscreen canvas or a vector context
+    renderToContext(ctx, { width, height, transform, pixelRatio = 1 }) {
+        const saved = {
+            ctx: this.ctx,
+            width: this.width,
+            height: this.height,
+            transform: this.transform,
+            pixelRatio: this.pixelRatio
+        };
         
-        // Get properties to display
-        const properties = node.properties || {};
-        const propertyLines = [];
+        Object.assign(this, { ctx, width, height, transform, pixelRatio, exporting: true });
+        try {
+            this.draw();
+        } finally {
+            Object.assign(this, saved, { exporting: false });
+        }
+    }
+
+    // Size and transform of an export: the current viewport, or the bounding box of the whole graph
+    getExportView({ fullGraph = false } = {}) {
+        if (!fullGraph) {
+            return { width: this.width, height: this.height, transform: this.transform };
+        }
         
-        // Add node ID and label
-        propertyLines.push(`ID: ${node.id}`);
-        propertyLines.push(`Label: ${node.label || ''}`);
+        const padding = this.config.viewPadding;
+        let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
         
-        // Add all properties
-        for (const key in properties) {
-            if (key !== 'type') { // Skip type as it's usually displayed as part of the node color
-                propertyLines.push(`${key}: ${properties[key]}`);
-            }
+        this.activeNodes.forEach(node => {
+            if (node.x == null || node.y == null) return;
+            const radius = this.getNodeExtent(node);
+            minX = Math.min(minX, node.x - radius);
+            maxX = Math.max(maxX, node.x + radius);
+            minY = Math.min(minY, node.y - radius);
+            maxY = Math.max(maxY, node.y + radius);
+        });
+        
+        if (minX === Infinity) {
+            return { width: this.width, height: this.height, transform: this.transform };
         }
         
-        // Add relationship info if available
-        if (node.relationship_name) {
-            propertyLines.push(`Relationship: ${node.relationship_name}`);
+        return {
+            width: Math.ceil(maxX - minX + padding * 2),
+            height: Math.ceil(maxY - minY + padding * 2),
+            transform: d3.zoomIdentity.translate(padding - minX, padding - minY)
+        };
+    }
+
+    // Canvases beyond roughly 16k pixels per side are refused, so shrink the scale to fit
+    clampExportScale(view, scale) {
+        const maxSide = 16384;
+        const safeScale = Math.min(scale, maxSide / view.width, maxSide / view.height);
+        if (safeScale < scale) {
+            console.warn(`Export scale reduced from ${scale} to ${safeScale.toFixed(2)} to fit the canvas size limit`);
         }
+        return safeScale;
+    }
+
+    // Render to a high-resolution offscreen canvas and resolve with a PNG blob, by default
+    // at least as sharp as the screen
+    exportPNG({ scale = Math.max(2, this.pixelRatio), fullGraph = false } = {}) {
+        const view = this.getExportView({ fullGraph });
         
-        // Calculate box height based on content
-        const lineHeight = 24;
-        box.height = padding * 2 + propertyLines.length * lineHeight + 36; // Add header height
+        const safeScale = this.clampExportScale(view, scale);
         
-        // Draw in screen coordinates - save current transformation
-        ctx.save();
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(view.width * safeScale);
+        canvas.height = Math.round(view.height * safeScale);
+        this.renderToContext(canvas.getContext('2d'), { ...view, pixelRatio: safeScale });
         
-        // Reset transformation to draw in screen space
-        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('PNG export failed')), 'image/png');
+        });
+    }
+
+    // Render through the SVG recording context and return the markup
+    exportSVG({ fullGraph = false } = {}) {
+        const view = this.getExportView({ fullGraph });
+        const svg = new SvgContext(view.width, view.height, { measureContext: this.ctx });
+        this.renderToContext(svg, view);
+        return svg.toString();
+    }
+
+    // Render through the PDF recording context and return the document bytes. createCanvas
+    // (width, height) makes the canvases text outside the PDF fonts is drawn on, where
+    // there's no document to create them.
+    exportPDF({ fullGraph = false, createCanvas = null } = {}) {
+        const view = this.getExportView({ fullGraph });
+        const pdf = new PdfContext(view.width, view.height, { measureContext: this.ctx, createCanvas });
+        this.renderToContext(pdf, view);
+        return pdf.toBytes();
+    }
+
+    // Export in the given format and save it as a file
+    async download(format, options = {}) {
+        let blob;
+        if (format === 'png') {
+            blob = await this.exportPNG(options);
+        } else if (format === 'svg') {
+            blob = new Blob([this.exportSVG(options)], { type: 'image/svg+xml' });
+        } else if (format === 'pdf') {
+            blob = new Blob([this.exportPDF(options)], { type: 'application/pdf' });
+        } else if (format === 'json') {
+            blob = new Blob([JSON.stringify(this.exportData(), null, 2)], { type: 'application/json' });
+        } else {
+            throw new Error(`Unknown export format: ${format}`);
+        }
         
-        // Draw shadow
-        ctx.shadowColor = 'rgba(0, 0, 0, 0.3)';
-        ctx.shadowBlur = 10;
-        ctx.shadowOffsetX = 3;
-        ctx.shadowOffsetY = 3;
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = options.filename || `graph.${format}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    // Export buttons centered at the bottom of the graph
+    createToolbar() {
+        const toolbar = document.createElement('div');
+        toolbar.style.cssText = 'position: absolute; bottom: 10px; left: 50%; transform: translateX(-50%); ' +
+            'display: flex; gap: 6px; align-items: center; padding: 6px 8px; border-radius: 6px; ' +
+            'background: var(--edge-graph-overlay-background); color: var(--edge-graph-overlay-text); ' +
+            'font: 13px var(--edge-graph-font-family); z-index: 10;';
         
-        // Draw white background with border
-        ctx.fillStyle = 'white';
-        ctx.strokeStyle = 'rgba(0, 0, 0, 0.2)';
-        ctx.lineWidth = 1;
-        ctx.beginPath();
-        ctx.roundRect(box.x, box.y, box.width, box.height, 8); // Using roundRect for rounded corners
-        ctx.fill();
-        ctx.stroke();
+        if (this.options.editable) {
+            const editButton = document.createElement('button');
+            editButton.type = 'button';
+            editButton.textContent = 'Edit';
+            editButton.title = 'Add, connect, rename and delete nodes and edges (E)';
+            editButton.setAttribute('aria-pressed', 'false');
+            editButton.style.cssText = 'padding: 4px 10px; border: none; border-radius: 4px; cursor: pointer; ' +
+                'background: var(--edge-graph-button); color: var(--edge-graph-button-text); font: inherit; margin-right: 4px;';
+            editButton.addEventListener('click', () => this.setEditMode());
+            toolbar.appendChild(editButton);
+            this.editButton = editButton;
+        }
         
-        // Reset shadow
-        ctx.shadowColor = 'transparent';
-        ctx.shadowBlur = 0;
-        ctx.shadowOffsetX = 0;
-        ctx.shadowOffsetY = 0;
+        // Whole graph instead of only what is on screen
+        const fullGraphLabel = document.createElement('label');
+        fullGraphLabel.style.cssText = 'display: flex; align-items: center; gap: 4px; margin-right: 4px; cursor: pointer;';
+        const fullGraph = document.createElement('input');
+        fullGraph.type = 'checkbox';
+        fullGraphLabel.appendChild(fullGraph);
+        fullGraphLabel.appendChild(document.createTextNode('Whole graph'));
+        toolbar.appendChild(fullGraphLabel);
         
-        // Draw title bar
-        const nodeType = node.properties && node.properties.type ? node.properties.type : 'Node';
-        ctx.fillStyle = node.color || '#666666';
-        ctx.beginPath();
-        ctx.roundRect(box.x, box.y, box.width, 36, { upperLeft: 8, upperRight: 8, lowerLeft: 0, lowerRight: 0 });
-        ctx.fill();
+        ['png', 'svg', 'pdf', 'json'].forEach(format => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = format.toUpperCase();
+            button.title = format === 'json'
+                ? 'Export the data with the current node positions'
+                : `Export as ${format.toUpperCase()}`;
+            button.style.cssText = 'padding: 4px 10px; border: none; border-radius: 4px; cursor: pointer; ' +
+                'background: var(--edge-graph-button); color: var(--edge-graph-button-text); font: inherit;';
+            button.addEventListener('click', () => {
+                this.download(format, { fullGraph: fullGraph.checked })
+                    .catch(error => console.error('Error exporting graph:', error));
+            });
+            toolbar.appendChild(button);
+        });
         
-        // Draw title text
-        ctx.fillStyle = 'white';
-        ctx.font = 'bold 16px Arial';
-        ctx.textAlign = 'left';
-        ctx.textBaseline = 'middle';
-        ctx.fillText(nodeType, box.x + padding, box.y + 18);
+        this.container.appendChild(toolbar);
+        this.toolbar = toolbar;
+    }
+
+    // Bulk actions centered at the top of the graph, shown while nodes are selected
+    createSelectionBar() {
+        const bar = document.createElement('div');
+        bar.style.cssText = 'position: absolute; top: 10px; left: 50%; transform: translateX(-50%); ' +
+            'display: none; gap: 6px; align-items: center; padding: 6px 8px; border-radius: 6px; ' +
+            'background: var(--edge-graph-overlay-background); color: var(--edge-graph-overlay-text); ' +
+            'font: 13px var(--edge-graph-font-family); z-index: 10;';
         
-        // Draw property lines
-        ctx.fillStyle = '#333333';
-        ctx.font = '14px Arial';
-        ctx.textAlign = 'left';
-        ctx.textBaseline = 'top';
+        const count = document.createElement('span');
+        count.style.marginRight = '4px';
+        bar.appendChild(count);
         
-        propertyLines.forEach((line, index) => {
-            ctx.fillText(line, box.x + padding, box.y + padding + 36 + (index * lineHeight));
+        const actions = [
+            ['Pin', 'Pin the selected nodes where they are (P)', () => this.pinNodes()],
+            ['Unpin', 'Release the selected nodes (U)', () => this.unpinNodes()],
+            ['Hide', 'Hide the selected nodes (H)', () => this.hideNodes()],
+            ['Isolate', 'Hide everything except the selected nodes (I)', () => this.isolateNodes()],
+            ['Clear', 'Clear the selection (Esc)', () => {
+                this.selectNode(null);
+                this.draw();
+            }]
+        ];
+        actions.forEach(([label, title, action]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = label;
+            button.title = title;
+            button.style.cssText = 'padding: 4px 10px; border: none; border-radius: 4px; cursor: pointer; ' +
+                'background: var(--edge-graph-button); color: var(--edge-graph-button-text); font: inherit;';
+            button.addEventListener('click', action);
+            bar.appendChild(button);
         });
         
-        ctx.restore();
+        this.container.appendChild(bar);
+        this.selectionBar = { bar, count };
+        this.updateSelectionBar();
+    }
+
+    updateSelectionBar() {
+        const { bar, count } = this.selectionBar;
+        const size = this.selectedNodes.size;
+        bar.style.display = size > 0 ? 'flex' : 'none';
+        count.textContent = `${size} node${size === 1 ? '' : 's'} selected`;
+    }
+
+    // Form for the selected node or edge in edit mode, in place of the info box. It sits
+    // below the search box, which keeps its results on top.
+    createEditPanel() {
+        const panel = document.createElement('div');
+        panel.style.cssText = `position: absolute; top: ${this.searchBox ? 56 : 10}px; left: 10px; width: 280px; ` +
+            'max-height: 70%; overflow-y: auto; box-sizing: border-box; padding: 12px; border-radius: 6px; ' +
+            'background: var(--edge-graph-panel-background); color: var(--edge-graph-panel-text); ' +
+            'font: 13px var(--edge-graph-font-family); box-shadow: 0 2px 10px var(--edge-graph-shadow); z-index: 9; display: none;';
+        
+        this.container.appendChild(panel);
+        this.editPanel = panel;
+    }
+
+    // Rebuild the form for the current selection. Fields apply their change when they lose
+    // focus or Enter is pressed, and every change can be undone.
+    updateEditPanel() {
+        const panel = this.editPanel;
+        panel.style.display = this.editMode ? 'block' : 'none';
+        if (!this.editMode) return;
+        
+        // The inputs are replaced, so remember which one had the focus
+        const focused = panel.contains(document.activeElement) ? document.activeElement.name : null;
+        panel.innerHTML = '';
+        
+        const inputStyle = 'width: 100%; box-sizing: border-box; padding: 4px 6px; ' +
+            'border: 1px solid var(--edge-graph-panel-border); border-radius: 4px; ' +
+            'background: var(--edge-graph-panel-background); color: inherit; font: inherit;';
+        const buttonStyle = 'padding: 4px 10px; border: none; border-radius: 4px; cursor: pointer; ' +
+            'background: var(--edge-graph-panel-button); color: inherit; font: inherit;';
+        
+        const addHeading = (text, color) => {
+            const heading = document.createElement('div');
+            heading.textContent = text;
+            heading.style.cssText = `font-weight: bold; font-size: 14px; margin-bottom: 8px; padding-left: 8px; ` +
+                `border-left: 4px solid ${color};`;
+            panel.appendChild(heading);
+        };
+        
+        const addText = (text) => {
+            const line = document.createElement('div');
+            line.textContent = text;
+            line.style.cssText = 'color: var(--edge-graph-muted-text); margin-bottom: 8px; word-break: break-word;';
+            panel.appendChild(line);
+        };
+        
+        const createInput = (name, value, onCommit, suggestions = []) => {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.name = name;
+            input.value = value;
+            input.style.cssText = inputStyle;
+            if (suggestions.length > 0) {
+                const list = document.createElement('datalist');
+                list.id = `edge-graph-${name}-${Math.random().toString(36).slice(2)}`;
+                suggestions.forEach(suggestion => {
+                    const option = document.createElement('option');
+                    option.value = suggestion;
+                    list.appendChild(option);
+                });
+                panel.appendChild(list);
+                input.setAttribute('list', list.id);
+            }
+            input.addEventListener('change', () => onCommit(input.value));
+            input.addEventListener('keydown', (event) => {
+                if (event.key === 'Enter') input.blur();
+            });
+            return input;
+        };
+        
+        const addField = (label, name, value, onCommit, suggestions) => {
+            const wrapper = document.createElement('label');
+            wrapper.style.cssText = 'display: block; margin-bottom: 8px;';
+            wrapper.appendChild(document.createTextNode(label));
+            wrapper.appendChild(createInput(name, value, onCommit, suggestions));
+            panel.appendChild(wrapper);
+        };
+        
+        const createButton = (text, title, action) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = text;
+            button.title = title;
+            button.style.cssText = buttonStyle;
+            button.addEventListener('click', action);
+            return button;
+        };
+        
+        // One key/value row per property plus an empty row for adding one. Keys in `skip`
+        // have their own field and are kept as they are.
+        const addProperties = (properties, skip, onCommit) => {
+            const heading = document.createElement('div');
+            heading.textContent = 'Properties';
+            heading.style.cssText = 'font-weight: bold; margin: 4px 0;';
+            panel.appendChild(heading);
+
+            const entries = Object.entries(properties).filter(([key]) => !skip.includes(key));
+            const rows = [];
+            const commit = () => {
+                const next = {};
+                skip.forEach(key => {
+                    if (key in properties) next[key] = properties[key];
+                });
+                rows.forEach(({ key, value, previous }) => {
+                    const name = key.value.trim();
+                    if (name) next[name] = this.parsePropertyValue(value.value, previous);
+                });
+                onCommit(next);
+            };
+
+            [...entries, ['', undefined]].forEach(([key, value], i) => {
+                const row = document.createElement('div');
+                row.style.cssText = 'display: flex; gap: 4px; margin-bottom: 4px;';
+                const keyInput = createInput(`property-key-${i}`, key, commit);
+                keyInput.placeholder = key ? '' : 'New property';
+                const valueInput = createInput(`property-value-${i}`, value === undefined ? '' : this.formatPropertyValue(value), commit);
+                row.appendChild(keyInput);
+                row.appendChild(valueInput);
+                
+                const entry = { key: keyInput, value: valueInput, previous: value };
+                rows.push(entry);
+                if (key) {
+                    row.appendChild(createButton('×', `Remove ${key}`, () => {
+                        rows.splice(rows.indexOf(entry), 1);
+                        commit();
+                    }));
+                }
+                panel.appendChild(row);
+            });
+        };
+        
+        const link = this.selectedLink;
+        const node = this.selectedNode;
+        const actions = document.createElement('div');
+        actions.style.cssText = 'display: flex; gap: 6px; margin-top: 10px;';
+        
+        if (link && link.links) {
+            // Merged edges are edited one by one once their group is expanded
+            const count = link.links.length;
+            addHeading('Relationship', 'var(--edge-graph-muted-text)');
+            addText(`${link.source.label || link.source.id} → ${link.target.label || link.target.id}`);
+            addText(`Combines ${count} edge${count === 1 ? '' : 's'} of a collapsed group. Expand it to edit them.`);
+            actions.appendChild(createButton(count === 1 ? 'Delete edge' : `Delete ${count} edges`,
+                'Delete every edge this one combines (Del)', () => this.deleteSelection()));
+        } else if (link) {
+            addHeading('Relationship', 'var(--edge-graph-muted-text)');
+            addText(`${link.source.label || link.source.id} → ${link.target.label || link.target.id}`);
+            const relationships = [...new Set(this.links.map(l => l.relationship))];
+            addField('Name', 'relationship', link.relationship,
+                value => this.updateEdge(link, { relationship_name: value }), relationships);
+            addProperties(link.properties || {}, [], properties => this.updateEdge(link, { properties }));
+            actions.appendChild(createButton('Delete edge', 'Delete this edge (Del)', () => this.deleteSelection()));
+        } else if (this.selectedNodes.size > 1) {
+            addHeading(`${this.selectedNodes.size} nodes selected`, 'var(--edge-graph-highlight)');
+            actions.appendChild(createButton('Delete nodes', 'Delete the selected nodes and their edges (Del)',
+                () => this.deleteSelection()));
+        } else if (node) {
+            addHeading('Node', node.color);
+            addText(`ID: ${node.id}`);
+            addField('Label', 'label', node.label, value => this.updateNode(node.id, { label: value }));
+            const types = Object.keys(this.data.colors || {});
+            const nodeProperties = node.properties || {};
+            addField('Type', 'type', nodeProperties.type || '', value => {
+                const { type, ...properties } = nodeProperties;
+                this.updateNode(node.id, { properties: value.trim() ? { type: value.trim(), ...properties } : properties });
+            }, types);
+            addProperties(nodeProperties, ['type'], properties => this.updateNode(node.id, { properties }));
+            actions.appendChild(createButton('Delete node', 'Delete this node and its edges (Del)', () => this.deleteSelection()));
+        } else {
+            addHeading('Edit mode', 'var(--edge-graph-highlight)');
+            addText('Double-click empty space to add a node. Drag from one node to another to connect them. ' +
+                'Click a node or edge to edit it.');
+        }
+        
+        const undo = createButton('Undo', 'Undo the last change (Ctrl+Z)', () => this.undo());
+        undo.disabled = this.undoStack.length === 0;
+        const redo = createButton('Redo', 'Redo the last undone change (Ctrl+Y)', () => this.redo());
+        redo.disabled = this.redoStack.length === 0;
+        actions.appendChild(undo);
+        actions.appendChild(redo);
+        panel.appendChild(actions);
+        
+        if (focused) {
+            this.focusEditField(focused, { select: false });
+        }
+    }
+
+    // Put the cursor in a field of the edit panel, with its text selected for typing over
+    focusEditField(name, { select = true } = {}) {
+        if (!this.editPanel) return;
+        const input = this.editPanel.querySelector(`input[name="${name}"]`);
+        if (!input) return;
+        input.focus();
+        if (select) input.select();
+    }
+
+    // Property values are edited as text; numbers, booleans and JSON values keep their type
+    formatPropertyValue(value) {
+        return value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+
+    parsePropertyValue(text, previous) {
+        if (typeof previous === 'number' && text.trim() !== '' && Number.isFinite(Number(text))) {
+            return Number(text);
+        }
+        if (typeof previous === 'boolean' && (text === 'true' || text === 'false')) {
+            return text === 'true';
+        }
+        if (previous === null || typeof previous === 'object') {
+            try {
+                return JSON.parse(text);
+            } catch (error) {
+                return text;
+            }
+        }
+        return text;
     }
 
     // Add method to load the logo
@@ -1451,15 +5208,15 @@ class EdgeGraph {
         let x, y;
         switch (position) {
             case 'bottomRight':
-                x = this.canvas.width - width - padding;
-                y = this.canvas.height - height - padding;
+                x = this.width - width - padding;
+                y = this.height - height - padding;
                 break;
             case 'bottomLeft':
                 x = padding;
-                y = this.canvas.height - height - padding;
+                y = this.height - height - padding;
                 break;
             case 'topRight':
-                x = this.canvas.width - width - padding;
+                x = this.width - width - padding;
                 y = padding;
                 break;
             case 'topLeft':
@@ -1467,8 +5224,8 @@ class EdgeGraph {
                 y = padding;
                 break;
             default:
-                x = this.canvas.width - width - padding;
-                y = this.canvas.height - height - padding;
+                x = this.width - width - padding;
+                y = this.height - height - padding;
         }
         
         // Draw the logo with slight transparency to not distract from the graph
@@ -1478,3 +5235,7 @@ class EdgeGraph {
         this.ctx.restore();
     }
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EdgeGraph;
+}
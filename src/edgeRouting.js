@@ -0,0 +1,97 @@
+// Edge styles, and the placement of relationship labels so they don't cover nodes or each
+// other. EdgeGraph works out the paths and where along them a label could go, placeLabels()
+// picks a free spot for every label.
+
+const EDGE_STYLES = ['straight', 'curved', 'orthogonal'];
+
+// A label's rectangle at one of its spots: centred on (x, y) and turned by `angle`
+function getLabelBox({ x, y, angle }, width, height) {
+    const halfWidth = width / 2;
+    const halfHeight = height / 2;
+    return {
+        x,
+        y,
+        cos: Math.cos(angle),
+        sin: Math.sin(angle),
+        halfWidth,
+        halfHeight,
+        radius: Math.sqrt(halfWidth * halfWidth + halfHeight * halfHeight) // Of the circle around it
+    };
+}
+
+// Whether a circle reaches into a label box, measured in the box's own frame
+function boxHitsCircle(box, x, y, radius) {
+    const dx = x - box.x;
+    const dy = y - box.y;
+    const localX = dx * box.cos + dy * box.sin;
+    const localY = -dx * box.sin + dy * box.cos;
+    const nearestX = Math.max(-box.halfWidth, Math.min(box.halfWidth, localX));
+    const nearestY = Math.max(-box.halfHeight, Math.min(box.halfHeight, localY));
+    return (localX - nearestX) ** 2 + (localY - nearestY) ** 2 < radius * radius;
+}
+
+// Whether two label boxes overlap. They don't if they can be told apart along one of
+// their four edge directions (separating axis test).
+function boxesOverlap(a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    if (dx * dx + dy * dy >= (a.radius + b.radius) ** 2) return false;
+
+    const axes = [[a.cos, a.sin], [-a.sin, a.cos], [b.cos, b.sin], [-b.sin, b.cos]];
+    const extent = (box, [axisX, axisY]) =>
+        box.halfWidth * Math.abs(box.cos * axisX + box.sin * axisY) +
+        box.halfHeight * Math.abs(-box.sin * axisX + box.cos * axisY);
+    return axes.every(axis => Math.abs(dx * axis[0] + dy * axis[1]) < extent(a, axis) + extent(b, axis));
+}
+
+// Give each label the first of its candidate spots that neither covers a node nor a label
+// placed before it, or null when all of them do. Labels marked `fixed` are placed first
+// and always get a spot, their first free one or else their first one.
+// labels: [{ width, height, candidates: [{ x, y, angle }], fixed }]
+// nodes: d3 quadtree of the nodes, which count as circles of nodeRadius(node), at most
+// largestNodeRadius
+// Returns the chosen spot per label, in the order of `labels`.
+function placeLabels(labels, nodes, { nodeRadius, largestNodeRadius, padding = 0 }) {
+    // Boxes of the labels placed so far, by their centre
+    const placed = d3.quadtree().x(box => box.x).y(box => box.y);
+    let largestRadius = 0;
+
+    // Everything whose bounding circle comes within `reach` of (x, y)
+    const near = (tree, x, y, reach, test) => {
+        let hit = false;
+        tree.visit((quad, x0, y0, x1, y1) => {
+            if (hit) return true;
+            if (!quad.length) {
+                let leaf = quad;
+                do {
+                    if (test(leaf.data)) hit = true;
+                } while (!hit && (leaf = leaf.next));
+            }
+            return x0 > x + reach || x1 < x - reach || y0 > y + reach || y1 < y - reach;
+        });
+        return hit;
+    };
+
+    const isFree = box => !near(nodes, box.x, box.y, box.radius + largestNodeRadius,
+        node => boxHitsCircle(box, node.x, node.y, nodeRadius(node))
+    ) && !near(placed, box.x, box.y, box.radius + largestRadius, other => boxesOverlap(box, other));
+
+    const order = labels.map((label, i) => i).sort((a, b) => Boolean(labels[b].fixed) - Boolean(labels[a].fixed));
+    const spots = new Array(labels.length).fill(null);
+    order.forEach(i => {
+        const { width, height, candidates, fixed } = labels[i];
+        const boxes = candidates.map(candidate => getLabelBox(candidate, width + padding * 2, height + padding * 2));
+        let index = boxes.findIndex(isFree);
+        if (index === -1 && fixed && boxes.length > 0) index = 0;
+        if (index === -1) return;
+
+        spots[i] = candidates[index];
+        placed.add(boxes[index]);
+        largestRadius = Math.max(largestRadius, boxes[index].radius);
+    });
+    return spots;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EDGE_STYLES, placeLabels };
+}
@@ -0,0 +1,329 @@
+// Data-driven looks: the size, shape, border and icon of nodes and the colour, width and
+// dash pattern of edges, taken from their properties through linear, log or ordinal
+// scales. parseEncodings() checks a configuration once, createEncodings() fits its scales
+// to the current data. EdgeGraph stores the results on its nodes and links, draws them
+// and lists every encoding in the legend.
+
+const NODE_SHAPES = ['circle', 'square', 'diamond', 'hexagon'];
+const SCALE_TYPES = ['linear', 'log', 'ordinal'];
+
+// Colours of ordinal colour encodings without a range (Tableau 10)
+const ENCODING_PALETTE = [
+    '#4e79a7', '#f28e2c', '#e15759', '#76b7b2', '#59a14f',
+    '#edc949', '#af7aa1', '#ff9da7', '#9c755f', '#bab0ab'
+];
+
+// Every channel with its legend title, the kind of value it takes and the range used when
+// none is given. Icons without a map or range show the property value itself.
+const ENCODING_CHANNELS = {
+    nodes: {
+        radius: { title: 'Size', kind: 'size', range: [40, 120] },
+        shape: { title: 'Shape', kind: 'shape', range: NODE_SHAPES },
+        border: { title: 'Border', kind: 'color', range: ENCODING_PALETTE },
+        borderWidth: { title: 'Border width', kind: 'size', range: [1, 8] },
+        icon: { title: 'Icon', kind: 'text', range: null }
+    },
+    edges: {
+        color: { title: 'Edge color', kind: 'color', range: ENCODING_PALETTE },
+        width: { title: 'Edge width', kind: 'size', range: [1, 8] },
+        dash: { title: 'Edge pattern', kind: 'dash', range: [[], [10, 6], [2, 5], [14, 5, 2, 5]] }
+    }
+};
+
+// Colours linear and log scales run between when no range is given
+const CONTINUOUS_COLORS = ['#76b7b2', '#e15759'];
+
+// Ordinal legends list this many values at most
+const MAX_LEGEND_ENTRIES = 12;
+
+const isRecord = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Whether a value can be used for a kind of channel
+function isValidOutput(kind, value) {
+    switch (kind) {
+    case 'size':
+        return typeof value === 'number' && Number.isFinite(value) && value > 0;
+    case 'shape':
+        return NODE_SHAPES.includes(value);
+    case 'color':
+        return typeof value === 'string' && value.trim() !== '';
+    case 'text':
+        return (typeof value === 'string' && value !== '') || (typeof value === 'number' && Number.isFinite(value));
+    case 'dash':
+        return Array.isArray(value) && value.every(length => typeof length === 'number' && Number.isFinite(length) && length >= 0);
+    default:
+        return false;
+    }
+}
+
+// Check one channel's configuration. A plain value (or an array, for dash patterns) is
+// used for every node or edge. Returns the parsed channel, or a message saying what's wrong.
+function parseChannel(target, channel, spec) {
+    const { kind, range: defaultRange } = ENCODING_CHANNELS[target][channel];
+    if (!isRecord(spec)) {
+        return isValidOutput(kind, spec) ? { target, channel, constant: spec } : `${spec} is not a valid ${kind}`;
+    }
+
+    const { property, domain, range, map, label } = spec;
+    if (typeof property !== 'string' || property === '') {
+        return 'property must be the name of a property';
+    }
+    const scale = spec.scale || (kind === 'size' && !map ? 'linear' : 'ordinal');
+    if (!SCALE_TYPES.includes(scale)) {
+        return `scale must be one of ${SCALE_TYPES.join(', ')}`;
+    }
+    if (scale !== 'ordinal' && kind !== 'size' && kind !== 'color') {
+        return `a ${scale} scale can't produce a ${kind}, use an ordinal one`;
+    }
+    if (scale !== 'ordinal' && map) {
+        return 'map only works with an ordinal scale';
+    }
+    if (scale === 'ordinal' && kind === 'size' && !map && range === undefined) {
+        return 'an ordinal scale needs a map or a range of sizes';
+    }
+    if (domain !== undefined) {
+        const numeric = Array.isArray(domain) && domain.length === 2 &&
+            domain.every(value => typeof value === 'number' && Number.isFinite(value));
+        if (!Array.isArray(domain) || domain.length === 0 || (scale !== 'ordinal' && !numeric)) {
+            return scale === 'ordinal' ? 'domain must be a list of values' : 'domain must be [min, max]';
+        }
+        if (scale === 'log' && !domain.every(value => value > 0)) {
+            return 'the domain of a log scale must be above 0';
+        }
+    }
+    if (range !== undefined) {
+        if (!Array.isArray(range) || range.length < (scale === 'ordinal' ? 1 : 2) || !range.every(value => isValidOutput(kind, value))) {
+            return `range must be a list of ${scale === 'ordinal' ? '' : 'at least two '}valid values for ${kind}`;
+        }
+    }
+    if (map !== undefined && (!isRecord(map) || !Object.values(map).every(value => isValidOutput(kind, value)))) {
+        return `map must map property values to valid values for ${kind}`;
+    }
+    if (spec.default !== undefined && !isValidOutput(kind, spec.default)) {
+        return `default ${spec.default} is not a valid ${kind}`;
+    }
+    if (label !== undefined && typeof label !== 'string') {
+        return 'label must be a string';
+    }
+
+    return {
+        target,
+        channel,
+        property,
+        scale,
+        domain: domain === undefined ? null : domain,
+        // A map on its own only changes the values it lists
+        range: range !== undefined ? range : map ? null : kind === 'color' && scale !== 'ordinal' ? CONTINUOUS_COLORS : defaultRange,
+        map: map || null,
+        default: spec.default,
+        label: label || null
+    };
+}
+
+// Check an encoding configuration of the form { nodes: { channel: spec }, edges: { ... } }.
+// Returns the usable channels and messages about the ones that were left out.
+function parseEncodings(spec) {
+    const channels = [];
+    const issues = [];
+    if (spec == null) return { channels, issues };
+    if (!isRecord(spec)) {
+        issues.push('encodings must be an object with "nodes" and/or "edges"');
+        return { channels, issues };
+    }
+
+    Object.keys(spec).forEach(target => {
+        if (!ENCODING_CHANNELS[target]) {
+            issues.push(`unknown encoding target "${target}", expected nodes or edges`);
+            return;
+        }
+        if (spec[target] == null) return;
+        if (!isRecord(spec[target])) {
+            issues.push(`${target}: must be an object of channels`);
+            return;
+        }
+        const known = Object.keys(ENCODING_CHANNELS[target]);
+        Object.entries(spec[target]).forEach(([channel, channelSpec]) => {
+            if (!known.includes(channel)) {
+                issues.push(`${target}: unknown channel "${channel}", expected one of ${known.join(', ')}`);
+                return;
+            }
+            if (channelSpec == null) return;
+            const parsed = parseChannel(target, channel, channelSpec);
+            if (typeof parsed === 'string') {
+                issues.push(`${target}.${channel}: ${parsed}, it is left out`);
+            } else {
+                channels.push(parsed);
+            }
+        });
+    });
+    return { channels, issues };
+}
+
+// The value an encoding reads from a node or a link. Edges' relationship_name is read
+// from the link itself, everything else from the properties.
+function getEncodedValue(item, { target, property }) {
+    if (target === 'edges' && property === 'relationship_name') return item.relationship;
+    return (item.properties || {})[property];
+}
+
+// Numbers, and strings holding one, e.g. from CSV imports
+function toNumber(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'string' && value.trim() !== '') return Number(value);
+    return NaN;
+}
+
+function formatLegendNumber(value) {
+    return String(Number.isInteger(value) ? value : Number(value.toFixed(2)));
+}
+
+// Fit the scales of parsed channels to the nodes and links they apply to. Each encoding
+// gets valueOf(item), which returns undefined where the item keeps its regular look, and
+// the legend entries { label, value } to explain it (none for constants). `more` counts
+// the ordinal values the legend leaves out.
+function createEncodings(channels, nodes, links) {
+    return channels.map(parsed => {
+        const { target, channel, constant, scale, domain, range, map } = parsed;
+        const { title, kind } = ENCODING_CHANNELS[target][channel];
+        const fallback = parsed.default;
+        const encoding = { target, channel, kind, scale, title: parsed.label || `${title}: ${parsed.property}`, legend: [], more: 0 };
+        if (constant !== undefined) {
+            return { ...encoding, title, valueOf: () => constant };
+        }
+
+        const items = target === 'nodes' ? nodes : links;
+        const values = items.map(item => getEncodedValue(item, parsed));
+
+        if (scale !== 'ordinal') {
+            const usable = value => Number.isFinite(value) && (scale !== 'log' || value > 0);
+            const numbers = values.map(toNumber).filter(usable);
+            const [min, max] = domain || (numbers.length > 0 ? d3.extent(numbers) : []);
+            if (min === undefined) {
+                return { ...encoding, valueOf: () => fallback };
+            }
+            const fitted = (scale === 'log' ? d3.scaleLog() : d3.scaleLinear()).domain([min, max]).range(range).clamp(true);
+            const stops = min === max ? [min] : [min, scale === 'log' ? Math.sqrt(min * max) : (min + max) / 2, max];
+            return {
+                ...encoding,
+                valueOf: item => {
+                    const number = toNumber(getEncodedValue(item, parsed));
+                    return usable(number) ? fitted(number) : fallback;
+                },
+                legend: stops.map(value => ({ label: formatLegendNumber(value), value: fitted(value) }))
+            };
+        }
+
+        // Ordinal: the values in the data, in natural order, unless the domain lists them
+        const keys = domain
+            ? domain.map(String)
+            : [...new Set(values.filter(value => value != null && value !== '').map(String))]
+                .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+        const positions = new Map(keys.map((key, i) => [key, i]));
+        const output = key => {
+            if (map && Object.prototype.hasOwnProperty.call(map, key)) return map[key];
+            if (!positions.has(key)) return undefined;
+            if (!range) return kind === 'text' && !map ? key : undefined;
+            return range[positions.get(key) % range.length];
+        };
+        const entries = keys
+            .map(key => ({ label: key, value: output(key) }))
+            .filter(entry => entry.value !== undefined);
+        return {
+            ...encoding,
+            valueOf: item => {
+                const value = getEncodedValue(item, parsed);
+                const result = value == null || value === '' ? undefined : output(String(value));
+                return result !== undefined ? result : fallback;
+            },
+            legend: entries.slice(0, MAX_LEGEND_ENTRIES),
+            more: Math.max(0, entries.length - MAX_LEGEND_ENTRIES)
+        };
+    });
+}
+
+// Node shapes other than circles are regular polygons with the same area as the circle
+// of the node's radius, so sizes compare fairly. An outline is described by the directions
+// its sides face, their distance from the centre and the distance of the corners, for a
+// radius of 1.
+function polygonOutline(count, facing) {
+    const apothem = Math.sqrt(Math.PI / (count * Math.tan(Math.PI / count)));
+    return {
+        sides: Array.from({ length: count }, (side, i) => {
+            const angle = facing + (i * 2 * Math.PI) / count;
+            return { x: Math.cos(angle), y: Math.sin(angle), angle };
+        }),
+        apothem,
+        extent: apothem / Math.cos(Math.PI / count)
+    };
+}
+
+const SHAPE_OUTLINES = {
+    square: polygonOutline(4, 0),
+    diamond: polygonOutline(4, Math.PI / 4),
+    hexagon: polygonOutline(6, 0)
+};
+
+// How far the outline reaches from the centre at most
+function getShapeExtent(shape, radius) {
+    const outline = SHAPE_OUTLINES[shape];
+    return outline ? outline.extent * radius : radius;
+}
+
+// Add a node's outline to the current path
+function traceNodeShape(ctx, shape, x, y, radius) {
+    const outline = SHAPE_OUTLINES[shape];
+    if (!outline) {
+        ctx.moveTo(x + radius, y);
+        ctx.arc(x, y, radius, 0, 2 * Math.PI);
+        return;
+    }
+    // Corners lie between the directions the sides face
+    const corner = Math.PI / outline.sides.length;
+    outline.sides.forEach(({ angle }, i) => {
+        const cornerX = x + Math.cos(angle + corner) * outline.extent * radius;
+        const cornerY = y + Math.sin(angle + corner) * outline.extent * radius;
+        if (i === 0) {
+            ctx.moveTo(cornerX, cornerY);
+        } else {
+            ctx.lineTo(cornerX, cornerY);
+        }
+    });
+    ctx.closePath();
+}
+
+// Whether a point, relative to the node's centre, lies inside the node's outline
+function shapeContains(shape, radius, dx, dy) {
+    const outline = SHAPE_OUTLINES[shape];
+    if (!outline) return dx * dx + dy * dy <= radius * radius;
+    return outline.sides.every(side => dx * side.x + dy * side.y <= outline.apothem * radius);
+}
+
+// Distance from a point inside the outline (relative to the centre) to the outline, going
+// in the direction (dirX, dirY) of unit length
+function distanceToOutline(shape, radius, px, py, dirX, dirY) {
+    const outline = SHAPE_OUTLINES[shape];
+    if (!outline) {
+        const along = px * dirX + py * dirY;
+        return -along + Math.sqrt(Math.max(0, along * along - (px * px + py * py - radius * radius)));
+    }
+    let distance = Infinity;
+    outline.sides.forEach(side => {
+        const approach = dirX * side.x + dirY * side.y;
+        if (approach > 1e-9) {
+            distance = Math.min(distance, (outline.apothem * radius - (px * side.x + py * side.y)) / approach);
+        }
+    });
+    return Math.max(0, distance);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        NODE_SHAPES,
+        parseEncodings,
+        createEncodings,
+        getShapeExtent,
+        traceNodeShape,
+        shapeContains,
+        distanceToOutline
+    };
+}
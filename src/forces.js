@@ -0,0 +1,64 @@
+// Custom forces of the default layout. EdgeGraph works out which nodes belong together,
+// these apply the pull on every tick. They only use their arguments, so the simulation
+// worker can rebuild them from plain data (see workerSimulation.js).
+
+// Pull every group of nodes towards its own fixed centre, harder vertically than
+// horizontally so levels stay apart. groups: [{ x, y, nodes }]
+function typeClusterForce(groups) {
+    function force(alpha) {
+        const verticalStrength = 0.4 * alpha; // Stronger vertical constraint
+        const horizontalStrength = 0.2 * alpha; // Medium horizontal constraint
+
+        groups.forEach(center => {
+            center.nodes.forEach(node => {
+                // Skip if the node is fixed (manually positioned)
+                if (node.fx != null || node.fy != null) return;
+
+                // Apply different strengths for x and y
+                node.vx = (node.vx || 0) + (center.x - node.x) * horizontalStrength;
+                node.vy = (node.vy || 0) + (center.y - node.y) * verticalStrength;
+            });
+        });
+    }
+
+    force.groups = () => groups;
+    return force;
+}
+
+// Keep every cluster of nodes together by pulling them towards the cluster's current
+// average position. clusters: arrays of nodes
+function relationshipForce(clusters) {
+    function force(alpha) {
+        const clusterStrength = 0.2 * alpha;
+
+        clusters.forEach(nodes => {
+            // Calculate the average position of the cluster
+            let x = 0;
+            let y = 0;
+            let count = 0;
+            nodes.forEach(node => {
+                if (!node.x || !node.y) return;
+                x += node.x;
+                y += node.y;
+                count++;
+            });
+            if (count === 0) return;
+            x /= count;
+            y /= count;
+
+            // Apply gentle force to keep nodes in the same cluster together
+            nodes.forEach(node => {
+                if (node.fx != null || node.fy != null) return;
+                node.vx = (node.vx || 0) + (x - node.x) * clusterStrength;
+                node.vy = (node.vy || 0) + (y - node.y) * clusterStrength;
+            });
+        });
+    }
+
+    force.clusters = () => clusters;
+    return force;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { typeClusterForce, relationshipForce };
+}
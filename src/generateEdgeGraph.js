@@ -1,27 +1,217 @@
 const fs = require('fs');
 const path = require('path');
+const { parseArgs } = require('util');
+const { renderStaticImage, IMAGE_FORMATS } = require('./renderStaticImage');
+const { importGraph, getInputFormats } = require('./importers');
+const { validateGraphData, formatValidationIssue } = require('./validateGraphData');
+const { bundleD3, escapeScript, inlineLogo } = require('./inlineAssets');
+const { LAYOUT_MODES } = require('./layouts');
+const { EDGE_STYLES } = require('./edgeRouting');
+const { THEME_NAMES } = require('./themes');
 
-// Read input JSON file path from command line arguments
-const jsonPath = process.argv[2];
+const usage = [
+    'Usage: node generateEdgeGraph.js path/to/graph-file [options]',
+    '',
+    'Options:',
+    `  --input-format <f>  Input format: ${getInputFormats().join(', ')} (default: from the file extension)`,
+    `  --format <format>   Output format: html (default), ${IMAGE_FORMATS.join(', ')}`,
+    '  --output <path>     Output file (default: next to the input file)',
+    '  --scale <number>    Pixel density of PNG output (default: 2)',
+    '  --width <pixels>    Width of the layout area (default: 1200, or the window size in HTML)',
+    '  --height <pixels>   Height of the layout area (default: 800, or the window size in HTML)',
+    '  --seed <number>     Seed for a reproducible layout, the same in HTML and images',
+    '  --lenient           Drop invalid nodes and edges with a warning instead of failing',
+    '  --inline            Embed d3 and the logo in the HTML file so it works offline',
+    '  --editable          Add an Edit button to the HTML page for changing the graph',
+    '  --worker            Run the layout simulation of the HTML page in a Web Worker',
+    `  --layout <mode>     Layout: ${LAYOUT_MODES.join(', ')} (default: default)`,
+    '  --layout-root <id>  Node at the centre of the radial layout',
+    '  --layout-direction <TB|LR>  Direction of the hierarchical layout (default: TB)',
+    `  --edge-style <s>    Edge style: ${EDGE_STYLES.join(', ')} (default: straight)`,
+    `  --theme <name>      Theme: auto, ${THEME_NAMES.join(', ')} (default: auto, dark in images)`
+].join('\n');
 
-if (!jsonPath) {
-    console.error('Please provide a path to JSON file');
-    console.error('Usage: node generateNodeTree.js path/to/data.json');
+// Parse command line arguments
+let args;
+try {
+    args = parseArgs({
+        allowPositionals: true,
+        options: {
+            format: { type: 'string', default: 'html' },
+            'input-format': { type: 'string' },
+            output: { type: 'string' },
+            scale: { type: 'string', default: '2' },
+            width: { type: 'string' },
+            height: { type: 'string' },
+            seed: { type: 'string' },
+            lenient: { type: 'boolean', default: false },
+            inline: { type: 'boolean', default: false },
+            editable: { type: 'boolean', default: false },
+            worker: { type: 'boolean', default: false },
+            layout: { type: 'string', default: 'default' },
+            'layout-root': { type: 'string' },
+            'layout-direction': { type: 'string' },
+            'edge-style': { type: 'string', default: 'straight' },
+            theme: { type: 'string', default: 'auto' }
+        }
+    });
+} catch (error) {
+    console.error(error.message);
+    console.error(usage);
+    process.exit(1);
+}
+
+// Read input file path from command line arguments
+const inputPath = args.positionals[0];
+const format = args.values.format.toLowerCase();
+const inputFormat = args.values['input-format'] && args.values['input-format'].toLowerCase();
+
+if (!inputPath) {
+    console.error('Please provide a path to a graph file');
+    console.error(usage);
+    process.exit(1);
+}
+
+if (format !== 'html' && !IMAGE_FORMATS.includes(format)) {
+    console.error(`Unknown format "${format}"`);
+    console.error(usage);
+    process.exit(1);
+}
+
+if (!LAYOUT_MODES.includes(args.values.layout)) {
+    console.error(`Unknown layout "${args.values.layout}"`);
+    console.error(usage);
     process.exit(1);
 }
 
-// Read and parse JSON data
+if (!EDGE_STYLES.includes(args.values['edge-style'])) {
+    console.error(`Unknown edge style "${args.values['edge-style']}"`);
+    console.error(usage);
+    process.exit(1);
+}
+
+if (args.values.theme !== 'auto' && !THEME_NAMES.includes(args.values.theme)) {
+    console.error(`Unknown theme "${args.values.theme}"`);
+    console.error(usage);
+    process.exit(1);
+}
+
+// Read the input file and convert it to graph data
 let jsonData;
 try {
-    const jsonContent = fs.readFileSync(jsonPath, 'utf8');
-    jsonData = JSON.parse(jsonContent);
+    const inputContent = fs.readFileSync(inputPath, 'utf8');
+    jsonData = importGraph(inputContent, { format: inputFormat, filePath: inputPath });
 } catch (error) {
-    console.error('Error reading or parsing JSON file:', error.message);
+    console.error('Error reading or parsing input file:', error.message);
     process.exit(1);
 }
 
-// Template for the HTML file
-const htmlTemplate = `<!DOCTYPE html>
+// Check the data before building anything so problems point at the input, not the page
+const validation = validateGraphData(jsonData, { mode: args.values.lenient ? 'lenient' : 'strict' });
+validation.warnings.forEach(issue => console.warn(`Warning: ${formatValidationIssue(issue)}`));
+if (validation.errors.length > 0) {
+    console.error(`Invalid graph data in ${inputPath}:`);
+    validation.errors.forEach(issue => console.error(`  ${formatValidationIssue(issue)}`));
+    if (!args.values.lenient) {
+        console.error('Fix the problems above, or use --lenient to drop the invalid nodes and edges');
+    }
+    process.exit(1);
+}
+if (validation.dropped.nodes > 0 || validation.dropped.edges > 0) {
+    console.warn(`Dropped ${validation.dropped.nodes} invalid node(s) and ${validation.dropped.edges} invalid edge(s)`);
+}
+jsonData = validation.data;
+
+// Layout passed to EdgeGraph; ids on the command line are strings, so match the node's own id
+const layoutOptions = {};
+if (args.values['layout-root'] !== undefined) {
+    const root = jsonData.nodes.find(node => String(node.id) === args.values['layout-root']);
+    if (!root) {
+        console.error(`Unknown layout root "${args.values['layout-root']}"`);
+        process.exit(1);
+    }
+    layoutOptions.root = root.id;
+}
+if (args.values['layout-direction'] !== undefined) {
+    layoutOptions.direction = args.values['layout-direction'].toUpperCase();
+    if (!['TB', 'LR'].includes(layoutOptions.direction)) {
+        console.error(`Unknown layout direction "${args.values['layout-direction']}", expected TB or LR`);
+        process.exit(1);
+    }
+}
+
+// Options passed to EdgeGraph, only the ones that differ from its defaults
+const graphOptions = {};
+if (args.values.layout !== 'default' || Object.keys(layoutOptions).length > 0) {
+    graphOptions.layout = args.values.layout;
+    graphOptions.layoutOptions = layoutOptions;
+}
+if (args.values['edge-style'] !== 'straight') {
+    graphOptions.edgeStyle = args.values['edge-style'];
+}
+if (args.values.theme !== 'auto') {
+    graphOptions.theme = args.values.theme;
+}
+if (args.values.seed !== undefined) {
+    graphOptions.seed = Number(args.values.seed);
+    if (args.values.seed.trim() === '' || !Number.isFinite(graphOptions.seed)) {
+        console.error(`Seed must be a number, got "${args.values.seed}"`);
+        process.exit(1);
+    }
+}
+const scale = Number(args.values.scale);
+if (args.values.scale.trim() === '' || !Number.isFinite(scale) || scale <= 0) {
+    console.error(`Scale must be a number above 0, got "${args.values.scale}"`);
+    console.error(usage);
+    process.exit(1);
+}
+['width', 'height'].forEach(dimension => {
+    const value = args.values[dimension];
+    if (value === undefined) return;
+    graphOptions[dimension] = Number(value);
+    if (!/^\s*\d+\s*$/.test(value) || graphOptions[dimension] <= 0) {
+        console.error(`${dimension === 'width' ? 'Width' : 'Height'} must be a whole number of pixels above 0, got "${value}"`);
+        console.error(usage);
+        process.exit(1);
+    }
+});
+if (args.values.editable) {
+    graphOptions.editable = true;
+}
+
+// Generate output file name based on input file
+const outputPath = args.values.output || path.join(
+    path.dirname(inputPath),
+    `${path.basename(inputPath, path.extname(inputPath))}_visualization.${format}`
+);
+
+// Browser scripts inlined into the page, in load order
+const browserSources = [
+    'vectorContext.js',
+    'validateGraphData.js',
+    'layouts.js',
+    'edgeRouting.js',
+    'encodings.js',
+    'themes.js',
+    'forces.js',
+    'workerSimulation.js',
+    'edgeGraph.js'
+];
+
+// Options as page code. With d3 inlined, the simulation worker loads the page's own copy
+// of it instead of the CDN one, so the page still works offline.
+const buildOptions = inlineD3 => {
+    const entries = Object.entries(graphOptions).map(([key, value]) => `${key}: ${JSON.stringify(value)}`);
+    if (args.values.worker) {
+        entries.push(inlineD3
+            ? "worker: { d3Url: URL.createObjectURL(new Blob([document.getElementById('d3-source').textContent], { type: 'text/javascript' })) }"
+            : 'worker: true');
+    }
+    return entries.length > 0 ? `, { ${entries.join(', ')} }` : '';
+};
+
+// Template for the HTML file. d3 is either loaded from the CDN or passed in as a script.
+const buildHtml = (graphData, d3Script) => `<!DOCTYPE html>
 <html>
 <head>
     <title>D3 Node Tree Visualization</title>
@@ -31,47 +221,55 @@ const htmlTemplate = `<!DOCTYPE html>
             width: 100%;
             height: 100vh;
         }
-        canvas {
-            position: absolute;
-            top: 0;
-            left: 0;
-        }
         body {
             margin: 0;
         }
     </style>
 </head>
 <body>
-    <div id="canvas-container">
-        <canvas id="canvas"></canvas>
-    </div>
-    <script src="https://d3js.org/d3.v7.min.js"></script>
+    <div id="canvas-container"></div>
+    ${d3Script ? `<script id="d3-source">
+${d3Script}
+    </script>` : '<script src="https://d3js.org/d3.v7.min.js"></script>'}
     <script>
         // Node tree implementation
-        ${fs.readFileSync(path.join(__dirname, 'edgeGraph.js'), 'utf8')}
+        ${browserSources.map(file => fs.readFileSync(path.join(__dirname, file), 'utf8')).join('\n')}
 
         // Initialize with the provided data
-        const graphData = ${JSON.stringify(jsonData, null, 2)};
-        
+        const graphData = ${escapeScript(JSON.stringify(graphData, null, 2))};
+
         document.addEventListener('DOMContentLoaded', () => {
             const container = document.getElementById('canvas-container');
-            const edgeGraph = new EdgeGraph(container, graphData);
+            const edgeGraph = new EdgeGraph(container, graphData${buildOptions(Boolean(d3Script))});
         });
     </script>
 </body>
 </html>`;
 
-// Generate output file name based on input file
-const outputPath = path.join(
-    path.dirname(jsonPath),
-    `${path.basename(jsonPath, '.json')}_visualization.html`
-);
+// Lay out and render the graph in Node for image formats, or build the interactive page
+async function generate() {
+    if (format === 'html') {
+        if (!args.values.inline) {
+            return buildHtml(jsonData);
+        }
+        const graphData = await inlineLogo(jsonData, path.dirname(path.resolve(outputPath)));
+        return buildHtml(graphData, escapeScript(bundleD3()));
+    }
 
-// Write the HTML file
-try {
-    fs.writeFileSync(outputPath, htmlTemplate);
-    console.log(`Visualization generated successfully at: ${outputPath}`);
-} catch (error) {
-    console.error('Error writing HTML file:', error.message);
-    process.exit(1);
-} 
\ No newline at end of file
+    return renderStaticImage(jsonData, {
+        format,
+        scale,
+        ...graphOptions
+    });
+}
+
+// Write the output file
+generate()
+    .then(output => {
+        fs.writeFileSync(outputPath, output);
+        console.log(`Visualization generated successfully at: ${outputPath}`);
+    })
+    .catch(error => {
+        console.error('Error generating visualization:', error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,913 @@
+// Importers that turn common graph file formats into the generator's
+// { nodes, edges, colors } structure. Each importer takes the file contents as
+// a string and returns graph data; new formats can be added with registerImporter.
+
+const path = require('path');
+
+// Attribute names, in order of preference, that map onto the fields EdgeGraph reads
+const LABEL_KEYS = ['label', 'name', 'title', 'shared_name'];
+const TYPE_KEYS = ['type', 'category', 'class', 'kind', 'group'];
+const RELATIONSHIP_KEYS = ['relationship_name', 'relationship', 'relation', 'interaction', 'label', 'type', 'kind'];
+
+const importers = new Map();
+
+function registerImporter(name, { extensions = [], parse }) {
+    importers.set(name, { extensions, parse });
+}
+
+function getInputFormats() {
+    return [...importers.keys()];
+}
+
+// Pick the importer for a file from its extension. Plain .json files can be either
+// our own format or a Cytoscape export, so those are told apart by their contents.
+function detectInputFormat(filePath, text) {
+    const extension = path.extname(filePath).toLowerCase();
+
+    if (extension === '.json') {
+        return looksLikeCytoscape(text) ? 'cytoscape' : 'json';
+    }
+
+    for (const [name, importer] of importers) {
+        if (importer.extensions.includes(extension)) {
+            return name;
+        }
+    }
+    return null;
+}
+
+// Parse the contents of a graph file. Node types keep no color unless the file
+// sets one, so the viewer colors them from its theme's palette.
+function importGraph(text, { format, filePath = '' } = {}) {
+    const name = format || detectInputFormat(filePath, text);
+    if (!name) {
+        throw new Error(
+            `Cannot tell the format of "${filePath}" from its extension, ` +
+            `use --input-format with one of: ${getInputFormats().join(', ')}`
+        );
+    }
+
+    const importer = importers.get(name);
+    if (!importer) {
+        throw new Error(`Unknown input format "${name}", expected one of: ${getInputFormats().join(', ')}`);
+    }
+
+    const data = importer.parse(text);
+    // Only our own format has a colors map; the others get an empty one so the
+    // validator doesn't warn about a map they can't express
+    if (!data.colors && name !== 'json') {
+        data.colors = {};
+    }
+    return data;
+}
+
+// Case-insensitive lookup of the first matching key in an attribute object
+function pickAttribute(attributes, keys) {
+    const lookup = new Map(Object.keys(attributes).map(key => [key.toLowerCase(), key]));
+    for (const key of keys) {
+        const match = lookup.get(key);
+        if (match !== undefined && attributes[match] !== undefined && attributes[match] !== '') {
+            return { key: match, value: attributes[match] };
+        }
+    }
+    return null;
+}
+
+// Build a node record from an id and a flat attribute object. The type stays
+// in properties, where EdgeGraph looks for it; everything else is kept as-is.
+function buildNode(id, attributes = {}) {
+    const properties = { ...attributes };
+    const label = pickAttribute(attributes, LABEL_KEYS);
+    const type = pickAttribute(attributes, TYPE_KEYS);
+
+    if (label) {
+        delete properties[label.key];
+    }
+    if (type) {
+        delete properties[type.key];
+        properties.type = String(type.value);
+    }
+
+    return {
+        id,
+        label: label ? String(label.value) : String(id),
+        properties
+    };
+}
+
+function buildEdge(source, target, attributes = {}) {
+    const properties = { ...attributes };
+    const relationship = pickAttribute(attributes, RELATIONSHIP_KEYS);
+
+    if (relationship) {
+        delete properties[relationship.key];
+    }
+
+    return {
+        source_node_id: source,
+        target_node_id: target,
+        relationship_name: relationship ? String(relationship.value) : '',
+        properties
+    };
+}
+
+// Collects nodes in first-seen order, creating bare nodes for ids only seen on edges
+function createGraphBuilder() {
+    const nodes = new Map();
+    const edges = [];
+
+    return {
+        addNode(id, attributes) {
+            const existing = nodes.get(id);
+            if (existing) {
+                const merged = buildNode(id, { ...existing.attributes, ...attributes });
+                nodes.set(id, { node: merged, attributes: { ...existing.attributes, ...attributes } });
+                return merged;
+            }
+            const node = buildNode(id, attributes);
+            nodes.set(id, { node, attributes: { ...attributes } });
+            return node;
+        },
+        hasNode(id) {
+            return nodes.has(id);
+        },
+        addEdge(source, target, attributes) {
+            if (!nodes.has(source)) this.addNode(source);
+            if (!nodes.has(target)) this.addNode(target);
+            edges.push(buildEdge(source, target, attributes));
+        },
+        toData() {
+            return {
+                nodes: [...nodes.values()].map(entry => entry.node),
+                edges
+            };
+        }
+    };
+}
+
+// ---------------------------------------------------------------------------
+// JSON (the generator's own format)
+
+registerImporter('json', {
+    extensions: ['.json'],
+    parse(text) {
+        return JSON.parse(text);
+    }
+});
+
+// ---------------------------------------------------------------------------
+// Cytoscape JSON (cytoscape.js and Cytoscape desktop .cyjs exports)
+
+function looksLikeCytoscape(text) {
+    try {
+        const json = JSON.parse(text);
+        if (Array.isArray(json)) {
+            return json.some(element => element && element.data);
+        }
+        if (json && json.elements) {
+            return true;
+        }
+        return Boolean(json && Array.isArray(json.nodes) && json.nodes.some(node => node && node.data));
+    } catch (error) {
+        return false;
+    }
+}
+
+registerImporter('cytoscape', {
+    extensions: ['.cyjs'],
+    parse(text) {
+        const json = JSON.parse(text);
+        const elements = Array.isArray(json) ? json : (json.elements || json);
+
+        let nodeElements;
+        let edgeElements;
+        if (Array.isArray(elements)) {
+            // Flat element lists mark edges with group: 'edges' or by having a source
+            const isEdge = element => element.group === 'edges' ||
+                (element.group !== 'nodes' && element.data && element.data.source !== undefined);
+            nodeElements = elements.filter(element => !isEdge(element));
+            edgeElements = elements.filter(isEdge);
+        } else {
+            nodeElements = elements.nodes || [];
+            edgeElements = elements.edges || [];
+        }
+
+        const graph = createGraphBuilder();
+        nodeElements.forEach(element => {
+            const { id, ...attributes } = element.data || {};
+            if (id === undefined) {
+                throw new Error('Cytoscape node without data.id');
+            }
+            const node = graph.addNode(id, attributes);
+            if (element.position) {
+                node.x = element.position.x;
+                node.y = element.position.y;
+            }
+        });
+        edgeElements.forEach(element => {
+            // Edge ids are generated by Cytoscape and mean nothing to the reader
+            const { id, source, target, ...attributes } = element.data || {};
+            if (source === undefined || target === undefined) {
+                throw new Error(`Cytoscape edge ${id !== undefined ? `"${id}" ` : ''}without data.source and data.target`);
+            }
+            graph.addEdge(source, target, attributes);
+        });
+
+        return graph.toData();
+    }
+});
+
+// ---------------------------------------------------------------------------
+// CSV edge lists
+
+// Split CSV text into rows of fields, following RFC 4180 quoting
+function parseCsv(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+// Use whichever of tab, semicolon or comma appears most on the first line
+function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const counts = ['\t', ';', ','].map(delimiter => [delimiter, firstLine.split(delimiter).length - 1]);
+    counts.sort((a, b) => b[1] - a[1]);
+    return counts[0][1] > 0 ? counts[0][0] : ',';
+}
+
+const CSV_COLUMNS = {
+    source: ['source_node_id', 'source', 'source_id', 'from', 'src', 'start'],
+    target: ['target_node_id', 'target', 'target_id', 'to', 'dst', 'end'],
+    sourceLabel: ['source_label', 'source_name'],
+    targetLabel: ['target_label', 'target_name'],
+    sourceType: ['source_type'],
+    targetType: ['target_type']
+};
+
+registerImporter('csv', {
+    extensions: ['.csv', '.tsv'],
+    parse(text) {
+        const rows = parseCsv(text.replace(/^\ufeff/, ''), detectDelimiter(text));
+        if (rows.length === 0) {
+            throw new Error('CSV file is empty');
+        }
+
+        const header = rows[0].map(name => name.trim());
+        const findColumn = names => header.findIndex(name => names.includes(name.toLowerCase().replace(/\s+/g, '_')));
+        const columns = Object.fromEntries(
+            Object.entries(CSV_COLUMNS).map(([field, names]) => [field, findColumn(names)])
+        );
+
+        // Without a recognisable header the columns are source, target, relationship
+        let records = rows.slice(1);
+        let edgeColumns = header.map((name, index) => ({ name, index }));
+        if (columns.source === -1 || columns.target === -1) {
+            records = rows;
+            columns.source = 0;
+            columns.target = 1;
+            edgeColumns = rows[0].length > 2 ? [{ name: 'relationship_name', index: 2 }] : [];
+        }
+
+        const nodeColumns = new Set(Object.values(columns));
+        edgeColumns = edgeColumns.filter(column => !nodeColumns.has(column.index));
+
+        const graph = createGraphBuilder();
+        records.forEach((record, rowIndex) => {
+            const source = (record[columns.source] || '').trim();
+            const target = (record[columns.target] || '').trim();
+            if (!source || !target) {
+                throw new Error(`CSV row ${rowIndex + 2} is missing a source or target`);
+            }
+
+            [[source, columns.sourceLabel, columns.sourceType], [target, columns.targetLabel, columns.targetType]]
+                .forEach(([id, labelColumn, typeColumn]) => {
+                    const attributes = {};
+                    if (labelColumn !== -1 && record[labelColumn]) attributes.label = record[labelColumn];
+                    if (typeColumn !== -1 && record[typeColumn]) attributes.type = record[typeColumn];
+                    if (!graph.hasNode(id) || Object.keys(attributes).length > 0) {
+                        graph.addNode(id, attributes);
+                    }
+                });
+
+            const attributes = {};
+            edgeColumns.forEach(({ name, index }) => {
+                if (record[index] !== undefined && record[index] !== '') {
+                    attributes[name] = record[index];
+                }
+            });
+            graph.addEdge(source, target, attributes);
+        });
+
+        return graph.toData();
+    }
+});
+
+// ---------------------------------------------------------------------------
+// XML, shared by GraphML and GEXF
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+function decodeXmlEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1] === 'x' || entity[1] === 'X'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return XML_ENTITIES[entity] !== undefined ? XML_ENTITIES[entity] : match;
+    });
+}
+
+// Minimal non-validating XML parser producing { name, attributes, children, text } elements.
+// Namespace prefixes are dropped from element and attribute names.
+function parseXml(text) {
+    const localName = name => name.slice(name.indexOf(':') + 1);
+    const root = { name: '#document', attributes: {}, children: [], text: '' };
+    const stack = [root];
+    let i = 0;
+
+    const fail = message => {
+        const line = text.slice(0, i).split('\n').length;
+        throw new Error(`Invalid XML on line ${line}: ${message}`);
+    };
+
+    while (i < text.length) {
+        const next = text.indexOf('<', i);
+        const current = stack[stack.length - 1];
+
+        if (next === -1) {
+            current.text += decodeXmlEntities(text.slice(i));
+            break;
+        }
+        current.text += decodeXmlEntities(text.slice(i, next));
+        i = next;
+
+        if (text.startsWith('<!--', i)) {
+            const end = text.indexOf('-->', i);
+            if (end === -1) fail('unterminated comment');
+            i = end + 3;
+        } else if (text.startsWith('<![CDATA[', i)) {
+            const end = text.indexOf(']]>', i);
+            if (end === -1) fail('unterminated CDATA section');
+            current.text += text.slice(i + 9, end);
+            i = end + 3;
+        } else if (text.startsWith('<?', i)) {
+            const end = text.indexOf('?>', i);
+            if (end === -1) fail('unterminated processing instruction');
+            i = end + 2;
+        } else if (text.startsWith('<!', i)) {
+            // DOCTYPE, possibly with an internal subset in brackets
+            const bracket = text.indexOf('[', i);
+            const close = text.indexOf('>', i);
+            const end = bracket !== -1 && bracket < close ? text.indexOf(']>', bracket) + 1 : close;
+            if (end <= 0) fail('unterminated declaration');
+            i = end + 1;
+        } else if (text[i + 1] === '/') {
+            const end = text.indexOf('>', i);
+            if (end === -1) fail('unterminated closing tag');
+            const name = localName(text.slice(i + 2, end).trim());
+            if (stack.length === 1 || current.name !== name) {
+                fail(`unexpected </${name}>`);
+            }
+            stack.pop();
+            i = end + 1;
+        } else {
+            const tagPattern = /<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+            tagPattern.lastIndex = i;
+            const match = tagPattern.exec(text);
+            if (!match) fail('malformed tag');
+
+            const element = { name: localName(match[1]), attributes: {}, children: [], text: '' };
+            const attributePattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+            let attribute;
+            while ((attribute = attributePattern.exec(match[2])) !== null) {
+                const value = attribute[2] !== undefined ? attribute[2] : attribute[3];
+                element.attributes[localName(attribute[1])] = decodeXmlEntities(value);
+            }
+
+            current.children.push(element);
+            if (!match[3]) {
+                stack.push(element);
+            }
+            i = tagPattern.lastIndex;
+        }
+    }
+
+    if (stack.length > 1) {
+        fail(`<${stack[stack.length - 1].name}> is never closed`);
+    }
+    return root;
+}
+
+function childElements(element, name) {
+    return element.children.filter(child => child.name === name);
+}
+
+function findElement(element, name) {
+    for (const child of element.children) {
+        if (child.name === name) return child;
+        const found = findElement(child, name);
+        if (found) return found;
+    }
+    return null;
+}
+
+// Text of an element and everything below it, whitespace-trimmed
+function elementText(element) {
+    return (element.text + element.children.map(elementText).join('')).trim();
+}
+
+// Convert typed attribute values so numbers and booleans survive the round trip
+function convertValue(value, type) {
+    switch (type) {
+        case 'int':
+        case 'integer':
+        case 'long':
+        case 'float':
+        case 'double': {
+            const number = Number(value);
+            return Number.isNaN(number) ? value : number;
+        }
+        case 'boolean':
+            return value === 'true' || value === '1';
+        default:
+            return value;
+    }
+}
+
+// ---------------------------------------------------------------------------
+// GraphML (yEd, Gephi, NetworkX, igraph)
+
+registerImporter('graphml', {
+    extensions: ['.graphml'],
+    parse(text) {
+        const root = findElement(parseXml(text), 'graphml');
+        if (!root) {
+            throw new Error('Not a GraphML document: missing <graphml> element');
+        }
+
+        // Keys declare the attribute name, type and default for data elements
+        const keys = new Map();
+        childElements(root, 'key').forEach(key => {
+            const defaultElement = childElements(key, 'default')[0];
+            keys.set(key.attributes.id, {
+                name: key.attributes['attr.name'] || key.attributes.id,
+                type: key.attributes['attr.type'],
+                domain: key.attributes.for || 'all',
+                default: defaultElement ? elementText(defaultElement) : undefined
+            });
+        });
+
+        const readData = (element, domain) => {
+            const attributes = {};
+            keys.forEach(key => {
+                if ((key.domain === domain || key.domain === 'all') && key.default !== undefined) {
+                    attributes[key.name] = convertValue(key.default, key.type);
+                }
+            });
+
+            childElements(element, 'data').forEach(data => {
+                const key = keys.get(data.attributes.key) || { name: data.attributes.key };
+                // yEd keeps labels inside its own graphics elements rather than plain data
+                const yedLabel = findElement(data, domain === 'node' ? 'NodeLabel' : 'EdgeLabel');
+                if (yedLabel) {
+                    if (elementText(yedLabel)) attributes.label = elementText(yedLabel);
+                } else if (data.children.length === 0) {
+                    attributes[key.name] = convertValue(elementText(data), key.type);
+                }
+            });
+            return attributes;
+        };
+
+        const graph = createGraphBuilder();
+        const edges = [];
+
+        // Nested graphs are flattened; their nodes and edges join the top level
+        const walk = element => {
+            element.children.forEach(child => {
+                if (child.name === 'node') {
+                    graph.addNode(child.attributes.id, readData(child, 'node'));
+                } else if (child.name === 'edge') {
+                    edges.push(child);
+                }
+                if (child.name === 'node' || child.name === 'graph') {
+                    walk(child);
+                }
+            });
+        };
+        walk(root);
+
+        edges.forEach(edge => {
+            const { source, target } = edge.attributes;
+            if (source === undefined || target === undefined) {
+                throw new Error('GraphML edge without source and target');
+            }
+            graph.addEdge(source, target, readData(edge, 'edge'));
+        });
+
+        return graph.toData();
+    }
+});
+
+// ---------------------------------------------------------------------------
+// GEXF (Gephi)
+
+registerImporter('gexf', {
+    extensions: ['.gexf'],
+    parse(text) {
+        const root = findElement(parseXml(text), 'gexf');
+        const graphElement = root && findElement(root, 'graph');
+        if (!graphElement) {
+            throw new Error('Not a GEXF document: missing <gexf> or <graph> element');
+        }
+
+        // Attribute declarations, per class, map ids to titles, types and defaults
+        const declarations = { node: new Map(), edge: new Map() };
+        childElements(graphElement, 'attributes').forEach(group => {
+            const declared = declarations[group.attributes.class || 'node'];
+            if (!declared) return;
+            childElements(group, 'attribute').forEach(attribute => {
+                const defaultElement = childElements(attribute, 'default')[0];
+                declared.set(attribute.attributes.id, {
+                    title: attribute.attributes.title || attribute.attributes.id,
+                    type: attribute.attributes.type,
+                    default: defaultElement ? elementText(defaultElement) : undefined
+                });
+            });
+        });
+
+        const readAttributes = (element, declared) => {
+            const attributes = {};
+            declared.forEach(declaration => {
+                if (declaration.default !== undefined) {
+                    attributes[declaration.title] = convertValue(declaration.default, declaration.type);
+                }
+            });
+
+            const values = childElements(element, 'attvalues')[0];
+            if (values) {
+                childElements(values, 'attvalue').forEach(value => {
+                    const id = value.attributes.for !== undefined ? value.attributes.for : value.attributes.id;
+                    const declaration = declared.get(id) || { title: id };
+                    attributes[declaration.title] = convertValue(value.attributes.value, declaration.type);
+                });
+            }
+            return attributes;
+        };
+
+        const graph = createGraphBuilder();
+
+        // Nodes may nest in hierarchical graphs; they are flattened like GraphML
+        const walkNodes = element => {
+            childElements(element, 'nodes').forEach(nodes => {
+                childElements(nodes, 'node').forEach(nodeElement => {
+                    const attributes = readAttributes(nodeElement, declarations.node);
+                    if (nodeElement.attributes.label !== undefined) {
+                        attributes.label = nodeElement.attributes.label;
+                    }
+
+                    const node = graph.addNode(nodeElement.attributes.id, attributes);
+                    const position = childElements(nodeElement, 'position')[0];
+                    if (position) {
+                        node.x = parseFloat(position.attributes.x);
+                        node.y = parseFloat(position.attributes.y);
+                    }
+                    walkNodes(nodeElement);
+                });
+            });
+        };
+        walkNodes(graphElement);
+
+        const edgeGroups = [];
+        const walkEdges = element => {
+            element.children.forEach(child => {
+                if (child.name === 'edges') edgeGroups.push(child);
+                if (child.name === 'nodes' || child.name === 'node') walkEdges(child);
+            });
+        };
+        walkEdges(graphElement);
+
+        edgeGroups.forEach(edgesElement => {
+            childElements(edgesElement, 'edge').forEach(edge => {
+                const { source, target, label, kind, weight } = edge.attributes;
+                if (source === undefined || target === undefined) {
+                    throw new Error('GEXF edge without source and target');
+                }
+
+                const attributes = readAttributes(edge, declarations.edge);
+                if (kind !== undefined) attributes.kind = kind;
+                if (label !== undefined) attributes.label = label;
+                if (weight !== undefined) attributes.weight = Number(weight);
+                graph.addEdge(source, target, attributes);
+            });
+        });
+
+        return graph.toData();
+    }
+});
+
+// ---------------------------------------------------------------------------
+// DOT (Graphviz)
+
+// Split DOT source into ids and punctuation. Quoted strings joined with + are
+// concatenated, HTML strings keep their markup.
+function tokenizeDot(text) {
+    const tokens = [];
+    let i = 0;
+    let line = 1;
+
+    const fail = message => {
+        throw new Error(`Invalid DOT on line ${line}: ${message}`);
+    };
+
+    while (i < text.length) {
+        const char = text[i];
+
+        if (char === '\n') {
+            line++;
+            i++;
+            // Lines starting with # are C preprocessor output and ignored
+            while (text[i] === ' ' || text[i] === '\t') i++;
+            if (text[i] === '#') {
+                while (i < text.length && text[i] !== '\n') i++;
+            }
+        } else if (/\s/.test(char)) {
+            i++;
+        } else if (text.startsWith('//', i) || (char === '#' && tokens.length === 0)) {
+            while (i < text.length && text[i] !== '\n') i++;
+        } else if (text.startsWith('/*', i)) {
+            const end = text.indexOf('*/', i + 2);
+            if (end === -1) fail('unterminated comment');
+            line += text.slice(i, end).split('\n').length - 1;
+            i = end + 2;
+        } else if (text.startsWith('->', i) || text.startsWith('--', i)) {
+            tokens.push({ type: 'edgeop', value: text.slice(i, i + 2), line });
+            i += 2;
+        } else if ('{}[]=;,:'.includes(char)) {
+            tokens.push({ type: char, value: char, line });
+            i++;
+        } else if (char === '"') {
+            let value = '';
+            i++;
+            while (i < text.length && text[i] !== '"') {
+                if (text[i] === '\\' && text[i + 1] === '"') {
+                    value += '"';
+                    i += 2;
+                } else if (text[i] === '\\' && text[i + 1] === '\n') {
+                    // Backslash-newline continues the string on the next line
+                    line++;
+                    i += 2;
+                } else {
+                    if (text[i] === '\n') line++;
+                    value += text[i++];
+                }
+            }
+            if (i >= text.length) fail('unterminated string');
+            i++;
+
+            const previous = tokens[tokens.length - 1];
+            if (previous && previous.type === '+') {
+                tokens.pop();
+                tokens[tokens.length - 1].value += value;
+            } else {
+                tokens.push({ type: 'id', value, line });
+            }
+        } else if (char === '+') {
+            tokens.push({ type: '+', value: char, line });
+            i++;
+        } else if (char === '<') {
+            let depth = 0;
+            const start = i;
+            do {
+                if (text[i] === '<') depth++;
+                else if (text[i] === '>') depth--;
+                else if (text[i] === '\n') line++;
+                i++;
+            } while (i < text.length && depth > 0);
+            if (depth > 0) fail('unterminated HTML string');
+            // Only the text of HTML labels is kept
+            const value = text.slice(start + 1, i - 1).replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+            tokens.push({ type: 'id', value: decodeXmlEntities(value), line });
+        } else {
+            const match = /^(-?(?:\.[0-9]+|[0-9]+(?:\.[0-9]*)?)|[A-Za-z_\u0080-\uffff][A-Za-z_0-9\u0080-\uffff]*)/.exec(text.slice(i, i + 256));
+            if (!match) fail(`unexpected character "${char}"`);
+            tokens.push({ type: 'id', value: match[0], line });
+            i += match[0].length;
+        }
+    }
+
+    return tokens;
+}
+
+function parseDot(text) {
+    const tokens = tokenizeDot(text);
+    let position = 0;
+
+    const peek = (offset = 0) => tokens[position + offset];
+    const isKeyword = (token, keyword) => token && token.type === 'id' && token.value.toLowerCase() === keyword;
+    const fail = message => {
+        const token = peek() || tokens[tokens.length - 1];
+        throw new Error(`Invalid DOT${token ? ` on line ${token.line}` : ''}: ${message}`);
+    };
+    const expect = type => {
+        const token = peek();
+        if (!token || token.type !== type) {
+            fail(`expected "${type}" but found ${token ? `"${token.value}"` : 'end of file'}`);
+        }
+        position++;
+        return token;
+    };
+
+    const graph = createGraphBuilder();
+
+    // [ a=b, c=d ] [ e=f ] ...
+    const parseAttributeLists = () => {
+        const attributes = {};
+        while (peek() && peek().type === '[') {
+            position++;
+            while (peek() && peek().type !== ']') {
+                const key = expect('id').value;
+                let value = 'true';
+                if (peek() && peek().type === '=') {
+                    position++;
+                    value = expect('id').value;
+                }
+                attributes[key] = value;
+                if (peek() && (peek().type === ',' || peek().type === ';')) position++;
+            }
+            expect(']');
+        }
+        return attributes;
+    };
+
+    // Line break escapes (\n, \l, \r) become spaces, EdgeGraph wraps labels itself
+    const cleanLabel = attributes => {
+        if (attributes.label !== undefined) {
+            attributes.label = attributes.label.replace(/\\[nlr]/g, ' ').trim();
+        }
+        return attributes;
+    };
+
+    // Node defaults set with `node [...]` only apply to nodes defined after them
+    const nodeAttributes = (id, defaults, attributes) => {
+        const merged = { ...defaults, ...attributes };
+        if (merged.label === '\\N') merged.label = id;
+        return cleanLabel(merged);
+    };
+
+    const parseNodeId = () => {
+        const id = expect('id').value;
+        // Ports (a:port:compass) don't matter for layout here
+        while (peek() && peek().type === ':') {
+            position++;
+            expect('id');
+        }
+        return id;
+    };
+
+    // A statement list inside braces; returns the ids of every node it mentions
+    const parseStatements = (scope) => {
+        const mentioned = new Set();
+        const defaults = { node: { ...scope.node }, edge: { ...scope.edge } };
+
+        const mentionNode = (id, attributes = {}) => {
+            if (!graph.hasNode(id) || Object.keys(attributes).length > 0) {
+                graph.addNode(id, nodeAttributes(id, graph.hasNode(id) ? {} : defaults.node, attributes));
+            }
+            mentioned.add(id);
+        };
+
+        // A node id or a subgraph, as either end of an edge
+        const parseOperand = () => {
+            if (isKeyword(peek(), 'subgraph') || (peek() && peek().type === '{')) {
+                if (isKeyword(peek(), 'subgraph')) {
+                    position++;
+                    if (peek() && peek().type === 'id') position++;
+                }
+                expect('{');
+                const ids = parseStatements(defaults);
+                expect('}');
+                ids.forEach(id => mentioned.add(id));
+                return [...ids];
+            }
+            const id = parseNodeId();
+            mentionNode(id);
+            return [id];
+        };
+
+        while (peek() && peek().type !== '}') {
+            const token = peek();
+
+            if (token.type === ';' || token.type === ',') {
+                position++;
+                continue;
+            }
+
+            if ((isKeyword(token, 'graph') || isKeyword(token, 'node') || isKeyword(token, 'edge')) &&
+                peek(1) && peek(1).type === '[') {
+                position++;
+                const attributes = parseAttributeLists();
+                const kind = token.value.toLowerCase();
+                if (kind !== 'graph') {
+                    Object.assign(defaults[kind], attributes);
+                }
+                continue;
+            }
+
+            if (token.type === 'id' && peek(1) && peek(1).type === '=') {
+                // Graph attribute such as rankdir=LR
+                position += 2;
+                expect('id');
+                continue;
+            }
+
+            // Peek past the operand to tell a lone node statement from an edge chain
+            const isSubgraph = isKeyword(token, 'subgraph') || token.type === '{';
+            if (!isSubgraph) {
+                const start = position;
+                const id = parseNodeId();
+                if (!(peek() && peek().type === 'edgeop')) {
+                    mentionNode(id, parseAttributeLists());
+                    continue;
+                }
+                position = start;
+            }
+
+            const chain = [parseOperand()];
+            while (peek() && peek().type === 'edgeop') {
+                position++;
+                chain.push(parseOperand());
+            }
+            const attributes = cleanLabel({ ...defaults.edge, ...parseAttributeLists() });
+            for (let i = 0; i < chain.length - 1; i++) {
+                chain[i].forEach(source => {
+                    chain[i + 1].forEach(target => graph.addEdge(source, target, attributes));
+                });
+            }
+        }
+
+        return mentioned;
+    };
+
+    if (isKeyword(peek(), 'strict')) position++;
+    if (!isKeyword(peek(), 'graph') && !isKeyword(peek(), 'digraph')) {
+        fail('expected "graph" or "digraph"');
+    }
+    position++;
+    if (peek() && peek().type === 'id') position++;
+    expect('{');
+    parseStatements({ node: {}, edge: {} });
+    expect('}');
+
+    return graph.toData();
+}
+
+registerImporter('dot', {
+    extensions: ['.dot', '.gv'],
+    parse: parseDot
+});
+
+module.exports = {
+    importGraph,
+    registerImporter,
+    detectInputFormat,
+    getInputFormats
+};
@@ -0,0 +1,100 @@
+// Helpers for --inline output: everything the page needs is embedded in the HTML
+// file, so it works offline, on air-gapped machines and as an email attachment.
+
+const fs = require('fs');
+const path = require('path');
+
+// The d3 modules EdgeGraph uses, with their dependencies first. Each UMD build adds
+// itself to the global d3 object and picks up its dependencies from it.
+const D3_MODULES = [
+    'd3-dispatch',
+    'd3-timer',
+    'd3-quadtree',
+    'd3-random',
+    'd3-force',
+    'd3-selection',
+    'd3-color',
+    'd3-interpolate',
+    'd3-ease',
+    'd3-transition',
+    'd3-drag',
+    'd3-zoom'
+];
+
+const IMAGE_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml',
+    '.webp': 'image/webp'
+};
+
+// Find the minified UMD build of a d3 module in node_modules
+function findD3Module(name) {
+    const file = path.join(name, 'dist', `${name}.min.js`);
+    const searchPaths = require.resolve.paths(name) || [];
+    for (const directory of searchPaths) {
+        const candidate = path.join(directory, file);
+        if (fs.existsSync(candidate)) {
+            return candidate;
+        }
+    }
+    throw new Error(`Cannot find ${file}, run npm install to use --inline`);
+}
+
+// The d3 subset as a single script
+function bundleD3() {
+    return D3_MODULES.map(name => fs.readFileSync(findD3Module(name), 'utf8')).join('\n');
+}
+
+// Keep inlined code from closing the surrounding <script> element early
+function escapeScript(source) {
+    return source.replace(/<\/(script)/gi, '<\\/$1');
+}
+
+// Read an image from a URL or a local path and return it as a data URI
+async function toDataUri(url, baseDirectory) {
+    if (url.startsWith('data:')) {
+        return url;
+    }
+
+    if (/^https?:\/\//i.test(url)) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`${response.status} ${response.statusText}`);
+        }
+        const type = (response.headers.get('content-type') || '').split(';')[0] ||
+            IMAGE_TYPES[path.extname(new URL(url).pathname).toLowerCase()] ||
+            'application/octet-stream';
+        const bytes = Buffer.from(await response.arrayBuffer());
+        return `data:${type};base64,${bytes.toString('base64')}`;
+    }
+
+    // Relative paths resolve against the page, like the browser would
+    const filePath = url.startsWith('file://') ? new URL(url) : path.resolve(baseDirectory, url);
+    const type = IMAGE_TYPES[path.extname(String(filePath)).toLowerCase()] || 'application/octet-stream';
+    return `data:${type};base64,${fs.readFileSync(filePath).toString('base64')}`;
+}
+
+// Replace the configured logo URL with a data URI. The data is left untouched
+// (and the page keeps loading the logo from its URL) if it can't be read.
+async function inlineLogo(data, baseDirectory) {
+    const logo = data.configuration && data.configuration.logo;
+    if (!logo || !logo.url) {
+        return data;
+    }
+
+    try {
+        const url = await toDataUri(logo.url, baseDirectory);
+        return {
+            ...data,
+            configuration: { ...data.configuration, logo: { ...logo, url } }
+        };
+    } catch (error) {
+        console.warn(`Could not inline logo ${logo.url}, the page will load it from there:`, error.message);
+        return data;
+    }
+}
+
+module.exports = { bundleD3, escapeScript, inlineLogo, D3_MODULES };
@@ -0,0 +1,304 @@
+// Position calculations for the structured layouts. Each layout takes the nodes and
+// links to arrange plus spacing options, and returns a Map of node -> { x, y } centred
+// on (0, 0). EdgeGraph moves the nodes there and keeps them in place with forces.
+
+const LAYOUT_MODES = ['default', 'force', 'hierarchical', 'radial', 'circular', 'grid'];
+
+// Group nodes by type, in the given type order, then by label so layouts are stable
+function sortByTypeAndLabel(nodes, getType, typeOrder = []) {
+    const rank = new Map(typeOrder.map((type, index) => [type, index]));
+    const typeRank = type => (rank.has(type) ? rank.get(type) : typeOrder.length);
+
+    return [...nodes].sort((a, b) => {
+        const typeA = getType(a);
+        const typeB = getType(b);
+        return typeRank(typeA) - typeRank(typeB) ||
+            typeA.localeCompare(typeB) ||
+            String(a.label).localeCompare(String(b.label));
+    });
+}
+
+// Layer index per node, starting from the levels computeNodeHierarchy assigned. Edges
+// that close a cycle are ignored, every other edge is made to point at a lower layer.
+function assignLayers(nodes, links) {
+    const nodeSet = new Set(nodes);
+    const outgoing = new Map(nodes.map(node => [node, []]));
+    links.forEach(link => {
+        if (link.source !== link.target && nodeSet.has(link.source) && nodeSet.has(link.target)) {
+            outgoing.get(link.source).push(link.target);
+        }
+    });
+
+    // Depth-first search to find the edges that point back up the current path
+    const backEdges = new Map(nodes.map(node => [node, new Set()]));
+    const state = new Map(); // node -> 'active' while on the path, 'done' afterwards
+    nodes.forEach(start => {
+        if (state.has(start)) return;
+        const stack = [{ node: start, index: 0 }];
+        state.set(start, 'active');
+        while (stack.length > 0) {
+            const frame = stack[stack.length - 1];
+            const targets = outgoing.get(frame.node);
+            if (frame.index < targets.length) {
+                const target = targets[frame.index++];
+                if (state.get(target) === 'active') {
+                    backEdges.get(frame.node).add(target);
+                } else if (!state.has(target)) {
+                    state.set(target, 'active');
+                    stack.push({ node: target, index: 0 });
+                }
+            } else {
+                state.set(frame.node, 'done');
+                stack.pop();
+            }
+        }
+    });
+
+    const forwardEdges = [];
+    outgoing.forEach((targets, source) => {
+        targets.forEach(target => {
+            if (!backEdges.get(source).has(target)) {
+                forwardEdges.push([source, target]);
+            }
+        });
+    });
+
+    // Push targets below their sources until every forward edge points down
+    const layer = new Map(nodes.map(node => [node, node.level || 0]));
+    for (let pass = 0; pass < nodes.length; pass++) {
+        let changed = false;
+        forwardEdges.forEach(([source, target]) => {
+            if (layer.get(target) <= layer.get(source)) {
+                layer.set(target, layer.get(source) + 1);
+                changed = true;
+            }
+        });
+        if (!changed) break;
+    }
+
+    // Close gaps left by empty layers
+    const used = [...new Set(layer.values())].sort((a, b) => a - b);
+    const compact = new Map(used.map((value, i) => [value, i]));
+    layer.forEach((value, node) => layer.set(node, compact.get(value)));
+    return layer;
+}
+
+// Number of crossings between the edges of two adjacent layers
+function countCrossings(edges, position) {
+    let crossings = 0;
+    for (let i = 0; i < edges.length; i++) {
+        const [a1, b1] = edges[i];
+        for (let j = i + 1; j < edges.length; j++) {
+            const [a2, b2] = edges[j];
+            if ((position.get(a1) - position.get(a2)) * (position.get(b1) - position.get(b2)) < 0) {
+                crossings++;
+            }
+        }
+    }
+    return crossings;
+}
+
+// Layered layout: levels from top to bottom (or left to right), with the order inside
+// each level chosen by barycenter sweeps to reduce edge crossings
+function layoutHierarchical(nodes, links, { nodeSpacing, levelSpacing, direction = 'TB', getType, typeOrder }) {
+    const layerOf = assignLayers(nodes, links);
+    const layerCount = Math.max(0, ...layerOf.values()) + 1;
+    const layers = Array.from({ length: layerCount }, () => []);
+    sortByTypeAndLabel(nodes, getType, typeOrder).forEach(node => layers[layerOf.get(node)].push(node));
+
+    // Edges spanning several layers get a placeholder in every layer they pass through,
+    // so each edge only connects neighbouring layers while ordering
+    const segments = Array.from({ length: layerCount }, () => []); // segments[i] connect layer i and i + 1
+    links.forEach(link => {
+        if (!layerOf.has(link.source) || !layerOf.has(link.target) || link.source === link.target) return;
+        let [upper, lower] = [link.source, link.target];
+        if (layerOf.get(upper) > layerOf.get(lower)) [upper, lower] = [lower, upper];
+        const from = layerOf.get(upper);
+        const to = layerOf.get(lower);
+        if (from === to) return;
+
+        let previous = upper;
+        for (let layer = from + 1; layer < to; layer++) {
+            const placeholder = { placeholder: true };
+            layers[layer].push(placeholder);
+            segments[layer - 1].push([previous, placeholder]);
+            previous = placeholder;
+        }
+        segments[to - 1].push([previous, lower]);
+    });
+
+    const position = new Map(); // Index of every node and placeholder within its layer
+    layers.forEach(layer => layer.forEach((item, i) => position.set(item, i)));
+
+    const totalCrossings = () => segments.reduce((sum, edges) => sum + countCrossings(edges, position), 0);
+
+    // Reorder one layer by the mean position of its neighbours in the adjacent layer
+    const reorder = (layerIndex, edges, neighbourEnd) => {
+        const sums = new Map();
+        edges.forEach(edge => {
+            const item = edge[1 - neighbourEnd];
+            const entry = sums.get(item) || { total: 0, count: 0 };
+            entry.total += position.get(edge[neighbourEnd]);
+            entry.count++;
+            sums.set(item, entry);
+        });
+
+        // Items without neighbours there keep their current position
+        const barycenter = item => {
+            const entry = sums.get(item);
+            return entry ? entry.total / entry.count : position.get(item);
+        };
+        layers[layerIndex].sort((a, b) => barycenter(a) - barycenter(b));
+        layers[layerIndex].forEach((item, i) => position.set(item, i));
+    };
+
+    let best = layers.map(layer => [...layer]);
+    let bestCrossings = totalCrossings();
+    for (let iteration = 0; iteration < 12 && bestCrossings > 0; iteration++) {
+        for (let i = 1; i < layerCount; i++) reorder(i, segments[i - 1], 0);
+        for (let i = layerCount - 2; i >= 0; i--) reorder(i, segments[i], 1);
+
+        const crossings = totalCrossings();
+        if (crossings < bestCrossings) {
+            bestCrossings = crossings;
+            best = layers.map(layer => [...layer]);
+        }
+    }
+
+    const positions = new Map();
+    best.forEach((layer, layerIndex) => {
+        const layerNodes = layer.filter(item => !item.placeholder);
+        const along = (layerIndex - (layerCount - 1) / 2) * levelSpacing;
+        layerNodes.forEach((node, i) => {
+            const across = (i - (layerNodes.length - 1) / 2) * nodeSpacing;
+            positions.set(node, direction === 'LR' ? { x: along, y: across } : { x: across, y: along });
+        });
+    });
+    return positions;
+}
+
+// Rings around a root node by (undirected) distance. Each subtree gets a slice of the
+// circle proportional to its number of leaves, so branches don't overlap.
+function layoutRadial(nodes, links, { root, nodeSpacing, levelSpacing }) {
+    const positions = new Map();
+    if (nodes.length === 0) return positions;
+
+    const neighbours = new Map(nodes.map(node => [node, []]));
+    links.forEach(link => {
+        if (neighbours.has(link.source) && neighbours.has(link.target) && link.source !== link.target) {
+            neighbours.get(link.source).push(link.target);
+            neighbours.get(link.target).push(link.source);
+        }
+    });
+
+    // Breadth-first spanning tree from the root
+    const center = neighbours.has(root) ? root : nodes[0];
+    const depth = new Map([[center, 0]]);
+    const children = new Map(nodes.map(node => [node, []]));
+    const queue = [center];
+    while (queue.length > 0) {
+        const node = queue.shift();
+        neighbours.get(node).forEach(next => {
+            if (depth.has(next)) return;
+            depth.set(next, depth.get(node) + 1);
+            children.get(node).push(next);
+            queue.push(next);
+        });
+    }
+
+    // Nodes that can't be reached from the root share the ring outside the tree
+    const maxDepth = Math.max(...depth.values());
+    const unreachable = nodes.filter(node => !depth.has(node));
+    unreachable.forEach(node => depth.set(node, maxDepth + 1));
+
+    // Ring radii grow with depth and are widened when a ring has too many nodes for it
+    const ringSizes = [];
+    depth.forEach(d => { ringSizes[d] = (ringSizes[d] || 0) + 1; });
+    const radii = [0];
+    for (let d = 1; d < ringSizes.length; d++) {
+        radii[d] = Math.max(radii[d - 1] + levelSpacing, (ringSizes[d] || 0) * nodeSpacing / (2 * Math.PI));
+    }
+
+    const leaves = new Map();
+    const countLeaves = node => {
+        const count = children.get(node).reduce((sum, child) => sum + countLeaves(child), 0) || 1;
+        leaves.set(node, count);
+        return count;
+    };
+    countLeaves(center);
+
+    const place = (node, start, end) => {
+        const angle = (start + end) / 2;
+        const radius = radii[depth.get(node)];
+        positions.set(node, { x: radius * Math.cos(angle), y: radius * Math.sin(angle) });
+
+        let cursor = start;
+        children.get(node).forEach(child => {
+            const share = (end - start) * leaves.get(child) / leaves.get(node);
+            place(child, cursor, cursor + share);
+            cursor += share;
+        });
+    };
+    place(center, -Math.PI / 2, Math.PI * 1.5);
+
+    const outerRadius = radii[maxDepth + 1];
+    unreachable.forEach((node, i) => {
+        const angle = -Math.PI / 2 + (2 * Math.PI * i) / unreachable.length;
+        positions.set(node, { x: outerRadius * Math.cos(angle), y: outerRadius * Math.sin(angle) });
+    });
+
+    return positions;
+}
+
+// One circle with the nodes of each type next to each other and a gap between types
+function layoutCircular(nodes, links, { nodeSpacing, getType, typeOrder }) {
+    const positions = new Map();
+    const sorted = sortByTypeAndLabel(nodes, getType, typeOrder);
+    const typeCount = new Set(sorted.map(getType)).size;
+
+    const gaps = typeCount > 1 ? typeCount : 0;
+    const slots = sorted.length + gaps;
+    const radius = Math.max(nodeSpacing, (slots * nodeSpacing) / (2 * Math.PI));
+
+    let slot = 0;
+    sorted.forEach((node, i) => {
+        if (gaps > 0 && i > 0 && getType(node) !== getType(sorted[i - 1])) {
+            slot++;
+        }
+        const angle = -Math.PI / 2 + (2 * Math.PI * slot) / slots;
+        positions.set(node, { x: radius * Math.cos(angle), y: radius * Math.sin(angle) });
+        slot++;
+    });
+
+    return positions;
+}
+
+// Rows of nodes sorted by type, shaped to roughly match the view's aspect ratio
+function layoutGrid(nodes, links, { nodeSpacing, getType, typeOrder, aspectRatio = 1 }) {
+    const positions = new Map();
+    const sorted = sortByTypeAndLabel(nodes, getType, typeOrder);
+    const columns = Math.max(1, Math.round(Math.sqrt(sorted.length * aspectRatio)));
+    const rows = Math.ceil(sorted.length / columns);
+
+    sorted.forEach((node, i) => {
+        const column = i % columns;
+        const row = Math.floor(i / columns);
+        positions.set(node, {
+            x: (column - (columns - 1) / 2) * nodeSpacing,
+            y: (row - (rows - 1) / 2) * nodeSpacing
+        });
+    });
+
+    return positions;
+}
+
+const STRUCTURED_LAYOUTS = {
+    hierarchical: layoutHierarchical,
+    radial: layoutRadial,
+    circular: layoutCircular,
+    grid: layoutGrid
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LAYOUT_MODES, STRUCTURED_LAYOUTS };
+}
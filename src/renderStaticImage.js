@@ -0,0 +1,119 @@
+// Render a graph to a static image in Node, without a browser. The layout runs to
+// convergence with the same forces as in the browser and is drawn by the same
+// EdgeGraph draw routines, so images match the interactive view.
+
+const { SvgContext, PdfContext } = require('./vectorContext');
+const { validateGraphData, formatValidationIssue } = require('./validateGraphData');
+const { LAYOUT_MODES, STRUCTURED_LAYOUTS } = require('./layouts');
+const { typeClusterForce, relationshipForce } = require('./forces');
+const { EDGE_STYLES, placeLabels } = require('./edgeRouting');
+const { parseEncodings, createEncodings, getShapeExtent, traceNodeShape, shapeContains, distanceToOutline } = require('./encodings');
+const { THEMES, THEME_NAMES, resolveTheme, getTextColorOn } = require('./themes');
+const EdgeGraph = require('./edgeGraph');
+
+const IMAGE_FORMATS = ['png', 'svg', 'pdf'];
+
+// PNG output needs a native canvas; it's an optional dependency so SVG and PDF work without it
+function loadCanvasModule() {
+    try {
+        return require('@napi-rs/canvas');
+    } catch (error) {
+        return null;
+    }
+}
+
+// EdgeGraph is written as a browser script and expects d3 and its sibling scripts as globals
+async function installGlobals() {
+    if (!globalThis.d3) {
+        globalThis.d3 = await import('d3');
+    }
+    globalThis.SvgContext = SvgContext;
+    globalThis.PdfContext = PdfContext;
+    globalThis.validateGraphData = validateGraphData;
+    globalThis.formatValidationIssue = formatValidationIssue;
+    globalThis.LAYOUT_MODES = LAYOUT_MODES;
+    globalThis.STRUCTURED_LAYOUTS = STRUCTURED_LAYOUTS;
+    globalThis.typeClusterForce = typeClusterForce;
+    globalThis.relationshipForce = relationshipForce;
+    globalThis.EDGE_STYLES = EDGE_STYLES;
+    globalThis.placeLabels = placeLabels;
+    globalThis.parseEncodings = parseEncodings;
+    globalThis.createEncodings = createEncodings;
+    globalThis.getShapeExtent = getShapeExtent;
+    globalThis.traceNodeShape = traceNodeShape;
+    globalThis.shapeContains = shapeContains;
+    globalThis.distanceToOutline = distanceToOutline;
+    globalThis.THEMES = THEMES;
+    globalThis.THEME_NAMES = THEME_NAMES;
+    globalThis.resolveTheme = resolveTheme;
+    globalThis.getTextColorOn = getTextColorOn;
+}
+
+// Load the configured logo through the canvas module, with the extra fields the
+// SVG and PDF contexts need to embed it
+async function loadLogo(url, canvasModule) {
+    if (!canvasModule) {
+        console.warn('Skipping logo: install @napi-rs/canvas to include it in static images');
+        return null;
+    }
+
+    try {
+        const image = await canvasModule.loadImage(url);
+        const scratch = canvasModule.createCanvas(image.width, image.height);
+        const ctx = scratch.getContext('2d');
+        ctx.drawImage(image, 0, 0);
+
+        image.complete = true;
+        image.dataUrl = scratch.toDataURL('image/png');
+        image.pixels = ctx.getImageData(0, 0, image.width, image.height).data;
+        return image;
+    } catch (error) {
+        console.warn('Skipping logo, it could not be loaded:', error.message);
+        return null;
+    }
+}
+
+async function renderStaticImage(data, { format = 'png', scale = 2, width, height, seed, layout, layoutOptions, edgeStyle, theme } = {}) {
+    if (!IMAGE_FORMATS.includes(format)) {
+        throw new Error(`Unsupported image format "${format}", expected one of: ${IMAGE_FORMATS.join(', ')}`);
+    }
+
+    const canvasModule = loadCanvasModule();
+    if (format === 'png' && !canvasModule) {
+        throw new Error('PNG output needs the optional @napi-rs/canvas package: npm install @napi-rs/canvas');
+    }
+
+    await installGlobals();
+
+    const graph = new EdgeGraph(null, data, { headless: true, width, height, seed, layout, layoutOptions, edgeStyle, theme });
+    graph.runToConvergence();
+
+    if (graph.options.logoUrl) {
+        graph.logoImage = await loadLogo(graph.options.logoUrl, canvasModule);
+    }
+
+    if (format === 'svg') {
+        return Buffer.from(graph.exportSVG({ fullGraph: true }), 'utf8');
+    }
+
+    if (format === 'pdf') {
+        // PdfContext reads raw pixels from { width, height, data } objects
+        if (graph.logoImage) {
+            const { width: logoWidth, height: logoHeight, pixels } = graph.logoImage;
+            graph.logoImage = { width: logoWidth, height: logoHeight, data: pixels, complete: true };
+        }
+        const createCanvas = canvasModule ? (canvasWidth, canvasHeight) => canvasModule.createCanvas(canvasWidth, canvasHeight) : null;
+        return Buffer.from(graph.exportPDF({ fullGraph: true, createCanvas }));
+    }
+
+    const view = graph.getExportView({ fullGraph: true });
+    const safeScale = graph.clampExportScale(view, scale);
+    const canvas = canvasModule.createCanvas(
+        Math.round(view.width * safeScale),
+        Math.round(view.height * safeScale)
+    );
+    graph.renderToContext(canvas.getContext('2d'), { ...view, pixelRatio: safeScale });
+    return canvas.encode('png');
+}
+
+module.exports = { renderStaticImage, IMAGE_FORMATS };
@@ -0,0 +1,186 @@
+// Colours and fonts of everything EdgeGraph draws, on the canvas and in its overlays. The
+// built-in themes can be picked by name, or used as the base of a custom theme that
+// replaces some of their values.
+
+// Okabe-Ito colours, told apart with every common colour vision deficiency. Types without
+// a colour in the data take these in turn.
+const COLOR_BLIND_SAFE_PALETTE = ['#0072b2', '#e69f00', '#009e73', '#cc79a7', '#56b4e9', '#d55e00', '#f0e442'];
+
+const THEMES = {
+    dark: {
+        background: '#1a1a1a',
+        edge: '#ffffff', // Links and their labels, unless their colour is encoded
+        labelHalo: 'rgba(26, 26, 26, 0.8)', // Behind edge labels
+        lineWidth: 2,
+        nodeText: '#ffffff', // Labels on nodes, and on dark title bars
+        nodeTextOnLight: '#1a1a1a', // The same on light ones
+        nodeOutline: null, // Drawn around every node without an encoded border
+        nodeBorder: '#ffffff', // Encoded border widths without an encoded colour
+        highlight: '#4fc3f7', // Hovered and selected links and nodes
+        badge: '#ffffff', // Collapsed count badges and pin heads
+        badgeText: '#333333',
+        pin: '#e53935',
+        overlayBackground: 'rgba(0, 0, 0, 0.6)', // Legend, toolbars and hints over the graph
+        overlayText: '#ffffff',
+        overlayButton: 'rgba(255, 255, 255, 0.2)',
+        button: '#ffffff',
+        buttonText: '#333333',
+        panelBackground: '#ffffff', // Info box, search results and edit panel
+        panelText: '#333333',
+        mutedText: '#666666',
+        panelBorder: '#cccccc',
+        panelButton: '#eeeeee',
+        panelActive: '#e8f4fd', // Chosen search result
+        shadow: 'rgba(0, 0, 0, 0.3)',
+        fontFamily: 'Arial, sans-serif',
+        palette: COLOR_BLIND_SAFE_PALETTE
+    },
+    light: {
+        background: '#f7f7f7',
+        edge: '#555555',
+        labelHalo: 'rgba(247, 247, 247, 0.85)',
+        lineWidth: 2,
+        nodeText: '#ffffff',
+        nodeTextOnLight: '#1a1a1a',
+        nodeOutline: null,
+        nodeBorder: '#333333',
+        highlight: '#0277bd',
+        badge: '#ffffff',
+        badgeText: '#333333',
+        pin: '#e53935',
+        overlayBackground: 'rgba(255, 255, 255, 0.85)',
+        overlayText: '#333333',
+        overlayButton: 'rgba(0, 0, 0, 0.08)',
+        button: '#e8e8e8',
+        buttonText: '#333333',
+        panelBackground: '#ffffff',
+        panelText: '#333333',
+        mutedText: '#666666',
+        panelBorder: '#cccccc',
+        panelButton: '#eeeeee',
+        panelActive: '#e1effa',
+        shadow: 'rgba(0, 0, 0, 0.2)',
+        fontFamily: 'Arial, sans-serif',
+        palette: COLOR_BLIND_SAFE_PALETTE
+    },
+    // Black on white with outlined nodes, for paper and documents
+    print: {
+        background: '#ffffff',
+        edge: '#000000',
+        labelHalo: 'rgba(255, 255, 255, 0.9)',
+        lineWidth: 1.5,
+        nodeText: '#ffffff',
+        nodeTextOnLight: '#000000',
+        nodeOutline: '#000000',
+        nodeBorder: '#000000',
+        highlight: '#0072b2',
+        badge: '#ffffff',
+        badgeText: '#000000',
+        pin: '#d55e00',
+        overlayBackground: 'rgba(255, 255, 255, 0.9)',
+        overlayText: '#000000',
+        overlayButton: 'rgba(0, 0, 0, 0.08)',
+        button: '#e8e8e8',
+        buttonText: '#000000',
+        panelBackground: '#ffffff',
+        panelText: '#000000',
+        mutedText: '#555555',
+        panelBorder: '#999999',
+        panelButton: '#eeeeee',
+        panelActive: '#e1effa',
+        shadow: 'rgba(0, 0, 0, 0.2)',
+        fontFamily: 'Helvetica, Arial, sans-serif',
+        palette: COLOR_BLIND_SAFE_PALETTE
+    },
+    // Pure black and white with outlined nodes and wider lines
+    highContrast: {
+        background: '#000000',
+        edge: '#ffffff',
+        labelHalo: '#000000',
+        lineWidth: 3,
+        nodeText: '#ffffff',
+        nodeTextOnLight: '#000000',
+        nodeOutline: '#ffffff',
+        nodeBorder: '#ffffff',
+        highlight: '#ffff00',
+        badge: '#ffffff',
+        badgeText: '#000000',
+        pin: '#ff3030',
+        overlayBackground: '#000000',
+        overlayText: '#ffffff',
+        overlayButton: '#333333',
+        button: '#ffffff',
+        buttonText: '#000000',
+        panelBackground: '#000000',
+        panelText: '#ffffff',
+        mutedText: '#e0e0e0',
+        panelBorder: '#ffffff',
+        panelButton: '#333333',
+        panelActive: '#333333',
+        shadow: 'rgba(0, 0, 0, 0)',
+        fontFamily: 'Arial, sans-serif',
+        palette: COLOR_BLIND_SAFE_PALETTE
+    }
+};
+
+const THEME_NAMES = Object.keys(THEMES);
+
+// Turn a theme setting into a complete theme. The setting is a theme name, 'auto' for dark
+// or light following the system's colour scheme, or an object with the values to replace
+// and the `base` theme they replace them in ('auto' when left out).
+// Returns { theme, issues }; anything invalid is reported and replaced by the base's value.
+function resolveTheme(spec = 'auto', { prefersLight = false } = {}) {
+    const issues = [];
+    const overrides = spec && typeof spec === 'object' && !Array.isArray(spec) ? spec : {};
+    let base = spec === overrides ? overrides.base || 'auto' : spec;
+    if (base === 'auto') {
+        base = prefersLight ? 'light' : 'dark';
+    }
+    if (!THEMES[base]) {
+        issues.push(`unknown theme ${JSON.stringify(base)}, expected auto or one of ${THEME_NAMES.join(', ')}`);
+        base = prefersLight ? 'light' : 'dark';
+    }
+
+    const theme = { ...THEMES[base], name: base };
+    Object.entries(overrides).forEach(([key, value]) => {
+        if (key === 'base') return;
+        if (!(key in THEMES.dark)) {
+            issues.push(`unknown theme value "${key}", it is left out`);
+        } else if (key === 'palette') {
+            if (Array.isArray(value) && value.length > 0 && value.every(color => typeof color === 'string')) {
+                theme.palette = value;
+            } else {
+                issues.push('palette must be a non-empty array of colors, it is left out');
+            }
+        } else if (key === 'lineWidth') {
+            if (typeof value === 'number' && value > 0) {
+                theme.lineWidth = value;
+            } else {
+                issues.push('lineWidth must be a number above 0, it is left out');
+            }
+        } else if (typeof value === 'string' || (key === 'nodeOutline' && value === null)) {
+            theme[key] = value;
+        } else {
+            issues.push(`${key} must be a string, it is left out`);
+        }
+    });
+    return { theme, issues };
+}
+
+// Text colour that reads best on a background colour: the theme's regular node text, or
+// its dark variant on light colours
+function getTextColorOn(color, theme) {
+    const rgb = d3.color(color);
+    if (!rgb) return theme.nodeText;
+    const { r, g, b } = rgb.rgb();
+    const channel = value => {
+        const share = value / 255;
+        return share <= 0.03928 ? share / 12.92 : ((share + 0.055) / 1.055) ** 2.4;
+    };
+    const luminance = 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+    return luminance > 0.4 ? theme.nodeTextOnLight : theme.nodeText;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { THEMES, THEME_NAMES, COLOR_BLIND_SAFE_PALETTE, resolveTheme, getTextColorOn };
+}
@@ -0,0 +1,202 @@
+// Validation of graph data in the { nodes, edges, colors } format, shared by the
+// generator and EdgeGraph. Every problem is reported with the JSON path of the
+// offending value, e.g. "$.edges[4].target_node_id: references unknown node 99".
+//
+// In strict mode any problem is an error and no data is returned. In lenient mode
+// bad nodes and edges are dropped (a node with a bad saved position only loses the
+// position), the problems become warnings and the remaining data is returned.
+// Data that isn't graph-shaped at all is an error in both modes.
+
+const VALIDATION_MODES = ['strict', 'lenient'];
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// $.colors.Actor, or $.colors["Film Noir"] for keys that aren't identifiers
+function jsonPathKey(path, key) {
+    return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+function describeId(id) {
+    return typeof id === 'string' ? `"${id}"` : String(id);
+}
+
+function formatValidationIssue(issue) {
+    return `${issue.path}: ${issue.message}`;
+}
+
+// Problems with the optional x, y and fixed fields of a node
+function checkPosition(node, path) {
+    const issues = [];
+    if (node.x !== undefined || node.y !== undefined) {
+        ['x', 'y'].forEach(axis => {
+            if (node[axis] === undefined) {
+                issues.push([`${path}.${axis}`, `missing ${axis}, a position needs both x and y`]);
+            } else if (typeof node[axis] !== 'number' || !Number.isFinite(node[axis])) {
+                issues.push([`${path}.${axis}`, `${axis} must be a finite number`]);
+            }
+        });
+    }
+    if (node.fixed !== undefined) {
+        if (typeof node.fixed !== 'boolean') {
+            issues.push([`${path}.fixed`, 'fixed must be true or false']);
+        } else if (node.fixed && node.x === undefined && node.y === undefined) {
+            issues.push([`${path}.fixed`, 'fixed nodes need x and y']);
+        }
+    }
+    return issues;
+}
+
+// existingIds are the ids of nodes that are already loaded, for checking additions to a
+// graph: new nodes can't reuse them and new edges can point at them.
+function validateGraphData(data, { mode = 'strict', existingIds = [] } = {}) {
+    if (!VALIDATION_MODES.includes(mode)) {
+        throw new Error(`Unknown validation mode "${mode}", expected one of: ${VALIDATION_MODES.join(', ')}`);
+    }
+
+    const lenient = mode === 'lenient';
+    const errors = [];
+    const warnings = [];
+    const dropped = { nodes: 0, edges: 0 };
+    // Problems with single records are dropped in lenient mode, so they're only warnings
+    const recordIssues = lenient ? warnings : errors;
+    const report = (list, path, message) => list.push({ path, message });
+
+    if (!isPlainObject(data)) {
+        report(errors, '$', 'graph data must be an object with nodes and edges');
+        return { data: null, errors, warnings, dropped };
+    }
+    if (!Array.isArray(data.nodes)) {
+        report(errors, '$.nodes', data.nodes === undefined ? 'missing nodes array' : 'nodes must be an array');
+    }
+    if (!Array.isArray(data.edges)) {
+        report(errors, '$.edges', data.edges === undefined ? 'missing edges array' : 'edges must be an array');
+    }
+    if (errors.length > 0) {
+        return { data: null, errors, warnings, dropped };
+    }
+
+    // Colors are optional; types without one get a color from the theme's palette
+    const colors = {};
+    if (data.colors === undefined) {
+        report(warnings, '$.colors', 'missing colors map, every type will get a color from the theme');
+    } else if (!isPlainObject(data.colors)) {
+        report(recordIssues, '$.colors', 'colors must be an object mapping node types to colors');
+    } else {
+        Object.entries(data.colors).forEach(([type, color]) => {
+            if (typeof color === 'string') {
+                colors[type] = color;
+            } else {
+                report(recordIssues, jsonPathKey('$.colors', type), 'color must be a string');
+            }
+        });
+    }
+
+    // First pass over the ids so edges can tell unknown nodes from ones dropped below
+    const firstUse = new Map([...existingIds].map(id => [id, 'a node in the graph']));
+    const nodes = [];
+    data.nodes.forEach((node, index) => {
+        const path = `$.nodes[${index}]`;
+        const issues = [];
+
+        if (!isPlainObject(node)) {
+            issues.push([path, 'node must be an object']);
+        } else {
+            if (node.id === undefined || node.id === null) {
+                issues.push([`${path}.id`, 'missing id']);
+            } else if (typeof node.id !== 'string' && typeof node.id !== 'number') {
+                issues.push([`${path}.id`, 'id must be a string or a number']);
+            } else if (firstUse.has(node.id)) {
+                issues.push([`${path}.id`, `duplicate id ${describeId(node.id)}, already used by ${firstUse.get(node.id)}`]);
+            } else {
+                firstUse.set(node.id, path);
+            }
+
+            if (node.label === undefined || node.label === null) {
+                issues.push([`${path}.label`, 'missing label']);
+            } else if (typeof node.label !== 'string') {
+                issues.push([`${path}.label`, 'label must be a string']);
+            }
+
+            if (node.properties !== undefined && !isPlainObject(node.properties)) {
+                issues.push([`${path}.properties`, 'properties must be an object']);
+            } else if (node.properties && node.properties.type !== undefined && typeof node.properties.type !== 'string') {
+                issues.push([`${path}.properties.type`, 'type must be a string']);
+            }
+        }
+
+        issues.forEach(([issuePath, message]) => report(recordIssues, issuePath, message));
+        if (issues.length > 0) {
+            dropped.nodes++;
+            return;
+        }
+
+        // A saved position is optional, so lenient mode keeps the node and drops the position
+        const positionIssues = checkPosition(node, path);
+        positionIssues.forEach(([issuePath, message]) => report(recordIssues, issuePath, message));
+        let cleaned = node.properties ? node : { ...node, properties: {} };
+        if (positionIssues.length > 0) {
+            const { x, y, fixed, ...rest } = cleaned;
+            cleaned = rest;
+        }
+        nodes.push(cleaned);
+    });
+
+    // In lenient mode edges can only point at nodes that made it through
+    const keptIds = new Set([...existingIds, ...nodes.map(node => node.id)]);
+    const checkEndpoint = (edge, field, path, issues) => {
+        const id = edge[field];
+        if (id === undefined || id === null) {
+            issues.push([`${path}.${field}`, `missing ${field}`]);
+        } else if (!(lenient ? keptIds : firstUse).has(id)) {
+            let message = `references unknown node ${describeId(id)}`;
+            if (firstUse.has(id)) {
+                message = `references node ${describeId(id)}, which was dropped`;
+            } else if (firstUse.has(String(id)) || firstUse.has(Number(id))) {
+                // 1 and "1" are different ids, which is an easy mistake to make
+                message += `; ids are compared with their type, check for a number/string mismatch`;
+            }
+            issues.push([`${path}.${field}`, message]);
+        }
+    };
+
+    const edges = [];
+    data.edges.forEach((edge, index) => {
+        const path = `$.edges[${index}]`;
+        const issues = [];
+
+        if (!isPlainObject(edge)) {
+            issues.push([path, 'edge must be an object']);
+        } else {
+            checkEndpoint(edge, 'source_node_id', path, issues);
+            checkEndpoint(edge, 'target_node_id', path, issues);
+
+            if (edge.relationship_name === undefined || edge.relationship_name === null) {
+                issues.push([`${path}.relationship_name`, 'missing relationship_name']);
+            } else if (typeof edge.relationship_name !== 'string') {
+                issues.push([`${path}.relationship_name`, 'relationship_name must be a string']);
+            }
+
+            if (edge.properties !== undefined && !isPlainObject(edge.properties)) {
+                issues.push([`${path}.properties`, 'properties must be an object']);
+            }
+        }
+
+        issues.forEach(([issuePath, message]) => report(recordIssues, issuePath, message));
+        if (issues.length > 0) {
+            dropped.edges++;
+        } else {
+            edges.push(edge.properties ? edge : { ...edge, properties: {} });
+        }
+    });
+
+    if (errors.length > 0) {
+        return { data: null, errors, warnings, dropped };
+    }
+    return { data: { ...data, nodes, edges, colors }, errors, warnings, dropped };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { validateGraphData, formatValidationIssue, VALIDATION_MODES };
+}
@@ -0,0 +1,760 @@
+// Drawing contexts that record vector output instead of pixels. They implement the
+// subset of CanvasRenderingContext2D used by EdgeGraph, so the regular draw routines
+// can render a graph into an SVG or PDF document in the browser and in Node.
+
+// Advance widths (1/1000 em) of the printable ASCII characters (32-126) from the
+// Helvetica AFM files. Arial shares these metrics, so text measured with them wraps
+// the same way it does on screen.
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// Characters in the 128-159 range of the WinAnsi encoding the standard PDF fonts use.
+// The 160-255 range matches Unicode, the rest of Unicode has no code in these fonts.
+const WIN_ANSI_EXTRAS = new Map([
+    ['\u20ac', 128], ['\u201a', 130], ['\u0192', 131], ['\u201e', 132], ['\u2026', 133],
+    ['\u2020', 134], ['\u2021', 135], ['\u02c6', 136], ['\u2030', 137], ['\u0160', 138],
+    ['\u2039', 139], ['\u0152', 140], ['\u017d', 142], ['\u2018', 145], ['\u2019', 146],
+    ['\u201c', 147], ['\u201d', 148], ['\u2022', 149], ['\u2013', 150], ['\u2014', 151],
+    ['\u02dc', 152], ['\u2122', 153], ['\u0161', 154], ['\u203a', 155], ['\u0153', 156],
+    ['\u017e', 158], ['\u0178', 159]
+]);
+
+const NAMED_COLORS = {
+    black: [0, 0, 0],
+    white: [255, 255, 255],
+    red: [255, 0, 0],
+    green: [0, 128, 0],
+    blue: [0, 0, 255],
+    gray: [128, 128, 128],
+    grey: [128, 128, 128]
+};
+
+// Parse a CSS color into { r, g, b, a }, or null when it can't be drawn
+function parseColor(value) {
+    if (typeof value !== 'string') return null;
+    const color = value.trim().toLowerCase();
+
+    if (color === 'transparent' || color === 'none') return null;
+
+    if (NAMED_COLORS[color]) {
+        const [r, g, b] = NAMED_COLORS[color];
+        return { r, g, b, a: 1 };
+    }
+
+    if (color[0] === '#') {
+        let hex = color.slice(1);
+        if (hex.length === 3 || hex.length === 4) {
+            hex = hex.split('').map(c => c + c).join('');
+        }
+        const number = parseInt(hex, 16);
+        if (Number.isNaN(number)) return null;
+        if (hex.length === 8) {
+            return { r: (number >>> 24) & 255, g: (number >>> 16) & 255, b: (number >>> 8) & 255, a: (number & 255) / 255 };
+        }
+        return { r: (number >> 16) & 255, g: (number >> 8) & 255, b: number & 255, a: 1 };
+    }
+
+    const match = color.match(/^rgba?\(([^)]+)\)$/);
+    if (match) {
+        const parts = match[1].split(/[\s,/]+/).filter(Boolean).map(parseFloat);
+        return { r: parts[0], g: parts[1], b: parts[2], a: parts.length > 3 ? parts[3] : 1 };
+    }
+
+    return null;
+}
+
+// Parse a CSS font shorthand such as "bold 16px Arial"
+function parseFont(font) {
+    const match = String(font).match(/(\d+(?:\.\d+)?)px\s+(.+)$/);
+    return {
+        bold: /\bbold\b|\b[6-9]00\b/.test(font),
+        size: match ? parseFloat(match[1]) : 10,
+        family: match ? match[2].trim() : 'sans-serif'
+    };
+}
+
+// Compact number formatting for path data and PDF operators
+function formatNumber(value) {
+    const rounded = Math.round(value * 1000) / 1000;
+    return Object.is(rounded, -0) ? '0' : String(rounded);
+}
+
+// Canvas state that save() and restore() carry
+const STATE_KEYS = [
+    'fillStyle', 'strokeStyle', 'lineWidth', 'lineCap', 'lineJoin', 'font', 'textAlign',
+    'textBaseline', 'globalAlpha', 'shadowColor', 'shadowBlur', 'shadowOffsetX', 'shadowOffsetY',
+    'lineDash', 'matrix'
+];
+
+class VectorContext {
+    constructor(width, height, { measureContext = null } = {}) {
+        this.canvas = { width, height };
+        // Optional real 2D context used for text metrics, so wrapping matches the screen exactly
+        this.measureContext = measureContext;
+
+        this.fillStyle = '#000000';
+        this.strokeStyle = '#000000';
+        this.lineWidth = 1;
+        this.lineCap = 'butt';
+        this.lineJoin = 'miter';
+        this.font = '10px sans-serif';
+        this.textAlign = 'start';
+        this.textBaseline = 'alphabetic';
+        this.globalAlpha = 1;
+        // Shadows are accepted but not rendered
+        this.shadowColor = 'transparent';
+        this.shadowBlur = 0;
+        this.shadowOffsetX = 0;
+        this.shadowOffsetY = 0;
+        this.lineDash = [];
+        this.matrix = [1, 0, 0, 1, 0, 0];
+
+        this.stack = [];
+        this.path = [];
+        this.currentPoint = null;
+    }
+
+    save() {
+        const state = {};
+        STATE_KEYS.forEach(key => {
+            state[key] = Array.isArray(this[key]) ? this[key].slice() : this[key];
+        });
+        this.stack.push(state);
+    }
+
+    restore() {
+        const state = this.stack.pop();
+        if (state) Object.assign(this, state);
+    }
+
+    // Transformations
+
+    setTransform(a, b, c, d, e, f) {
+        if (typeof a === 'object') {
+            ({ a, b, c, d, e, f } = a);
+        }
+        this.matrix = [a, b, c, d, e, f];
+    }
+
+    resetTransform() {
+        this.setTransform(1, 0, 0, 1, 0, 0);
+    }
+
+    getTransform() {
+        const [a, b, c, d, e, f] = this.matrix;
+        return { a, b, c, d, e, f };
+    }
+
+    transform(a, b, c, d, e, f) {
+        this.matrix = VectorContext.multiply(this.matrix, [a, b, c, d, e, f]);
+    }
+
+    translate(x, y) {
+        this.transform(1, 0, 0, 1, x, y);
+    }
+
+    scale(x, y) {
+        this.transform(x, 0, 0, y, 0, 0);
+    }
+
+    rotate(angle) {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        this.transform(cos, sin, -sin, cos, 0, 0);
+    }
+
+    static multiply(m, n) {
+        return [
+            m[0] * n[0] + m[2] * n[1],
+            m[1] * n[0] + m[3] * n[1],
+            m[0] * n[2] + m[2] * n[3],
+            m[1] * n[2] + m[3] * n[3],
+            m[0] * n[4] + m[2] * n[5] + m[4],
+            m[1] * n[4] + m[3] * n[5] + m[5]
+        ];
+    }
+
+    // Map a point from user space to document space
+    toDevice(x, y) {
+        const m = this.matrix;
+        return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+    }
+
+    // How much the current transform scales lengths such as line widths
+    get transformScale() {
+        const m = this.matrix;
+        return Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+    }
+
+    // Paths are stored in document space so later transform changes don't affect them
+
+    beginPath() {
+        this.path = [];
+        this.currentPoint = null;
+    }
+
+    moveTo(x, y) {
+        this.path.push(['M', ...this.toDevice(x, y)]);
+        this.currentPoint = [x, y];
+        this.subpathStart = [x, y];
+    }
+
+    lineTo(x, y) {
+        if (!this.currentPoint) {
+            this.moveTo(x, y);
+            return;
+        }
+        this.path.push(['L', ...this.toDevice(x, y)]);
+        this.currentPoint = [x, y];
+    }
+
+    bezierCurveTo(x1, y1, x2, y2, x, y) {
+        if (!this.currentPoint) this.moveTo(x1, y1);
+        this.path.push(['C', ...this.toDevice(x1, y1), ...this.toDevice(x2, y2), ...this.toDevice(x, y)]);
+        this.currentPoint = [x, y];
+    }
+
+    quadraticCurveTo(cx, cy, x, y) {
+        if (!this.currentPoint) this.moveTo(cx, cy);
+        // Raise the quadratic to an equivalent cubic
+        const [x0, y0] = this.currentPoint;
+        this.bezierCurveTo(
+            x0 + (2 / 3) * (cx - x0), y0 + (2 / 3) * (cy - y0),
+            x + (2 / 3) * (cx - x), y + (2 / 3) * (cy - y),
+            x, y
+        );
+    }
+
+    closePath() {
+        if (this.path.length === 0) return;
+        this.path.push(['Z']);
+        if (this.subpathStart) this.currentPoint = this.subpathStart.slice();
+    }
+
+    arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+        let sweep = endAngle - startAngle;
+        if (!counterclockwise && sweep < 0) {
+            sweep = sweep % (2 * Math.PI) + 2 * Math.PI;
+        } else if (counterclockwise && sweep > 0) {
+            sweep = sweep % (2 * Math.PI) - 2 * Math.PI;
+        }
+        sweep = Math.max(-2 * Math.PI, Math.min(2 * Math.PI, sweep));
+
+        const startX = x + radius * Math.cos(startAngle);
+        const startY = y + radius * Math.sin(startAngle);
+        if (this.currentPoint) {
+            this.lineTo(startX, startY);
+        } else {
+            this.moveTo(startX, startY);
+        }
+
+        // Approximate with cubic curves of at most a quarter turn each
+        const segments = Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI / 2)));
+        const step = sweep / segments;
+        const k = (4 / 3) * Math.tan(step / 4);
+        let angle = startAngle;
+
+        for (let i = 0; i < segments; i++) {
+            const next = angle + step;
+            const cos1 = Math.cos(angle), sin1 = Math.sin(angle);
+            const cos2 = Math.cos(next), sin2 = Math.sin(next);
+            this.bezierCurveTo(
+                x + radius * (cos1 - k * sin1), y + radius * (sin1 + k * cos1),
+                x + radius * (cos2 + k * sin2), y + radius * (sin2 - k * cos2),
+                x + radius * cos2, y + radius * sin2
+            );
+            angle = next;
+        }
+    }
+
+    rect(x, y, width, height) {
+        this.moveTo(x, y);
+        this.lineTo(x + width, y);
+        this.lineTo(x + width, y + height);
+        this.lineTo(x, y + height);
+        this.closePath();
+    }
+
+    roundRect(x, y, width, height, radii = 0) {
+        // Only uniform radii are supported; anything else falls back to square corners
+        const radius = Math.min(
+            typeof radii === 'number' ? radii : (Array.isArray(radii) && typeof radii[0] === 'number' ? radii[0] : 0),
+            Math.abs(width) / 2,
+            Math.abs(height) / 2
+        );
+        if (radius <= 0) {
+            this.rect(x, y, width, height);
+            return;
+        }
+
+        this.moveTo(x + radius, y);
+        this.lineTo(x + width - radius, y);
+        this.arc(x + width - radius, y + radius, radius, -Math.PI / 2, 0);
+        this.lineTo(x + width, y + height - radius);
+        this.arc(x + width - radius, y + height - radius, radius, 0, Math.PI / 2);
+        this.lineTo(x + radius, y + height);
+        this.arc(x + radius, y + height - radius, radius, Math.PI / 2, Math.PI);
+        this.lineTo(x, y + radius);
+        this.arc(x + radius, y + radius, radius, Math.PI, Math.PI * 1.5);
+        this.closePath();
+    }
+
+    setLineDash(segments) {
+        this.lineDash = (segments || []).slice();
+    }
+
+    getLineDash() {
+        return this.lineDash.slice();
+    }
+
+    // Painting
+
+    fill() {
+        const color = parseColor(this.fillStyle);
+        if (color && this.path.length > 0) {
+            this.emitPath(this.path, 'fill', color);
+        }
+    }
+
+    stroke() {
+        const color = parseColor(this.strokeStyle);
+        if (color && this.path.length > 0) {
+            this.emitPath(this.path, 'stroke', color);
+        }
+    }
+
+    fillRect(x, y, width, height) {
+        const path = this.path;
+        const currentPoint = this.currentPoint;
+        this.beginPath();
+        this.rect(x, y, width, height);
+        this.fill();
+        this.path = path;
+        this.currentPoint = currentPoint;
+    }
+
+    strokeRect(x, y, width, height) {
+        const path = this.path;
+        const currentPoint = this.currentPoint;
+        this.beginPath();
+        this.rect(x, y, width, height);
+        this.stroke();
+        this.path = path;
+        this.currentPoint = currentPoint;
+    }
+
+    // Documents start out empty, so there is nothing to clear
+    clearRect() {}
+
+    measureText(text) {
+        if (this.measureContext) {
+            this.measureContext.font = this.font;
+            return this.measureContext.measureText(text);
+        }
+
+        const { bold, size } = parseFont(this.font);
+        const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+        let width = 0;
+        for (const char of String(text)) {
+            const code = char.charCodeAt(0);
+            width += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+        }
+        return { width: (width * size) / 1000 };
+    }
+
+    fillText(text, x, y) {
+        const color = parseColor(this.fillStyle);
+        if (!color || text == null || text === '') return;
+
+        const value = String(text);
+        const font = parseFont(this.font);
+
+        // Resolve alignment and baseline here so both formats place text the same way
+        const width = this.measureText(value).width;
+        let offsetX = 0;
+        if (this.textAlign === 'center') offsetX = -width / 2;
+        else if (this.textAlign === 'right' || this.textAlign === 'end') offsetX = -width;
+
+        let offsetY = 0;
+        if (this.textBaseline === 'middle') offsetY = font.size * 0.35;
+        else if (this.textBaseline === 'top' || this.textBaseline === 'hanging') offsetY = font.size * 0.8;
+        else if (this.textBaseline === 'bottom' || this.textBaseline === 'ideographic') offsetY = -font.size * 0.2;
+
+        this.emitText(value, x + offsetX, y + offsetY, font, color);
+    }
+
+    drawImage(image, x, y, width, height) {
+        if (width === undefined) {
+            width = image.width;
+            height = image.height;
+        }
+        this.emitImage(image, x, y, width, height);
+    }
+
+    // Effective opacity of a color under the current globalAlpha
+    opacity(color) {
+        return Math.max(0, Math.min(1, color.a * this.globalAlpha));
+    }
+}
+
+class SvgContext extends VectorContext {
+    constructor(width, height, options) {
+        super(width, height, options);
+        this.elements = [];
+    }
+
+    static escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    static hex({ r, g, b }) {
+        return '#' + [r, g, b].map(v => Math.round(v).toString(16).padStart(2, '0')).join('');
+    }
+
+    emitPath(path, mode, color) {
+        const d = path.map(([op, ...points]) => op + points.map(formatNumber).join(' ')).join('');
+        const opacity = this.opacity(color);
+        const alpha = opacity < 1 ? ` ${mode}-opacity="${formatNumber(opacity)}"` : '';
+
+        if (mode === 'fill') {
+            this.elements.push(`<path d="${d}" fill="${SvgContext.hex(color)}"${alpha}/>`);
+            return;
+        }
+
+        const scale = this.transformScale;
+        const dash = this.lineDash.length > 0
+            ? ` stroke-dasharray="${this.lineDash.map(v => formatNumber(v * scale)).join(' ')}"`
+            : '';
+        this.elements.push(
+            `<path d="${d}" fill="none" stroke="${SvgContext.hex(color)}" ` +
+            `stroke-width="${formatNumber(this.lineWidth * scale)}" ` +
+            `stroke-linecap="${this.lineCap}" stroke-linejoin="${this.lineJoin}"${dash}${alpha}/>`
+        );
+    }
+
+    emitText(text, x, y, font, color) {
+        const opacity = this.opacity(color);
+        const alpha = opacity < 1 ? ` fill-opacity="${formatNumber(opacity)}"` : '';
+        this.elements.push(
+            `<text transform="matrix(${this.matrix.map(formatNumber).join(' ')})" ` +
+            `x="${formatNumber(x)}" y="${formatNumber(y)}" ` +
+            `font-family="${SvgContext.escape(font.family)}" font-size="${formatNumber(font.size)}"` +
+            `${font.bold ? ' font-weight="bold"' : ''} fill="${SvgContext.hex(color)}"${alpha} ` +
+            `xml:space="preserve">${SvgContext.escape(text)}</text>`
+        );
+    }
+
+    emitImage(image, x, y, width, height) {
+        const href = SvgContext.imageHref(image);
+        if (!href) return;
+
+        const opacity = this.globalAlpha < 1 ? ` opacity="${formatNumber(this.globalAlpha)}"` : '';
+        this.elements.push(
+            `<image transform="matrix(${this.matrix.map(formatNumber).join(' ')})" ` +
+            `x="${formatNumber(x)}" y="${formatNumber(y)}" width="${formatNumber(width)}" ` +
+            `height="${formatNumber(height)}"${opacity} preserveAspectRatio="none" ` +
+            `href="${SvgContext.escape(href)}"/>`
+        );
+    }
+
+    // Embed images as data URIs where possible so the SVG is self-contained
+    static imageHref(image) {
+        if (image.dataUrl) return image.dataUrl;
+        if (typeof image.toDataURL === 'function') return image.toDataURL('image/png');
+
+        if (typeof document !== 'undefined') {
+            try {
+                const canvas = document.createElement('canvas');
+                canvas.width = image.naturalWidth || image.width;
+                canvas.height = image.naturalHeight || image.height;
+                canvas.getContext('2d').drawImage(image, 0, 0);
+                return canvas.toDataURL('image/png');
+            } catch (error) {
+                // Cross-origin images taint the canvas, link to them instead
+            }
+        }
+
+        return image.src || null;
+    }
+
+    toString() {
+        const { width, height } = this.canvas;
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${formatNumber(width)}" height="${formatNumber(height)}" ` +
+            `viewBox="0 0 ${formatNumber(width)} ${formatNumber(height)}">\n` +
+            this.elements.join('\n') +
+            '\n</svg>\n';
+    }
+}
+
+class PdfContext extends VectorContext {
+    constructor(width, height, options = {}) {
+        super(width, height, options);
+        // Flip the page so operators can use canvas coordinates (origin top-left, y down)
+        this.operators = [`1 0 0 -1 0 ${formatNumber(height)} cm`];
+        this.alphaStates = new Map();
+        this.images = [];
+        // Makes scratch canvases for text the standard fonts can't encode, see emitTextImage().
+        // The browser's document is used when it's not given.
+        this.createCanvas = options.createCanvas || null;
+        this.replacedCharacters = new Set(); // Written as "?" because no canvas could draw them
+    }
+
+    // Graphics state resource for an opacity value, shared between uses
+    alphaState(opacity) {
+        const key = formatNumber(opacity);
+        if (!this.alphaStates.has(key)) {
+            this.alphaStates.set(key, `GS${this.alphaStates.size}`);
+        }
+        return this.alphaStates.get(key);
+    }
+
+    static colorOperands({ r, g, b }) {
+        return [r, g, b].map(v => formatNumber(v / 255)).join(' ');
+    }
+
+    // Code of a character in the WinAnsi encoding of the standard fonts, or null
+    static winAnsiCode(char) {
+        const code = char.codePointAt(0);
+        if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) return code;
+        return WIN_ANSI_EXTRAS.has(char) ? WIN_ANSI_EXTRAS.get(char) : null;
+    }
+
+    // PDF strings use the WinAnsi encoding of the standard fonts; other characters become "?"
+    static encodeText(text) {
+        let encoded = '';
+        for (const char of String(text)) {
+            const code = PdfContext.winAnsiCode(char);
+            if (char === '(' || char === ')' || char === '\\') encoded += '\\' + char;
+            else if (code === null) encoded += '?';
+            else if (code <= 126) encoded += char;
+            else encoded += '\\' + code.toString(8).padStart(3, '0');
+        }
+        return encoded;
+    }
+
+    emitPath(path, mode, color) {
+        const ops = ['q'];
+        const opacity = this.opacity(color);
+        if (opacity < 1) ops.push(`/${this.alphaState(opacity)} gs`);
+
+        if (mode === 'fill') {
+            ops.push(`${PdfContext.colorOperands(color)} rg`);
+        } else {
+            const scale = this.transformScale;
+            ops.push(`${PdfContext.colorOperands(color)} RG`);
+            ops.push(`${formatNumber(this.lineWidth * scale)} w`);
+            ops.push(`${{ butt: 0, round: 1, square: 2 }[this.lineCap] || 0} J`);
+            ops.push(`${{ miter: 0, round: 1, bevel: 2 }[this.lineJoin] || 0} j`);
+            if (this.lineDash.length > 0) {
+                ops.push(`[${this.lineDash.map(v => formatNumber(v * scale)).join(' ')}] 0 d`);
+            }
+        }
+
+        path.forEach(([op, ...points]) => {
+            const operands = points.map(formatNumber).join(' ');
+            if (op === 'M') ops.push(`${operands} m`);
+            else if (op === 'L') ops.push(`${operands} l`);
+            else if (op === 'C') ops.push(`${operands} c`);
+            else ops.push('h');
+        });
+
+        ops.push(mode === 'fill' ? 'f' : 'S', 'Q');
+        this.operators.push(ops.join('\n'));
+    }
+
+    emitText(text, x, y, font, color) {
+        const unencodable = [...text].filter(char => PdfContext.winAnsiCode(char) === null);
+        if (unencodable.length > 0) {
+            if (this.emitTextImage(text, x, y, font, color)) return;
+            unencodable.forEach(char => this.replacedCharacters.add(char));
+        }
+
+        // Text space points up while the page is flipped, so mirror the glyphs back
+        const [a, b, c, d, e, f] = VectorContext.multiply(this.matrix, [1, 0, 0, -1, x, y]);
+        const opacity = this.opacity(color);
+        const ops = ['q'];
+        if (opacity < 1) ops.push(`/${this.alphaState(opacity)} gs`);
+        ops.push(
+            `${PdfContext.colorOperands(color)} rg`,
+            'BT',
+            `/${font.bold ? 'F2' : 'F1'} ${formatNumber(font.size)} Tf`,
+            `${[a, b, c, d, e, f].map(formatNumber).join(' ')} Tm`,
+            `(${PdfContext.encodeText(text)}) Tj`,
+            'ET',
+            'Q'
+        );
+        this.operators.push(ops.join('\n'));
+    }
+
+    // Draw text with characters outside the standard fonts, such as CJK, Cyrillic or emoji,
+    // as an image at four times its size on the page. The text can't be selected or
+    // searched then. Returns false when there is no canvas to draw it with.
+    emitTextImage(text, x, y, font, color) {
+        const oversample = 4 * Math.max(this.transformScale, 0.25);
+        const size = font.size * oversample;
+        const css = `${font.bold ? 'bold ' : ''}${formatNumber(size)}px ${font.family}`;
+        try {
+            const canvas = this.createCanvas ? this.createCanvas(1, 1) :
+                typeof document !== 'undefined' ? document.createElement('canvas') : null;
+            const ctx = canvas && canvas.getContext('2d');
+            if (!ctx) return false;
+
+            ctx.font = css;
+            // Room for accents above the em box and descenders below the baseline
+            canvas.width = Math.max(1, Math.ceil(ctx.measureText(text).width));
+            canvas.height = Math.ceil(size * 1.4);
+            ctx.font = css; // Resizing resets the context
+            ctx.fillStyle = `rgba(${color.r}, ${color.g}, ${color.b}, ${color.a})`;
+            ctx.fillText(text, 0, size * 1.1);
+            const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+
+            this.emitImage(
+                { width: canvas.width, height: canvas.height, data },
+                x, y - font.size * 1.1, canvas.width / oversample, canvas.height / oversample
+            );
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    emitImage(image, x, y, width, height) {
+        const pixels = PdfContext.readPixels(image);
+        if (!pixels) return;
+
+        const name = `Im${this.images.length}`;
+        this.images.push({ name, ...pixels });
+
+        // The unit square of image space, flipped because image rows run top to bottom
+        const matrix = VectorContext.multiply(this.matrix, [width, 0, 0, -height, x, y + height]);
+        const ops = ['q'];
+        if (this.globalAlpha < 1) ops.push(`/${this.alphaState(this.globalAlpha)} gs`);
+        ops.push(`${matrix.map(formatNumber).join(' ')} cm`, `/${name} Do`, 'Q');
+        this.operators.push(ops.join('\n'));
+    }
+
+    // RGBA pixels of an image, read through a scratch canvas in the browser.
+    // Objects that already carry { width, height, data } are used as they are.
+    static readPixels(image) {
+        if (image.data && image.width && image.height) {
+            return { width: image.width, height: image.height, data: image.data };
+        }
+        if (typeof document === 'undefined') return null;
+
+        try {
+            const canvas = document.createElement('canvas');
+            canvas.width = image.naturalWidth || image.width;
+            canvas.height = image.naturalHeight || image.height;
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(image, 0, 0);
+            const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+            return { width: canvas.width, height: canvas.height, data };
+        } catch (error) {
+            // Cross-origin images can't be read back, leave them out
+            return null;
+        }
+    }
+
+    // Assemble the single page document and return its bytes
+    toBytes() {
+        if (this.replacedCharacters.size > 0) {
+            console.warn(
+                `PDF export: ${[...this.replacedCharacters].join(' ')} can't be written with the built-in ` +
+                'fonts and no canvas was available to draw them, they were replaced by "?"'
+            );
+        }
+
+        const { width, height } = this.canvas;
+        const objects = [];
+        const addObject = (body) => {
+            objects.push(body);
+            return objects.length;
+        };
+        const stream = (dictionary, content) =>
+            `<< ${dictionary} /Length ${content.length} >>\nstream\n${content}\nendstream`;
+        const hex = (bytes) => {
+            let out = '';
+            for (let i = 0; i < bytes.length; i++) {
+                out += bytes[i].toString(16).padStart(2, '0');
+                if (i % 40 === 39) out += '\n';
+            }
+            return out + '>';
+        };
+
+        const catalog = addObject('<< /Type /Catalog /Pages 2 0 R >>');
+        const pages = addObject('<< /Type /Pages /Kids [3 0 R] /Count 1 >>');
+        const page = addObject(null); // Filled in once the resources are known
+        const content = addObject(stream('', this.operators.join('\n')));
+        const regular = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+        const bold = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+        const alphaEntries = [...this.alphaStates].map(([opacity, name]) =>
+            `/${name} ${addObject(`<< /Type /ExtGState /ca ${opacity} /CA ${opacity} >>`)} 0 R`
+        );
+
+        const imageEntries = this.images.map(({ name, width: w, height: h, data }) => {
+            const rgb = new Uint8Array(w * h * 3);
+            const alpha = new Uint8Array(w * h);
+            for (let i = 0; i < w * h; i++) {
+                rgb[i * 3] = data[i * 4];
+                rgb[i * 3 + 1] = data[i * 4 + 1];
+                rgb[i * 3 + 2] = data[i * 4 + 2];
+                alpha[i] = data[i * 4 + 3];
+            }
+            const imageDictionary = `/Type /XObject /Subtype /Image /Width ${w} /Height ${h} /BitsPerComponent 8 /Filter /ASCIIHexDecode`;
+            const mask = addObject(stream(`${imageDictionary} /ColorSpace /DeviceGray`, hex(alpha)));
+            const object = addObject(stream(`${imageDictionary} /ColorSpace /DeviceRGB /SMask ${mask} 0 R`, hex(rgb)));
+            return `/${name} ${object} 0 R`;
+        });
+
+        objects[page - 1] = `<< /Type /Page /Parent ${pages} 0 R ` +
+            `/MediaBox [0 0 ${formatNumber(width)} ${formatNumber(height)}] /Contents ${content} 0 R ` +
+            `/Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> ` +
+            `/ExtGState << ${alphaEntries.join(' ')} >> /XObject << ${imageEntries.join(' ')} >> >> >>`;
+
+        // Everything written is single-byte, so string length equals byte offset
+        let output = '%PDF-1.4\n';
+        const offsets = objects.map((body, index) => {
+            const offset = output.length;
+            output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+            return offset;
+        });
+
+        const xref = output.length;
+        output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        offsets.forEach(offset => {
+            output += `${String(offset).padStart(10, '0')} 00000 n \n`;
+        });
+        output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+        const bytes = new Uint8Array(output.length);
+        for (let i = 0; i < output.length; i++) {
+            bytes[i] = output.charCodeAt(i);
+        }
+        return bytes;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { VectorContext, SvgContext, PdfContext, parseColor, parseFont };
+}
@@ -0,0 +1,361 @@
+// A d3 force simulation that ticks in a Web Worker, so large graphs don't block the page.
+// It has the parts of d3.forceSimulation's interface EdgeGraph uses. Forces and settings
+// are kept on a simulation on the main thread that never runs, and every restart() sends
+// them to the worker as plain data. The worker streams positions back, one frame at a
+// time, and positions changed here in between (e.g. dragged nodes) are sent over.
+
+// Runs inside the worker, with d3 and the forces from forces.js loaded before it
+function runSimulationWorker(scope, { seed }) {
+    const simulation = d3.forceSimulation().stop();
+    if (seed !== null) {
+        simulation.randomSource(d3.randomLcg(seed));
+    }
+    let nodes = [];
+    let forceNames = [];
+    let generation = 0; // Frames are tagged with it so the main thread can skip outdated ones
+    let waiting = false; // A frame was posted and the main thread hasn't taken it yet
+    let pending = false; // Positions changed since the last frame
+    let ended = false;
+
+    const postFrame = () => {
+        const positions = new Float64Array(nodes.length * 4);
+        nodes.forEach((node, i) => positions.set([node.x, node.y, node.vx, node.vy], i * 4));
+        scope.postMessage({ type: 'tick', generation, alpha: simulation.alpha(), positions, ended }, [positions.buffer]);
+        waiting = true;
+        pending = false;
+        ended = false;
+    };
+
+    simulation
+        .on('tick', () => {
+            pending = true;
+            if (!waiting) postFrame();
+        })
+        .on('end', () => {
+            pending = true;
+            ended = true;
+            if (!waiting) postFrame();
+        });
+
+    // Per-node and per-link values arrive as arrays in simulation order
+    const byIndex = values => (d, i) => values[i];
+    const createForce = ({ kind, ...settings }) => {
+        switch (kind) {
+        case 'link':
+            return d3.forceLink(settings.links.map(([source, target]) => ({ source, target })))
+                .distance(byIndex(settings.distance))
+                .strength(byIndex(settings.strength))
+                .iterations(settings.iterations);
+        case 'manyBody':
+            return d3.forceManyBody()
+                .strength(byIndex(settings.strength))
+                .theta(settings.theta)
+                .distanceMin(settings.distanceMin)
+                .distanceMax(settings.distanceMax);
+        case 'collide':
+            return d3.forceCollide(byIndex(settings.radius))
+                .strength(settings.strength)
+                .iterations(settings.iterations);
+        case 'x':
+            return d3.forceX(byIndex(settings.x)).strength(byIndex(settings.strength));
+        case 'y':
+            return d3.forceY(byIndex(settings.y)).strength(byIndex(settings.strength));
+        case 'center':
+            return d3.forceCenter(settings.x, settings.y).strength(settings.strength);
+        case 'typeCluster':
+            return typeClusterForce(settings.groups.map(group => ({ ...group, nodes: group.nodes.map(i => nodes[i]) })));
+        case 'relationship':
+            return relationshipForce(settings.clusters.map(cluster => cluster.map(i => nodes[i])));
+        default:
+            return null;
+        }
+    };
+
+    scope.onmessage = ({ data }) => {
+        switch (data.type) {
+        case 'run':
+            generation = data.generation;
+            forceNames.forEach(name => simulation.force(name, null));
+            nodes = data.fixed.map(([fx, fy], i) => ({
+                x: data.positions[i * 4],
+                y: data.positions[i * 4 + 1],
+                vx: data.positions[i * 4 + 2],
+                vy: data.positions[i * 4 + 3],
+                fx,
+                fy
+            }));
+            simulation.nodes(nodes);
+            data.forces.forEach(({ name, ...force }) => simulation.force(name, createForce(force)));
+            forceNames = data.forces.map(force => force.name);
+            simulation
+                .alpha(data.alpha)
+                .alphaTarget(data.alphaTarget)
+                .alphaMin(data.alphaMin)
+                .alphaDecay(data.alphaDecay)
+                .velocityDecay(data.velocityDecay);
+            waiting = false;
+            pending = false;
+            ended = false;
+            simulation.restart();
+            break;
+        case 'update':
+            data.nodes.forEach(({ index, ...values }) => Object.assign(nodes[index], values));
+            break;
+        case 'stop':
+            generation = data.generation;
+            simulation.stop();
+            pending = false;
+            break;
+        case 'ack':
+            waiting = false;
+            if (pending) postFrame();
+            break;
+        }
+    };
+}
+
+// Which of the forces the worker can rebuild a force object is, from the methods it has
+function getForceKind(force) {
+    if (force.links) return 'link';
+    if (force.theta) return 'manyBody';
+    if (force.groups) return 'typeCluster';
+    if (force.clusters) return 'relationship';
+    if (force.radius) return force.x ? null : 'collide';
+    if (force.x && force.y) return 'center';
+    if (force.x) return 'x';
+    if (force.y) return 'y';
+    return null;
+}
+
+class WorkerSimulation {
+    constructor(nodes, { d3Url = 'https://d3js.org/d3.v7.min.js', seed = null } = {}) {
+        // Holds the forces and settings, and ticks instead of the worker if that fails
+        this.local = d3.forceSimulation(nodes).stop();
+        this.listeners = d3.dispatch('tick', 'end');
+        this.forceNames = []; // In the order d3 applies the forces
+        this.generation = 0;
+        this.running = false;
+        this.sent = []; // Per node, the x, y, fx and fy the worker has
+        this.worker = null;
+        this.workerUrl = null;
+
+        const source = [
+            `importScripts(${JSON.stringify(d3Url)});`,
+            typeClusterForce.toString(),
+            relationshipForce.toString(),
+            `(${runSimulationWorker.toString()})(self, ${JSON.stringify({ seed })});`
+        ].join('\n');
+        try {
+            this.workerUrl = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+            this.worker = new Worker(this.workerUrl);
+            this.worker.onmessage = event => this.handleMessage(event.data);
+            this.worker.onerror = event => {
+                event.preventDefault();
+                this.fallBack(event.message);
+            };
+        } catch (error) {
+            this.fallBack(error.message);
+        }
+
+        // Start on the next frame like d3's simulation, unless stopped before that
+        this.startTimer = setTimeout(() => this.restart());
+    }
+
+    // Tick on the main thread from now on
+    fallBack(reason) {
+        console.warn('Running the simulation on the main thread, the worker failed:', reason);
+        this.terminate();
+        this.local
+            .on('tick', () => this.listeners.call('tick', this))
+            .on('end', () => this.listeners.call('end', this));
+        if (this.running) {
+            this.local.restart();
+        }
+    }
+
+    nodes(nodes) {
+        if (nodes === undefined) return this.local.nodes();
+        this.local.nodes(nodes);
+        return this;
+    }
+
+    force(name, force) {
+        if (force === undefined) return this.local.force(name);
+        this.local.force(name, force);
+        if (force === null) {
+            this.forceNames = this.forceNames.filter(n => n !== name);
+        } else if (!this.forceNames.includes(name)) {
+            this.forceNames.push(name);
+        }
+        return this;
+    }
+
+    on(type, listener) {
+        if (listener === undefined) return this.listeners.on(type);
+        this.listeners.on(type, listener);
+        return this;
+    }
+
+    alpha(value) { return this.setting('alpha', value); }
+    alphaMin(value) { return this.setting('alphaMin', value); }
+    alphaDecay(value) { return this.setting('alphaDecay', value); }
+    alphaTarget(value) { return this.setting('alphaTarget', value); }
+    velocityDecay(value) { return this.setting('velocityDecay', value); }
+    randomSource(value) { return this.setting('randomSource', value); }
+
+    // Read or change a setting of the local simulation, the worker gets it on restart()
+    setting(name, value) {
+        if (value === undefined) return this.local[name]();
+        this.local[name](value);
+        return this;
+    }
+
+    // Ticks synchronously on the main thread, like d3's simulation.tick()
+    tick(iterations) {
+        this.local.tick(iterations);
+        return this;
+    }
+
+    restart() {
+        clearTimeout(this.startTimer);
+        this.running = true;
+        if (!this.worker) {
+            this.local.restart();
+            return this;
+        }
+
+        const nodes = this.local.nodes();
+        const positions = new Float64Array(nodes.length * 4);
+        nodes.forEach((node, i) => positions.set([node.x, node.y, node.vx, node.vy], i * 4));
+        this.sent = nodes.map(node => [node.x, node.y, node.fx, node.fy]);
+        this.generation++;
+        this.worker.postMessage({
+            type: 'run',
+            generation: this.generation,
+            positions,
+            fixed: nodes.map(node => [node.fx, node.fy]),
+            forces: this.describeForces(),
+            alpha: this.local.alpha(),
+            alphaTarget: this.local.alphaTarget(),
+            alphaMin: this.local.alphaMin(),
+            alphaDecay: this.local.alphaDecay(),
+            velocityDecay: this.local.velocityDecay()
+        }, [positions.buffer]);
+        return this;
+    }
+
+    stop() {
+        clearTimeout(this.startTimer);
+        this.running = false;
+        if (!this.worker) {
+            this.local.stop();
+            return this;
+        }
+
+        this.generation++;
+        this.worker.postMessage({ type: 'stop', generation: this.generation });
+        return this;
+    }
+
+    // Stop the worker for good, e.g. when the graph is destroyed
+    terminate() {
+        clearTimeout(this.startTimer);
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        if (this.workerUrl) {
+            URL.revokeObjectURL(this.workerUrl);
+            this.workerUrl = null;
+        }
+    }
+
+    // The forces as plain data, with accessors evaluated for every node and link
+    describeForces() {
+        const nodes = this.local.nodes();
+        const perNode = accessor => Float64Array.from(nodes, (node, i) => accessor(node, i, nodes));
+        const indices = members => members.map(node => node.index);
+
+        return this.forceNames.map(name => {
+            const force = this.local.force(name);
+            const kind = getForceKind(force);
+            switch (kind) {
+            case 'link': {
+                const links = force.links();
+                const perLink = accessor => Float64Array.from(links, (link, i) => accessor(link, i, links));
+                return {
+                    name,
+                    kind,
+                    links: links.map(link => [link.source.index, link.target.index]),
+                    distance: perLink(force.distance()),
+                    strength: perLink(force.strength()),
+                    iterations: force.iterations()
+                };
+            }
+            case 'manyBody':
+                return {
+                    name,
+                    kind,
+                    strength: perNode(force.strength()),
+                    theta: force.theta(),
+                    distanceMin: force.distanceMin(),
+                    distanceMax: force.distanceMax()
+                };
+            case 'collide':
+                return { name, kind, radius: perNode(force.radius()), strength: force.strength(), iterations: force.iterations() };
+            case 'x':
+                return { name, kind, x: perNode(force.x()), strength: perNode(force.strength()) };
+            case 'y':
+                return { name, kind, y: perNode(force.y()), strength: perNode(force.strength()) };
+            case 'center':
+                return { name, kind, x: force.x(), y: force.y(), strength: force.strength() };
+            case 'typeCluster':
+                return { name, kind, groups: force.groups().map(({ x, y, nodes: members }) => ({ x, y, nodes: indices(members) })) };
+            case 'relationship':
+                return { name, kind, clusters: force.clusters().map(indices) };
+            default:
+                console.warn(`Force "${name}" can't run in the simulation worker, it is left out`);
+                return null;
+            }
+        }).filter(Boolean);
+    }
+
+    // Take a frame of positions from the worker. Nodes moved or pinned here since the
+    // worker last heard of them keep their position and are sent over instead.
+    handleMessage(message) {
+        if (message.type !== 'tick' || !this.worker) return;
+        this.worker.postMessage({ type: 'ack' });
+        const nodes = this.local.nodes();
+        if (message.generation !== this.generation || message.positions.length !== nodes.length * 4) return;
+
+        const { positions } = message;
+        const changed = [];
+        nodes.forEach((node, i) => {
+            const [x, y, fx, fy] = this.sent[i];
+            if (node.x !== x || node.y !== y || node.fx !== fx || node.fy !== fy) {
+                changed.push({ index: i, x: node.x, y: node.y, vx: node.vx, vy: node.vy, fx: node.fx, fy: node.fy });
+                this.sent[i] = [node.x, node.y, node.fx, node.fy];
+                return;
+            }
+            node.x = positions[i * 4];
+            node.y = positions[i * 4 + 1];
+            node.vx = positions[i * 4 + 2];
+            node.vy = positions[i * 4 + 3];
+            this.sent[i] = [node.x, node.y, fx, fy];
+        });
+        if (changed.length > 0) {
+            this.worker.postMessage({ type: 'update', nodes: changed });
+        }
+
+        this.local.alpha(message.alpha);
+        this.listeners.call('tick', this);
+        if (message.ended) {
+            this.running = false;
+            this.listeners.call('end', this);
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WorkerSimulation };
+}